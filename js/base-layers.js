@@ -0,0 +1,131 @@
+/**
+ * Base Layers
+ * The map styles users can switch between, defined in one list. Each entry is a
+ * tile source plus what the offline download needs to know about it. Add, remove
+ * or reorder entries here; the first one is the default. Building layers needs
+ * Leaflet on the page.
+ *
+ * allowOfflineDownload may only be set for sources whose terms permit bulk downloads
+ * for offline use (e.g. a self-hosted tile server or a plan that includes it). The
+ * public OpenStreetMap, OpenTopoMap, Esri and CARTO servers below do not; the USGS
+ * National Map tiles are public domain and free to download, but only cover the US.
+ */
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Every style can be zoomed this far; beyond a source's own maxZoom its tiles are scaled up
+export const MAP_MAX_ZOOM = 19;
+
+export const BASE_LAYERS = [
+    {
+        id: 'streets',
+        label: 'Streets',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        subdomains: 'abc',
+        maxZoom: 19,
+        attribution: OSM_ATTRIBUTION,
+        allowOfflineDownload: false,
+        averageTileBytes: 25 * 1024 // used for download size estimates
+    },
+    {
+        id: 'satellite',
+        label: 'Satellite',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        subdomains: '',
+        maxZoom: 19,
+        attribution: 'Imagery &copy; Esri, Maxar, Earthstar Geographics and the GIS User Community',
+        allowOfflineDownload: false,
+        averageTileBytes: 45 * 1024
+    },
+    {
+        id: 'topo',
+        label: 'Topographic',
+        url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        subdomains: 'abc',
+        maxZoom: 17,
+        attribution: `Map data ${OSM_ATTRIBUTION}, SRTM | Style &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`,
+        allowOfflineDownload: false,
+        averageTileBytes: 35 * 1024
+    },
+    {
+        id: 'dark',
+        label: 'Dark',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+        subdomains: 'abcd',
+        maxZoom: 19,
+        attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`,
+        allowOfflineDownload: false,
+        averageTileBytes: 15 * 1024
+    },
+    {
+        id: 'usgs-topo',
+        label: 'USGS Topo (US)',
+        url: 'https://basemap.nationalmap.gov/arcgis/rest/services/USGSTopo/MapServer/tile/{z}/{y}/{x}',
+        subdomains: '',
+        maxZoom: 16,
+        attribution: 'Tiles courtesy of the <a href="https://www.usgs.gov/programs/national-geospatial-program/national-map">U.S. Geological Survey</a>',
+        allowOfflineDownload: true,
+        averageTileBytes: 30 * 1024
+    }
+];
+
+const BASE_LAYER_KEY = 'mapBaseLayer';
+
+/**
+ * Look up a base layer definition
+ * @param {string} id - Layer id
+ * @returns {object} The layer, or the default layer for unknown ids
+ */
+export function getBaseLayer(id) {
+    return BASE_LAYERS.find(layer => layer.id === id) || BASE_LAYERS[0];
+}
+
+/**
+ * Get the base layer last chosen on this device
+ * @returns {object} Layer definition
+ */
+export function getPreferredBaseLayer() {
+    return getBaseLayer(localStorage.getItem(BASE_LAYER_KEY));
+}
+
+/**
+ * Remember the chosen base layer on this device
+ * @param {string} id - Layer id
+ */
+export function setPreferredBaseLayer(id) {
+    localStorage.setItem(BASE_LAYER_KEY, getBaseLayer(id).id);
+}
+
+/**
+ * Build the Leaflet tile layer for a definition
+ * @param {object} definition - Entry from BASE_LAYERS
+ * @returns {L.TileLayer} Tile layer; options.baseLayerId holds the definition's id
+ */
+export function createTileLayer(definition) {
+    return L.tileLayer(definition.url, {
+        subdomains: definition.subdomains || 'abc',
+        maxNativeZoom: definition.maxZoom,
+        maxZoom: MAP_MAX_ZOOM,
+        attribution: definition.attribution,
+        baseLayerId: definition.id
+    });
+}
+
+/**
+ * Get the URL Leaflet requests for one tile, so downloaded tiles match the map's requests
+ * @param {object} definition - Entry from BASE_LAYERS
+ * @param {number} z - Zoom
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {string} Tile URL
+ */
+export function getTileUrl(definition, z, x, y) {
+    const subdomains = definition.subdomains || '';
+    // Same subdomain choice as L.TileLayer
+    const subdomain = subdomains ? subdomains[Math.abs(x + y) % subdomains.length] : '';
+    return definition.url
+        .replace('{s}', subdomain)
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y);
+}
@@ -0,0 +1,371 @@
+/**
+ * Location Comments
+ * Tips, condition reports and questions posted on a location, with one level of
+ * replies, stored under locations/{locationId}/comments/{commentId}
+ */
+
+import { db, collection, doc, getDoc, addDoc, updateDoc, deleteDoc, query, orderBy, onSnapshot,
+         getCountFromServer, serverTimestamp } from './firebase-config.js';
+import { showError, showSuccess, escapeHtml, formatFirestoreDate, getTimestampMillis } from './utils.js';
+
+// Keep in sync with the Firestore rules
+export const MAX_COMMENT_LENGTH = 1000;
+export const COMMENT_KINDS = [
+    { id: 'comment', label: 'Comment', icon: '💬' },
+    { id: 'tip', label: 'Access tip', icon: '🧭' },
+    { id: 'conditions', label: 'Conditions', icon: '🌦️' },
+    { id: 'question', label: 'Question', icon: '❓' }
+];
+
+const authorNames = new Map(); // userId -> Promise<display name>
+
+function commentsCollection(locationId) {
+    return collection(db, 'locations', locationId, 'comments');
+}
+
+function getCommentKind(id) {
+    return COMMENT_KINDS.find(kind => kind.id === id) || COMMENT_KINDS[0];
+}
+
+function validateCommentText(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        throw new Error('Comment cannot be empty.');
+    }
+    if (trimmed.length > MAX_COMMENT_LENGTH) {
+        throw new Error(`Comments can be at most ${MAX_COMMENT_LENGTH} characters.`);
+    }
+    return trimmed;
+}
+
+// Look up a commenter's display name once per page
+function getAuthorName(userId) {
+    if (!authorNames.has(userId)) {
+        authorNames.set(userId, getDoc(doc(db, 'users', userId))
+            .then(userDoc => (userDoc.exists() && (userDoc.data().displayName || userDoc.data().email)) || 'Unknown User')
+            .catch(() => 'Unknown User'));
+    }
+    return authorNames.get(userId);
+}
+
+// ===== COMMENT API =====
+
+/**
+ * Count the comments and replies on a location
+ * @param {string} locationId - Location document ID
+ * @returns {Promise<number>} Number of comments, including hidden ones
+ */
+export async function getCommentCount(locationId) {
+    const snapshot = await getCountFromServer(commentsCollection(locationId));
+    return snapshot.data().count;
+}
+
+/**
+ * Post a comment or a reply
+ * @param {string} locationId - Location being commented on
+ * @param {string} userId - Author
+ * @param {object} comment - { text, kind, parentId } where parentId is set for replies
+ * @returns {Promise<string>} The new comment's ID
+ */
+export async function postComment(locationId, userId, { text, kind = 'comment', parentId = null }) {
+    const commentRef = await addDoc(commentsCollection(locationId), {
+        userId,
+        text: validateCommentText(text),
+        kind: getCommentKind(kind).id,
+        parentId,
+        hidden: false,
+        edited: false,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return commentRef.id;
+}
+
+/**
+ * Change the text or kind of the author's own comment
+ * @param {string} locationId - Location document ID
+ * @param {string} commentId - Comment document ID
+ * @param {object} changes - { text, kind }
+ */
+export async function editComment(locationId, commentId, { text, kind }) {
+    await updateDoc(doc(db, 'locations', locationId, 'comments', commentId), {
+        text: validateCommentText(text),
+        kind: getCommentKind(kind).id,
+        edited: true,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Delete the author's own comment
+ * @param {string} locationId - Location document ID
+ * @param {string} commentId - Comment document ID
+ */
+export async function deleteComment(locationId, commentId) {
+    await deleteDoc(doc(db, 'locations', locationId, 'comments', commentId));
+}
+
+/**
+ * Hide or show a comment (location owner only)
+ * @param {string} locationId - Location document ID
+ * @param {string} commentId - Comment document ID
+ * @param {boolean} hidden - Whether to hide the comment
+ */
+export async function setCommentHidden(locationId, commentId, hidden) {
+    await updateDoc(doc(db, 'locations', locationId, 'comments', commentId), { hidden });
+}
+
+// ===== THREAD VIEW =====
+
+/**
+ * Render a live comment thread for a location
+ * @param {HTMLElement} container - Element the thread is rendered into
+ * @param {string} locationId - Location whose comments are shown
+ * @param {function} onCountChange - Called with the number of comments after each update
+ * @returns {object} Thread with setViewer(user, locationOwnerId) and destroy()
+ */
+export function createCommentThread(container, locationId, onCountChange = () => {}) {
+    let comments = [];
+    let names = new Map();
+    let viewer = null;
+    let locationOwnerId = null;
+    let openForm = null; // { type: 'reply' | 'edit', commentId, text, kind }
+    let newCommentDraft = { text: '', kind: 'comment' };
+
+    // Keep whatever the user has typed across re-renders
+    function captureDrafts() {
+        const newText = container.querySelector('.comment-new textarea');
+        if (newText) {
+            newCommentDraft = { text: newText.value, kind: container.querySelector('.comment-new select').value };
+        }
+        const inlineText = container.querySelector('.comment-inline-form textarea');
+        if (inlineText && openForm) {
+            openForm.text = inlineText.value;
+            const kindSelect = container.querySelector('.comment-inline-form select');
+            if (kindSelect) openForm.kind = kindSelect.value;
+        }
+    }
+
+    function kindOptions(selected) {
+        return COMMENT_KINDS.map(kind =>
+            `<option value="${kind.id}" ${kind.id === selected ? 'selected' : ''}>${kind.icon} ${kind.label}</option>`
+        ).join('');
+    }
+
+    function renderForm(className, { text, kind, withKind, submitAction, submitLabel, placeholder }) {
+        return `
+            <div class="comment-form ${className}">
+                ${withKind ? `<select>${kindOptions(kind)}</select>` : ''}
+                <textarea maxlength="${MAX_COMMENT_LENGTH}" placeholder="${placeholder}">${escapeHtml(text)}</textarea>
+                <div class="comment-form-actions">
+                    <button type="button" class="btn btn-primary" data-action="${submitAction}">${submitLabel}</button>
+                    ${className === 'comment-inline-form' ? '<button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>' : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function renderComment(comment, replies = []) {
+        const isAuthor = viewer && comment.userId === viewer.uid;
+        const isLocationOwner = viewer && locationOwnerId === viewer.uid;
+        const kind = getCommentKind(comment.kind);
+        const showText = !comment.hidden || isAuthor || isLocationOwner;
+        const editing = openForm && openForm.type === 'edit' && openForm.commentId === comment.id;
+        const replying = openForm && openForm.type === 'reply' && openForm.commentId === comment.id;
+
+        const actions = [];
+        if (viewer && !comment.parentId) actions.push('<button type="button" data-action="reply">Reply</button>');
+        if (isAuthor) actions.push('<button type="button" data-action="edit">Edit</button>');
+        if (isAuthor) actions.push('<button type="button" data-action="delete">Delete</button>');
+        if (isLocationOwner) {
+            actions.push(comment.hidden
+                ? '<button type="button" data-action="unhide">Unhide</button>'
+                : '<button type="button" data-action="hide">Hide</button>');
+        }
+
+        return `
+            <div class="comment ${comment.hidden ? 'comment-hidden' : ''}" data-comment-id="${comment.id}">
+                <div class="comment-meta">
+                    ${comment.parentId ? '' : `<span class="comment-kind">${kind.icon} ${kind.label}</span>`}
+                    <a href="./settings.html?userId=${encodeURIComponent(comment.userId)}">${escapeHtml(names.get(comment.userId) || 'Unknown User')}</a>
+                    · ${formatFirestoreDate(comment.createdAt)}${comment.edited ? ' · edited' : ''}
+                </div>
+                ${comment.hidden ? '<div class="comment-notice">Hidden by the location owner</div>' : ''}
+                ${editing
+                    ? renderForm('comment-inline-form', {
+                        text: openForm.text,
+                        kind: openForm.kind,
+                        withKind: !comment.parentId,
+                        submitAction: 'save-edit',
+                        submitLabel: 'Save',
+                        placeholder: 'Edit your comment'
+                    })
+                    : (showText ? `<div class="comment-text">${escapeHtml(comment.text).replace(/\n/g, '<br>')}</div>` : '')}
+                ${actions.length > 0 && !editing ? `<div class="comment-actions">${actions.join('')}</div>` : ''}
+                ${replying
+                    ? renderForm('comment-inline-form', {
+                        text: openForm.text,
+                        submitAction: 'post-reply',
+                        submitLabel: 'Reply',
+                        placeholder: 'Write a reply'
+                    })
+                    : ''}
+                ${replies.length > 0 ? `<div class="comment-replies">${replies.map(reply => renderComment(reply)).join('')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    function render() {
+        captureDrafts();
+
+        // Newest conversations first, replies in the order they were posted
+        const topLevel = comments.filter(comment => !comment.parentId)
+            .sort((a, b) => (getTimestampMillis(b.createdAt) || 0) - (getTimestampMillis(a.createdAt) || 0));
+        const topLevelIds = new Set(topLevel.map(comment => comment.id));
+        const repliesByParent = new Map();
+        comments.filter(comment => comment.parentId).forEach(reply => {
+            const key = topLevelIds.has(reply.parentId) ? reply.parentId : 'orphaned';
+            if (!repliesByParent.has(key)) repliesByParent.set(key, []);
+            repliesByParent.get(key).push(reply);
+        });
+
+        let html = viewer
+            ? renderForm('comment-new', {
+                text: newCommentDraft.text,
+                kind: newCommentDraft.kind,
+                withKind: true,
+                submitAction: 'post',
+                submitLabel: 'Post',
+                placeholder: 'Share an access tip, recent conditions or ask a question'
+            })
+            : '<p class="comment-login"><a href="./login.html">Log in</a> to join the conversation.</p>';
+
+        if (comments.length === 0) {
+            html += '<p class="comment-empty">No comments yet.</p>';
+        }
+        html += topLevel.map(comment => renderComment(comment, repliesByParent.get(comment.id) || [])).join('');
+
+        // Replies whose comment was deleted stay readable
+        const orphaned = repliesByParent.get('orphaned') || [];
+        if (orphaned.length > 0) {
+            html += `
+                <div class="comment comment-deleted">
+                    <div class="comment-notice">Comment deleted</div>
+                    <div class="comment-replies">${orphaned.map(reply => renderComment(reply)).join('')}</div>
+                </div>
+            `;
+        }
+
+        container.innerHTML = html;
+    }
+
+    async function handleAction(action, commentId) {
+        const comment = comments.find(candidate => candidate.id === commentId);
+
+        switch (action) {
+            case 'post': {
+                const form = container.querySelector('.comment-new');
+                await postComment(locationId, viewer.uid, {
+                    text: form.querySelector('textarea').value,
+                    kind: form.querySelector('select').value
+                });
+                // The live listener may already have re-rendered the form
+                newCommentDraft = { text: '', kind: 'comment' };
+                container.querySelector('.comment-new textarea').value = '';
+                showSuccess('Comment posted.');
+                break;
+            }
+            case 'reply':
+                openForm = { type: 'reply', commentId, text: '' };
+                render();
+                break;
+            case 'edit':
+                openForm = { type: 'edit', commentId, text: comment.text, kind: comment.kind };
+                render();
+                break;
+            case 'cancel':
+                openForm = null;
+                render();
+                break;
+            case 'post-reply': {
+                const text = container.querySelector('.comment-inline-form textarea').value;
+                await postComment(locationId, viewer.uid, { text, parentId: openForm.commentId });
+                openForm = null;
+                render();
+                break;
+            }
+            case 'save-edit': {
+                const form = container.querySelector('.comment-inline-form');
+                const kindSelect = form.querySelector('select');
+                await editComment(locationId, openForm.commentId, {
+                    text: form.querySelector('textarea').value,
+                    kind: kindSelect ? kindSelect.value : comment.kind
+                });
+                openForm = null;
+                render();
+                break;
+            }
+            case 'delete':
+                if (!confirm('Delete this comment?')) return;
+                await deleteComment(locationId, commentId);
+                showSuccess('Comment deleted.');
+                break;
+            case 'hide':
+            case 'unhide':
+                await setCommentHidden(locationId, commentId, action === 'hide');
+                break;
+        }
+    }
+
+    container.addEventListener('click', async event => {
+        const button = event.target.closest('button[data-action]');
+        if (!button || !viewer) return;
+
+        const commentElement = button.closest('.comment');
+        button.disabled = true;
+        try {
+            await handleAction(button.dataset.action, commentElement ? commentElement.dataset.commentId : null);
+        } catch (error) {
+            console.error('Error updating comment:', error);
+            showError(error.code ? 'Failed to update the comment. Please try again.' : error.message);
+        } finally {
+            button.disabled = false;
+        }
+    });
+
+    const unsubscribe = onSnapshot(query(commentsCollection(locationId), orderBy('createdAt')), async snapshot => {
+        const next = snapshot.docs.map(commentDoc => ({
+            id: commentDoc.id,
+            ...commentDoc.data({ serverTimestamps: 'estimate' })
+        }));
+        const userIds = Array.from(new Set(next.map(comment => comment.userId)));
+        const resolved = await Promise.all(userIds.map(getAuthorName));
+
+        names = new Map(userIds.map((userId, index) => [userId, resolved[index]]));
+        comments = next;
+        if (openForm && !comments.some(comment => comment.id === openForm.commentId)) {
+            openForm = null;
+        }
+        render();
+        onCountChange(comments.length);
+    }, error => {
+        console.error('Error loading comments:', error);
+        container.innerHTML = '<p class="comment-empty">Comments could not be loaded.</p>';
+    });
+
+    render();
+
+    return {
+        /** Update who is viewing (null when signed out) and who owns the location */
+        setViewer(user, ownerId) {
+            viewer = user;
+            locationOwnerId = ownerId;
+            render();
+        },
+
+        /** Stop listening for new comments */
+        destroy() {
+            unsubscribe();
+        }
+    };
+}
@@ -0,0 +1,399 @@
+/**
+ * Coordinate Entry
+ * Reads a position from the forms people paste - decimal degrees, degrees/minutes/seconds,
+ * Google Maps links and Plus Codes (Open Location Code) - and the coordinate field used by
+ * the create and edit forms, with a draggable preview pin. The preview needs Leaflet on the page.
+ */
+
+import { getPreferredBaseLayer, createTileLayer } from './base-layers.js';
+
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const PLUS_CODE_SEPARATOR_POSITION = 8;
+// Degrees covered by each pair of Plus Code digits
+const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const PLUS_CODE_PATTERN = /^([23456789CFGHJMPQRVWX0]{2,8})\+([23456789CFGHJMPQRVWX]*)(?:[\s,]+.*)?$/;
+
+// Google Maps query parameters that can hold a "lat,lon" pair
+const MAP_URL_PARAMS = ['q', 'query', 'll', 'sll', 'cbll', 'destination', 'daddr', 'center', 'viewpoint'];
+
+const PREVIEW_ZOOM = 16;
+const COORDINATE_DECIMALS = 6;
+
+/**
+ * Error thrown for text that cannot be read as a position
+ */
+export class CoordinateParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CoordinateParseError';
+    }
+}
+
+/**
+ * Check that a latitude and longitude are numbers within range
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if -90 <= lat <= 90 and -180 <= lon <= 180
+ */
+export function isValidCoordinate(lat, lon) {
+    return Number.isFinite(lat) && Number.isFinite(lon)
+        && lat >= -90 && lat <= 90
+        && lon >= -180 && lon <= 180;
+}
+
+/**
+ * Format a position the way the forms show it
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} e.g. "48.858400, 2.294500"
+ */
+export function formatCoordinates(lat, lon) {
+    return `${lat.toFixed(COORDINATE_DECIMALS)}, ${lon.toFixed(COORDINATE_DECIMALS)}`;
+}
+
+// ===== PARSING =====
+
+/**
+ * Read a position from pasted text
+ * Accepts "48.8584, 2.2945", "48.8584N 2.2945E", 48°51'30"N 2°17'40"E, "N 48° 51.5' E 2° 17.7'",
+ * Google Maps URLs (place pins, @lat,lon views and ?q= / ?ll= style links) and Plus Codes.
+ * Short Plus Codes ("V75V+8Q Paris") are resolved against near; any place name is ignored.
+ * @param {string} text - Text to read
+ * @param {object} options - { near: {lat, lon} } reference point for short Plus Codes
+ * @returns {{lat: number, lon: number}} The position
+ * @throws {CoordinateParseError} If the text is not a position or is out of range
+ */
+export function parseCoordinates(text, { near = null } = {}) {
+    const input = (text || '').trim();
+    if (!input) {
+        throw new CoordinateParseError('Enter coordinates, a Google Maps link or a Plus Code.');
+    }
+
+    let position;
+    if (/^https?:\/\//i.test(input)) {
+        position = parseMapUrl(input);
+    } else if (PLUS_CODE_PATTERN.test(input.toUpperCase())) {
+        position = parsePlusCode(input.toUpperCase(), near);
+    } else {
+        position = parseCoordinatePair(input);
+    }
+
+    if (!isValidCoordinate(position.lat, position.lon)) {
+        throw new CoordinateParseError('Latitude must be between -90 and 90 and longitude between -180 and 180.');
+    }
+    return position;
+}
+
+function parseCoordinatePair(text) {
+    const normalized = text.toUpperCase()
+        .replace(/[º˚]/g, '°')
+        .replace(/[′’‘]/g, "'")
+        .replace(/[″”“]|''/g, '"');
+    if (/[^0-9NSEW°'".,;+\-\s]/.test(normalized)) {
+        throw new CoordinateParseError('Could not read that as coordinates.');
+    }
+
+    const [first, second] = splitCoordinatePair(normalized);
+    const a = parseCoordinatePart(first);
+    const b = parseCoordinatePart(second);
+
+    // Hemisphere letters may give the longitude first ("2.29E 48.85N")
+    const aIsLongitude = a.hemisphere === 'E' || a.hemisphere === 'W';
+    const bIsLongitude = b.hemisphere === 'E' || b.hemisphere === 'W';
+    if (a.hemisphere && b.hemisphere && aIsLongitude === bIsLongitude) {
+        throw new CoordinateParseError('Give one latitude (N/S) and one longitude (E/W).');
+    }
+    return aIsLongitude || (b.hemisphere && !bIsLongitude)
+        ? { lat: b.value, lon: a.value }
+        : { lat: a.value, lon: b.value };
+}
+
+// Split "lat, lon" text into its two halves
+function splitCoordinatePair(text) {
+    const separated = text.split(/\s*[,;]\s*/).filter(part => part.trim() !== '');
+    if (separated.length === 2) {
+        return separated;
+    }
+    if (separated.length > 2) {
+        throw new CoordinateParseError('Use a dot for decimals, e.g. 48.8584, 2.2945.');
+    }
+
+    // Hemisphere letters mark the halves, before ("N 48 E 2") or after ("48N 2E") the numbers
+    const hemispheres = text.match(/[NSEW]/g) || [];
+    if (hemispheres.length === 2) {
+        const halves = /^\s*[NSEW]/.test(text)
+            ? text.match(/^\s*([NSEW][^NSEW]+)([NSEW].*)$/)
+            : text.match(/^\s*([^NSEW]+[NSEW])(.+)$/);
+        if (halves) {
+            return [halves[1], halves[2]];
+        }
+    }
+
+    // Otherwise split the numbers evenly: "48.85 2.29", "48 51.5 2 17.7", "48 51 30 2 17 40"
+    const numbers = text.match(/[+-]?\d+(?:\.\d+)?\s*[°'"]?/g) || [];
+    if (hemispheres.length === 0 && [2, 4, 6].includes(numbers.length)) {
+        const half = numbers.length / 2;
+        return [numbers.slice(0, half).join(' '), numbers.slice(half).join(' ')];
+    }
+    throw new CoordinateParseError('Could not tell the latitude from the longitude. Separate them with a comma.');
+}
+
+// Read one coordinate: decimal degrees, or degrees with minutes and optional seconds
+function parseCoordinatePart(text) {
+    const hemispheres = text.match(/[NSEW]/g) || [];
+    if (hemispheres.length > 1) {
+        throw new CoordinateParseError('Could not read that as coordinates.');
+    }
+    const hemisphere = hemispheres[0] || null;
+
+    const numbers = (text.match(/[+-]?\d+(?:\.\d+)?/g) || []).map(Number);
+    if (numbers.length === 0 || numbers.length > 3) {
+        throw new CoordinateParseError('Could not read that as coordinates.');
+    }
+
+    const [degrees, minutes = 0, seconds = 0] = numbers;
+    if (numbers.length > 1 && (!Number.isInteger(Math.abs(degrees)) || minutes < 0 || minutes >= 60)) {
+        throw new CoordinateParseError('Minutes must be between 0 and 59.');
+    }
+    if (numbers.length > 2 && (!Number.isInteger(minutes) || seconds < 0 || seconds >= 60)) {
+        throw new CoordinateParseError('Seconds must be between 0 and 59.');
+    }
+
+    const magnitude = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+    const negative = degrees < 0 || Object.is(degrees, -0) || hemisphere === 'S' || hemisphere === 'W';
+    if (degrees < 0 && (hemisphere === 'S' || hemisphere === 'W')) {
+        throw new CoordinateParseError('Use either a minus sign or S/W, not both.');
+    }
+    return { value: negative ? -magnitude : magnitude, hemisphere };
+}
+
+// Google Maps links: the place pin (!3d..!4d..) beats the view center (@lat,lon) beats query parameters
+function parseMapUrl(text) {
+    if (/goo\.gl|maps\.app/i.test(text)) {
+        throw new CoordinateParseError('Short links cannot be read. Open the link and copy the full address from the browser.');
+    }
+
+    let decoded = text;
+    try {
+        decoded = decodeURIComponent(text);
+    } catch (error) {
+        // Malformed escapes: read the link as it is
+    }
+    const pin = decoded.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+    if (pin) {
+        return { lat: Number(pin[1]), lon: Number(pin[2]) };
+    }
+    const view = decoded.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+    if (view) {
+        return { lat: Number(view[1]), lon: Number(view[2]) };
+    }
+
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        throw new CoordinateParseError('That link is not a valid address.');
+    }
+    for (const name of MAP_URL_PARAMS) {
+        const value = url.searchParams.get(name);
+        const pair = value && value.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+        if (pair) {
+            return { lat: Number(pair[1]), lon: Number(pair[2]) };
+        }
+    }
+    throw new CoordinateParseError('That link does not contain coordinates. Drop a pin in Google Maps and share that.');
+}
+
+// ===== PLUS CODES =====
+
+function parsePlusCode(text, near) {
+    const [, prefix, suffix] = text.match(PLUS_CODE_PATTERN);
+    if (prefix.length % 2 === 1 || suffix.length === 1) {
+        throw new CoordinateParseError('That is not a valid Plus Code.');
+    }
+
+    if (prefix.length === PLUS_CODE_SEPARATOR_POSITION) {
+        return decodePlusCode(prefix + suffix);
+    }
+
+    // Short code: the missing leading digits come from the nearest matching area
+    if (prefix.includes('0')) {
+        throw new CoordinateParseError('That is not a valid Plus Code.');
+    }
+    if (!near) {
+        throw new CoordinateParseError('Short Plus Codes need a nearby point. Use the full code, e.g. 8FW4V75V+8Q.');
+    }
+    return recoverNearestPlusCode(prefix, suffix, near);
+}
+
+function decodePlusCode(code) {
+    const digits = code.replace(/0+$/, '');
+    if (digits.length % 2 === 1 && digits.length < PLUS_CODE_SEPARATOR_POSITION) {
+        throw new CoordinateParseError('That is not a valid Plus Code.');
+    }
+    if (digits.length > PLUS_CODE_SEPARATOR_POSITION && code.slice(0, PLUS_CODE_SEPARATOR_POSITION).includes('0')) {
+        throw new CoordinateParseError('That is not a valid Plus Code.');
+    }
+
+    let south = -90;
+    let west = -180;
+    let latSize = 0;
+    let lonSize = 0;
+    const pairDigits = digits.slice(0, 10);
+    for (let i = 0; i < pairDigits.length; i += 2) {
+        const resolution = PLUS_CODE_PAIR_RESOLUTIONS[i / 2];
+        south += PLUS_CODE_ALPHABET.indexOf(pairDigits[i]) * resolution;
+        west += PLUS_CODE_ALPHABET.indexOf(pairDigits[i + 1]) * resolution;
+        latSize = resolution;
+        lonSize = resolution;
+    }
+
+    // Digits after the tenth refine a 5 x 4 grid
+    for (const digit of digits.slice(10)) {
+        const index = PLUS_CODE_ALPHABET.indexOf(digit);
+        latSize /= 5;
+        lonSize /= 4;
+        south += Math.floor(index / 4) * latSize;
+        west += (index % 4) * lonSize;
+    }
+
+    return { lat: south + latSize / 2, lon: west + lonSize / 2 };
+}
+
+function recoverNearestPlusCode(prefix, suffix, near) {
+    const missing = PLUS_CODE_SEPARATOR_POSITION - prefix.length;
+    const resolution = PLUS_CODE_PAIR_RESOLUTIONS[missing / 2 - 1];
+
+    // Borrow the leading digits of the area around the reference point
+    let lat = near.lat + 90;
+    let lon = near.lon + 180;
+    let leading = '';
+    for (let i = 0; i < missing / 2; i++) {
+        const pairResolution = PLUS_CODE_PAIR_RESOLUTIONS[i];
+        const latDigit = Math.min(Math.floor(lat / pairResolution), PLUS_CODE_ALPHABET.length - 1);
+        const lonDigit = Math.min(Math.floor(lon / pairResolution), PLUS_CODE_ALPHABET.length - 1);
+        leading += PLUS_CODE_ALPHABET[latDigit] + PLUS_CODE_ALPHABET[lonDigit];
+        lat -= latDigit * pairResolution;
+        lon -= lonDigit * pairResolution;
+    }
+
+    const position = decodePlusCode(leading + prefix + suffix);
+    // The code may belong to the neighbouring area if that is closer to the reference point
+    if (near.lat + resolution / 2 < position.lat && position.lat - resolution >= -90) {
+        position.lat -= resolution;
+    } else if (near.lat - resolution / 2 > position.lat && position.lat + resolution <= 90) {
+        position.lat += resolution;
+    }
+    if (near.lon + resolution / 2 < position.lon) {
+        position.lon -= resolution;
+    } else if (near.lon - resolution / 2 > position.lon) {
+        position.lon += resolution;
+    }
+    if (position.lon > 180) position.lon -= 360;
+    if (position.lon < -180) position.lon += 360;
+    return position;
+}
+
+// ===== COORDINATE FIELD =====
+
+/**
+ * Turn a text input into a coordinate field with an inline error and a draggable preview pin
+ * The text is read when the field changes (paste, Enter or leaving it); the preview map is
+ * inserted after the input and shows where the location will be saved.
+ * @param {HTMLInputElement} input - Coordinate text field
+ * @param {object} options - Field options
+ * @param {function} options.getNear - Returns {lat, lon} for resolving short Plus Codes, or null
+ * @param {function} options.onChange - Called with (lat, lon) when the user sets a new position
+ * @returns {{set: function, getPosition: function, hasError: function, reset: function}} Controller
+ */
+export function attachCoordinateInput(input, { getNear = () => null, onChange = () => {} } = {}) {
+    const error = document.createElement('div');
+    error.className = 'coords-error';
+    error.setAttribute('role', 'alert');
+    const preview = document.createElement('div');
+    preview.className = 'coords-preview';
+    input.insertAdjacentElement('afterend', preview);
+    input.insertAdjacentElement('afterend', error);
+    input.setAttribute('autocomplete', 'off');
+
+    let position = null;
+    let previewMap = null;
+    let previewMarker = null;
+
+    function showError(message) {
+        error.textContent = message || '';
+        error.classList.toggle('active', Boolean(message));
+        input.classList.toggle('invalid', Boolean(message));
+    }
+
+    function showPreview() {
+        preview.classList.add('active');
+        if (!previewMap) {
+            previewMap = L.map(preview, { scrollWheelZoom: false, attributionControl: false })
+                .setView([position.lat, position.lon], PREVIEW_ZOOM);
+            createTileLayer(getPreferredBaseLayer()).addTo(previewMap);
+            previewMarker = L.marker([position.lat, position.lon], { draggable: true }).addTo(previewMap);
+            previewMarker.on('dragend', () => {
+                const latLng = previewMarker.getLatLng();
+                update(latLng.lat, latLng.lng);
+                onChange(position.lat, position.lon);
+            });
+            return;
+        }
+        // The form may have been hidden while the map was last sized
+        previewMap.invalidateSize();
+        previewMap.setView([position.lat, position.lon], Math.max(previewMap.getZoom(), PREVIEW_ZOOM));
+        previewMarker.setLatLng([position.lat, position.lon]);
+    }
+
+    function update(lat, lon) {
+        position = { lat, lon };
+        input.value = formatCoordinates(lat, lon);
+        showError(null);
+        showPreview();
+    }
+
+    function read() {
+        if (!input.value.trim() && position) {
+            input.value = formatCoordinates(position.lat, position.lon);
+            return;
+        }
+        try {
+            const parsed = parseCoordinates(input.value, { near: getNear() || position });
+            update(parsed.lat, parsed.lon);
+            onChange(parsed.lat, parsed.lon);
+        } catch (parseError) {
+            if (!(parseError instanceof CoordinateParseError)) throw parseError;
+            showError(parseError.message);
+        }
+    }
+
+    input.addEventListener('change', read);
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            read();
+        }
+    });
+
+    return {
+        // Show a position without calling onChange (e.g. the pin the user clicked)
+        set(lat, lon) {
+            update(lat, lon);
+        },
+        // The last valid position, or null
+        getPosition() {
+            return position ? { ...position } : null;
+        },
+        // True while the text in the field could not be read
+        hasError() {
+            return error.classList.contains('active');
+        },
+        reset() {
+            position = null;
+            input.value = '';
+            showError(null);
+            preview.classList.remove('active');
+        }
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Duplicate Locations
+ * Finds existing locations near a new pin with a similar title, and lets an owner fold
+ * one of their duplicates' photos and votes into another of their locations. The merged
+ * duplicate is kept as a tombstone (mergedInto) so old links still resolve.
+ */
+
+import { db, collection, doc, getDoc, getDocs, query, orderBy, startAt, endAt, limit, writeBatch,
+         serverTimestamp, arrayUnion } from './firebase-config.js';
+import { distanceMeters, geohashesForBounds, chooseGeohashPrecision } from './geo.js';
+import { getLocationImages, buildImageFields, MAX_IMAGES_PER_LOCATION } from './images.js';
+import { getVoteCounts, needsVoteMigration, ensureVoteCounters, INITIAL_VOTE_COUNTS } from './votes.js';
+
+// Default search radius for "is this already on the map?"
+export const DUPLICATE_SEARCH_RADIUS_METERS = 150;
+// Titles at least this similar (0-1) count as the same place
+export const SIMILAR_TITLE_THRESHOLD = 0.6;
+
+const TITLE_STOPWORDS = new Set(['the', 'a', 'an', 'of', 'at', 'in', 'on', 'and', 'by', 'near']);
+const METERS_PER_DEGREE_LAT = 111320;
+const QUERY_MAX_TILES = 9;
+const QUERY_TILE_LIMIT = 200;
+
+// ===== TITLE MATCHING =====
+
+function normalizeTitle(title) {
+    return (title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word && !TITLE_STOPWORDS.has(word));
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Score how alike two location titles are, ignoring case, accents, punctuation and filler words
+ * The better of word overlap (Dice coefficient) and spelling closeness (edit distance), so both
+ * "Tower Bridge" / "Tower Bridge at night" and "Brooklyn Bridge" / "Brooklyn Brdige" match.
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity from 0 (unrelated) to 1 (same)
+ */
+export function titleSimilarity(a, b) {
+    const wordsA = normalizeTitle(a);
+    const wordsB = normalizeTitle(b);
+    if (wordsA.length === 0 || wordsB.length === 0) {
+        return 0;
+    }
+
+    const setB = new Set(wordsB);
+    const shared = new Set(wordsA.filter(word => setB.has(word))).size;
+    const dice = (2 * shared) / (new Set(wordsA).size + setB.size);
+
+    const joinedA = wordsA.join(' ');
+    const joinedB = wordsB.join(' ');
+    const spelling = 1 - editDistance(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+
+    return Math.max(dice, spelling);
+}
+
+// ===== FINDING DUPLICATES =====
+
+/**
+ * Pick the candidates within a radius of a point whose titles are similar
+ * @param {{lat: number, lon: number, title: string}} target - The new or canonical location
+ * @param {Array<{id: string, title: string, lat: number, lon: number}>} candidates - Locations to check
+ * @param {number} radius - Search radius in meters
+ * @returns {Array<{id: string, title: string, lat: number, lon: number, distance: number, similarity: number}>}
+ *          Likely duplicates, closest first
+ */
+export function matchDuplicates(target, candidates, radius = DUPLICATE_SEARCH_RADIUS_METERS) {
+    // Titles are only compared for the candidates in range; imports check every loaded pin
+    return candidates
+        .map(candidate => ({
+            ...candidate,
+            distance: distanceMeters(target.lat, target.lon, candidate.lat, candidate.lon)
+        }))
+        .filter(candidate => candidate.distance <= radius)
+        .map(candidate => ({ ...candidate, similarity: titleSimilarity(target.title, candidate.title) }))
+        .filter(candidate => candidate.similarity >= SIMILAR_TITLE_THRESHOLD)
+        .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Look up existing locations that are likely the same place as a pin
+ * @param {number} lat - Latitude of the pin
+ * @param {number} lon - Longitude of the pin
+ * @param {string} title - Title given to the pin
+ * @param {object} options - { radius } in meters, { excludeId } to skip the location itself
+ * @returns {Promise<Array<object>>} Matches from matchDuplicates, with userId and images
+ */
+export async function findDuplicateLocations(lat, lon, title, { radius = DUPLICATE_SEARCH_RADIUS_METERS, excludeId = null } = {}) {
+    const latDelta = radius / METERS_PER_DEGREE_LAT;
+    const lonDelta = radius / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    const bounds = { south: lat - latDelta, west: lon - lonDelta, north: lat + latDelta, east: lon + lonDelta };
+    const tiles = geohashesForBounds(bounds, chooseGeohashPrecision(bounds, QUERY_MAX_TILES));
+
+    const snapshots = await Promise.all(tiles.map(tile => getDocs(query(
+        collection(db, 'locations'),
+        orderBy('geohash'),
+        startAt(tile),
+        endAt(tile + '\uf8ff'),
+        limit(QUERY_TILE_LIMIT)
+    ))));
+
+    const candidates = [];
+    snapshots.forEach(snapshot => snapshot.docs.forEach(locationDoc => {
+        const data = locationDoc.data();
+        if (locationDoc.id === excludeId || data.hidden === true || data.mergedInto) return;
+        candidates.push({
+            id: locationDoc.id,
+            title: data.title || 'Untitled Location',
+            lat: parseFloat(data.latitude),
+            lon: parseFloat(data.longitude),
+            userId: data.userId,
+            images: getLocationImages(data)
+        });
+    }));
+
+    return matchDuplicates({ lat, lon, title }, candidates, radius);
+}
+
+// ===== MERGING =====
+
+/**
+ * Fold a duplicate into the canonical location
+ * The canonical location gains the duplicate's photos (up to the photo limit) and its vote
+ * totals. Vote documents are private to each voter, so they stay with the duplicate and a
+ * voter of both is counted twice. The duplicate is marked mergedInto so it disappears from
+ * the map and its page redirects; its totals are zeroed and it takes no further votes.
+ * @param {string} canonicalId - Location to keep (owned by the signed-in user)
+ * @param {string} duplicateId - Location to fold in (also owned by the signed-in user)
+ * @returns {Promise<{photos: number, votes: number}>} How many photos and votes were moved
+ * @throws {Error} With a message for the user if the locations cannot be merged
+ */
+export async function mergeLocations(canonicalId, duplicateId) {
+    if (canonicalId === duplicateId) {
+        throw new Error('A location cannot be merged into itself.');
+    }
+
+    const readLocations = () => Promise.all([
+        getDoc(doc(db, 'locations', canonicalId)),
+        getDoc(doc(db, 'locations', duplicateId))
+    ]);
+    let [canonicalDoc, duplicateDoc] = await readLocations();
+    if (!canonicalDoc.exists() || !duplicateDoc.exists()) {
+        throw new Error('One of the locations no longer exists.');
+    }
+    if (duplicateDoc.data().mergedInto) {
+        throw new Error('That location has already been merged.');
+    }
+    // Someone else's location is theirs to keep; they can merge it themselves
+    if (duplicateDoc.data().userId !== canonicalDoc.data().userId) {
+        throw new Error('You can only merge locations you added yourself.');
+    }
+
+    // Totals can only be added up once both locations keep vote counters
+    const unmigrated = [canonicalDoc, duplicateDoc].filter(locationDoc => needsVoteMigration(locationDoc.data()));
+    if (unmigrated.length > 0) {
+        await Promise.all(unmigrated.map(locationDoc => ensureVoteCounters(locationDoc.id, locationDoc.data())));
+        [canonicalDoc, duplicateDoc] = await readLocations();
+    }
+    const canonical = canonicalDoc.data();
+    const duplicate = duplicateDoc.data();
+
+    // Photos: keep the canonical order, then append the duplicate's
+    const images = getLocationImages(canonical);
+    const knownUrls = new Set(images.map(image => image.url));
+    const addedImages = getLocationImages(duplicate)
+        .filter(image => !knownUrls.has(image.url))
+        .slice(0, Math.max(0, MAX_IMAGES_PER_LOCATION - images.length));
+
+    const canonicalVotes = getVoteCounts(canonical);
+    const addedVotes = getVoteCounts(duplicate);
+    const upvoteCount = canonicalVotes.upvoteCount + addedVotes.upvoteCount;
+    const downvoteCount = canonicalVotes.downvoteCount + addedVotes.downvoteCount;
+
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'locations', canonicalId), {
+        ...buildImageFields([...images, ...addedImages]),
+        upvoteCount,
+        downvoteCount,
+        score: upvoteCount - downvoteCount,
+        mergedFrom: arrayUnion(duplicateId),
+        // Lets the security rules check the totals against the duplicate being folded in
+        lastMergedFrom: duplicateId,
+        updatedAt: serverTimestamp()
+    });
+    batch.update(doc(db, 'locations', duplicateId), {
+        ...INITIAL_VOTE_COUNTS,
+        mergedInto: canonicalId,
+        mergedAt: serverTimestamp()
+    });
+    await batch.commit();
+
+    return { photos: addedImages.length, votes: addedVotes.upvoteCount + addedVotes.downvoteCount };
+}
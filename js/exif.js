@@ -0,0 +1,383 @@
+/**
+ * JPEG EXIF Helpers
+ * Reads GPS position, capture time and camera settings from a photo, and
+ * carries the EXIF (APP1) segment over to a re-encoded image when the user
+ * chooses to keep photo metadata
+ */
+
+const JPEG_SOI = 0xFFD8;
+const MARKER_APP0 = 0xFFE0;
+const MARKER_APP1 = 0xFFE1;
+const MARKER_SOS = 0xFFDA;
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+
+// Field types and their size in bytes
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+const TYPE_SRATIONAL = 10;
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const IFD0_TAGS = { 0x010F: 'make', 0x0110: 'model', 0x0132: 'dateTime' };
+const EXIF_TAGS = {
+    0x829A: 'exposureTime',
+    0x829D: 'fNumber',
+    0x8827: 'iso',
+    0x9003: 'dateTimeOriginal',
+    0x9011: 'offsetTimeOriginal',
+    0x920A: 'focalLength',
+    0xA405: 'focalLength35mm',
+    0xA434: 'lensModel'
+};
+const GPS_TAGS = { 0x0001: 'latitudeRef', 0x0002: 'latitude', 0x0003: 'longitudeRef', 0x0004: 'longitude' };
+
+// ===== SEGMENTS =====
+
+/**
+ * Walk the marker segments at the start of a JPEG
+ * @param {DataView} view - The JPEG bytes
+ * @returns {Array<{marker: number, offset: number, length: number}>} Segments before the image data;
+ *          `offset` is the marker position and `length` includes the marker itself
+ */
+function listSegments(view) {
+    const segments = [];
+    if (view.byteLength < 4 || view.getUint16(0) !== JPEG_SOI) {
+        return segments;
+    }
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === MARKER_SOS) {
+            break;
+        }
+        const length = view.getUint16(offset + 2) + 2;
+        segments.push({ marker, offset, length });
+        offset += length;
+    }
+    return segments;
+}
+
+function isExifSegment(view, segment) {
+    // APP1 payload starts with "Exif\0\0"
+    return segment.marker === MARKER_APP1
+        && segment.length >= 10
+        && view.getUint32(segment.offset + 4) === 0x45786966
+        && view.getUint16(segment.offset + 8) === 0;
+}
+
+/**
+ * Copy the EXIF segment out of a JPEG
+ * @param {ArrayBuffer} buffer - The original file's bytes
+ * @returns {Uint8Array|null} The full APP1 segment (marker included), or null if there is none
+ */
+export function readExifSegment(buffer) {
+    const view = new DataView(buffer);
+    const segment = listSegments(view).find(candidate => isExifSegment(view, candidate));
+    if (!segment) {
+        return null;
+    }
+    return new Uint8Array(buffer.slice(segment.offset, segment.offset + segment.length));
+}
+
+/**
+ * Insert an EXIF segment into a JPEG that has none
+ * The segment goes after the JFIF (APP0) header when there is one, as readers expect.
+ * @param {ArrayBuffer} jpegBuffer - The re-encoded JPEG
+ * @param {Uint8Array} exifSegment - Segment from readExifSegment
+ * @returns {Uint8Array} The JPEG with metadata
+ */
+export function insertExifSegment(jpegBuffer, exifSegment) {
+    const view = new DataView(jpegBuffer);
+    if (view.byteLength < 2 || view.getUint16(0) !== JPEG_SOI) {
+        throw new Error('Not a JPEG image');
+    }
+
+    const app0 = listSegments(view).find(segment => segment.marker === MARKER_APP0);
+    const insertAt = app0 ? app0.offset + app0.length : 2;
+
+    const source = new Uint8Array(jpegBuffer);
+    const result = new Uint8Array(source.length + exifSegment.length);
+    result.set(source.subarray(0, insertAt), 0);
+    result.set(exifSegment, insertAt);
+    result.set(source.subarray(insertAt), insertAt + exifSegment.length);
+    return result;
+}
+
+// ===== TIFF DIRECTORY =====
+
+/**
+ * Read the TIFF header inside an EXIF segment
+ * @param {DataView} view - View over the APP1 segment
+ * @returns {{tiffStart: number, littleEndian: boolean}|null} Header details, or null if malformed
+ */
+function readTiffHeader(view) {
+    const tiffStart = 10; // marker (2) + length (2) + "Exif\0\0" (6)
+    if (view.byteLength < tiffStart + 8) {
+        return null;
+    }
+    const byteOrder = view.getUint16(tiffStart);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+        return null;
+    }
+    return { tiffStart, littleEndian: byteOrder === 0x4949 };
+}
+
+/**
+ * Set the orientation tag of an EXIF segment to "upright"
+ * Browsers rotate images while decoding them, so a re-encoded image is already
+ * upright and keeping the original orientation would rotate it twice.
+ * @param {Uint8Array} exifSegment - Segment from readExifSegment (modified in place)
+ * @returns {Uint8Array} The same segment
+ */
+export function resetExifOrientation(exifSegment) {
+    const view = new DataView(exifSegment.buffer, exifSegment.byteOffset, exifSegment.byteLength);
+    const header = readTiffHeader(view);
+    if (!header) {
+        return exifSegment;
+    }
+
+    const { tiffStart, littleEndian } = header;
+    const ifdOffset = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+    if (ifdOffset + 2 > view.byteLength) {
+        return exifSegment;
+    }
+
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        if (entryOffset + 12 > view.byteLength) break;
+        if (view.getUint16(entryOffset, littleEndian) === TAG_ORIENTATION
+            && view.getUint16(entryOffset + 2, littleEndian) === TYPE_SHORT) {
+            view.setUint16(entryOffset + 8, 1, littleEndian);
+            break;
+        }
+    }
+    return exifSegment;
+}
+
+// Read one directory entry's value; multi-value rationals come back as arrays
+function readTagValue(view, entryOffset, tiffStart, littleEndian) {
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const size = (TYPE_SIZES[type] || 0) * count;
+    if (size === 0) {
+        return null;
+    }
+
+    // Values over four bytes live elsewhere, at an offset from the TIFF header
+    const valueOffset = size > 4 ? tiffStart + view.getUint32(entryOffset + 8, littleEndian) : entryOffset + 8;
+    if (valueOffset + size > view.byteLength) {
+        return null;
+    }
+
+    if (type === TYPE_ASCII) {
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            const code = view.getUint8(valueOffset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text.trim();
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        if (type === TYPE_SHORT) {
+            values.push(view.getUint16(valueOffset + i * 2, littleEndian));
+        } else if (type === TYPE_LONG) {
+            values.push(view.getUint32(valueOffset + i * 4, littleEndian));
+        } else if (type === TYPE_RATIONAL || type === TYPE_SRATIONAL) {
+            const signed = type === TYPE_SRATIONAL;
+            const at = valueOffset + i * 8;
+            const numerator = signed ? view.getInt32(at, littleEndian) : view.getUint32(at, littleEndian);
+            const denominator = signed ? view.getInt32(at + 4, littleEndian) : view.getUint32(at + 4, littleEndian);
+            values.push(denominator === 0 ? null : numerator / denominator);
+        } else {
+            values.push(view.getUint8(valueOffset + i));
+        }
+    }
+    return count === 1 ? values[0] : values;
+}
+
+/**
+ * Read the tags of one image file directory
+ * @param {DataView} view - View over the APP1 segment
+ * @param {number} ifdOffset - Directory position within the view
+ * @param {object} header - {tiffStart, littleEndian}
+ * @param {object} names - Tag number to property name for the tags to keep
+ * @returns {object} Named values, plus `pointers` to the EXIF and GPS directories
+ */
+function readDirectory(view, ifdOffset, { tiffStart, littleEndian }, names) {
+    const result = { pointers: {} };
+    if (ifdOffset + 2 > view.byteLength) {
+        return result;
+    }
+
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        if (entryOffset + 12 > view.byteLength) break;
+
+        const tag = view.getUint16(entryOffset, littleEndian);
+        if (tag === TAG_EXIF_IFD || tag === TAG_GPS_IFD) {
+            result.pointers[tag] = tiffStart + view.getUint32(entryOffset + 8, littleEndian);
+        } else if (names[tag]) {
+            result[names[tag]] = readTagValue(view, entryOffset, tiffStart, littleEndian);
+        }
+    }
+    return result;
+}
+
+// Degrees/minutes/seconds plus an N/S/E/W reference to signed decimal degrees
+function toDecimalDegrees(parts, ref, negativeRef) {
+    if (!Array.isArray(parts) || parts.length < 3 || parts.some(part => part === null)) {
+        return null;
+    }
+    const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+    return ref === negativeRef ? -degrees : degrees;
+}
+
+// "2024:05:01 18:32:10" (+ optional "+02:00") to an ISO 8601 local date-time string
+function toIsoDateTime(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match || match[1] === '0000') {
+        return null;
+    }
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+// Round a camera value for storage, or null when missing
+function roundValue(value, digits) {
+    return typeof value === 'number' && isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+/**
+ * Read the position, capture time and camera settings from a JPEG
+ * Every field is null when the photo does not record it.
+ * @param {ArrayBuffer} buffer - The photo's bytes
+ * @returns {{latitude: number|null, longitude: number|null, takenAt: string|null,
+ *            cameraMake: string|null, cameraModel: string|null, lensModel: string|null,
+ *            focalLength: number|null, focalLength35mm: number|null, aperture: number|null,
+ *            exposureTime: number|null, iso: number|null}|null} Metadata, or null without EXIF
+ */
+export function readExifData(buffer) {
+    const segment = readExifSegment(buffer);
+    if (!segment) {
+        return null;
+    }
+
+    const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength);
+    const header = readTiffHeader(view);
+    if (!header) {
+        return null;
+    }
+
+    const ifd0 = readDirectory(view, header.tiffStart + view.getUint32(header.tiffStart + 4, header.littleEndian), header, IFD0_TAGS);
+    const exif = ifd0.pointers[TAG_EXIF_IFD] ? readDirectory(view, ifd0.pointers[TAG_EXIF_IFD], header, EXIF_TAGS) : {};
+    const gps = ifd0.pointers[TAG_GPS_IFD] ? readDirectory(view, ifd0.pointers[TAG_GPS_IFD], header, GPS_TAGS) : {};
+
+    let latitude = toDecimalDegrees(gps.latitude, gps.latitudeRef, 'S');
+    let longitude = toDecimalDegrees(gps.longitude, gps.longitudeRef, 'W');
+    // Some cameras write 0,0 when they had no fix
+    if (latitude === null || longitude === null || (latitude === 0 && longitude === 0)
+        || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        latitude = null;
+        longitude = null;
+    }
+
+    const iso = Array.isArray(exif.iso) ? exif.iso[0] : exif.iso;
+
+    return {
+        latitude: roundValue(latitude, 7),
+        longitude: roundValue(longitude, 7),
+        takenAt: toIsoDateTime(exif.dateTimeOriginal || ifd0.dateTime, exif.offsetTimeOriginal),
+        cameraMake: ifd0.make || null,
+        cameraModel: ifd0.model || null,
+        lensModel: exif.lensModel || null,
+        focalLength: roundValue(exif.focalLength, 1),
+        focalLength35mm: roundValue(exif.focalLength35mm, 0),
+        aperture: roundValue(exif.fNumber, 1),
+        exposureTime: roundValue(exif.exposureTime, 6),
+        iso: roundValue(iso, 0)
+    };
+}
+
+// ===== SHOT INFO =====
+
+const SHOT_INFO_FIELDS = ['takenAt', 'cameraMake', 'cameraModel', 'lensModel', 'focalLength',
+    'focalLength35mm', 'aperture', 'exposureTime', 'iso'];
+
+/**
+ * Pick the camera fields stored on a location as optional shot info
+ * @param {object} exifData - Result of readExifData
+ * @returns {object|null} Non-empty shot info fields, or null if the photo records none
+ */
+export function buildShotInfo(exifData) {
+    if (!exifData) {
+        return null;
+    }
+    const shotInfo = {};
+    SHOT_INFO_FIELDS.forEach(field => {
+        if (exifData[field] !== null && exifData[field] !== undefined && exifData[field] !== '') {
+            shotInfo[field] = exifData[field];
+        }
+    });
+    return Object.keys(shotInfo).length > 0 ? shotInfo : null;
+}
+
+/**
+ * Describe shot info as short display strings
+ * @param {object} shotInfo - Stored shot info
+ * @returns {{takenAt: string|null, camera: string|null, settings: Array<string>}} Display parts
+ */
+export function describeShotInfo(shotInfo) {
+    if (!shotInfo) {
+        return { takenAt: null, camera: null, settings: [] };
+    }
+
+    let takenAt = null;
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(shotInfo.takenAt || '');
+    if (match) {
+        // Show the camera's local wall-clock time; that is what matters for light
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const local = new Date(year, month - 1, day, hour, minute);
+        takenAt = local.toLocaleString(undefined, {
+            year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+    }
+
+    // Many makers repeat their name in the model string ("Canon" + "Canon EOS R6")
+    const make = shotInfo.cameraMake || '';
+    const model = shotInfo.cameraModel || '';
+    let camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+    if (shotInfo.lensModel) {
+        camera = camera ? `${camera} · ${shotInfo.lensModel}` : shotInfo.lensModel;
+    }
+
+    const settings = [];
+    if (shotInfo.focalLength) {
+        const equivalent = shotInfo.focalLength35mm && shotInfo.focalLength35mm !== Math.round(shotInfo.focalLength)
+            ? ` (${shotInfo.focalLength35mm}mm eq.)`
+            : '';
+        settings.push(`${shotInfo.focalLength}mm${equivalent}`);
+    }
+    if (shotInfo.aperture) {
+        settings.push(`f/${shotInfo.aperture}`);
+    }
+    if (shotInfo.exposureTime) {
+        settings.push(shotInfo.exposureTime >= 1
+            ? `${shotInfo.exposureTime}s`
+            : `1/${Math.round(1 / shotInfo.exposureTime)}s`);
+    }
+    if (shotInfo.iso) {
+        settings.push(`ISO ${shotInfo.iso}`);
+    }
+
+    return { takenAt, camera: camera || null, settings };
+}
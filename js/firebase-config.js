@@ -8,8 +8,10 @@ import { getAuth, createUserWithEmailAndPassword, signInWithEmailAndPassword,
          sendPasswordResetEmail, sendEmailVerification } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
 import { getFirestore, collection, addDoc, getDocs, doc, getDoc,
          setDoc, updateDoc, deleteDoc, query, where, orderBy,
-         serverTimestamp, arrayUnion, arrayRemove } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
-import { getStorage, ref, uploadBytes, getDownloadURL, deleteObject } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js";
+         startAt, startAfter, endAt, limit, writeBatch, onSnapshot,
+         serverTimestamp, arrayUnion, arrayRemove, getCountFromServer,
+         collectionGroup, runTransaction, deleteField } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { getStorage, ref, uploadBytes, uploadBytesResumable, getDownloadURL, deleteObject } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js";
 
 // Your web app's Firebase configuration
 // REPLACE THIS WITH YOUR ACTUAL CONFIG FROM FIREBASE CONSOLE
@@ -45,6 +47,7 @@ export {
   storage,
   ref,
   uploadBytes,
+  uploadBytesResumable,
   getDownloadURL,
   deleteObject,
   createUserWithEmailAndPassword,
@@ -66,7 +69,17 @@ export {
   query,
   where,
   orderBy,
+  startAt,
+  startAfter,
+  endAt,
+  limit,
+  writeBatch,
+  onSnapshot,
   serverTimestamp,
   arrayUnion,
-  arrayRemove
+  arrayRemove,
+  getCountFromServer,
+  collectionGroup,
+  runTransaction,
+  deleteField
 };
@@ -0,0 +1,189 @@
+/**
+ * Follows & Activity Feed
+ * Follow relationships stored on both sides (users/{uid}/following/{targetId} and
+ * users/{targetId}/followers/{uid}) and the feed of new locations, photos and
+ * comments from followed photographers since the user last looked
+ */
+
+import { db, collection, collectionGroup, doc, getDoc, getDocs, query, where, writeBatch,
+         updateDoc, serverTimestamp, getCountFromServer } from './firebase-config.js';
+import { getTimestampMillis } from './utils.js';
+
+// Firestore 'in' filters accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+// How far back the first feed visit looks
+const DEFAULT_FEED_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const MAX_FEED_ITEMS = 50;
+
+function chunk(values, size) {
+    const chunks = [];
+    for (let i = 0; i < values.length; i += size) {
+        chunks.push(values.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// ===== FOLLOWING =====
+
+/**
+ * Follow a user
+ * @param {string} userId - Signed-in user
+ * @param {string} targetId - User to follow
+ */
+export async function followUser(userId, targetId) {
+    if (userId === targetId) {
+        throw new Error('You cannot follow yourself.');
+    }
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'users', userId, 'following', targetId), { createdAt: serverTimestamp() });
+    batch.set(doc(db, 'users', targetId, 'followers', userId), { createdAt: serverTimestamp() });
+    await batch.commit();
+}
+
+/**
+ * Stop following a user
+ * @param {string} userId - Signed-in user
+ * @param {string} targetId - User to unfollow
+ */
+export async function unfollowUser(userId, targetId) {
+    const batch = writeBatch(db);
+    batch.delete(doc(db, 'users', userId, 'following', targetId));
+    batch.delete(doc(db, 'users', targetId, 'followers', userId));
+    await batch.commit();
+}
+
+/**
+ * Check whether one user follows another
+ * @param {string} userId - Possible follower
+ * @param {string} targetId - Possibly followed user
+ * @returns {Promise<boolean>} True if userId follows targetId
+ */
+export async function isFollowing(userId, targetId) {
+    const followDoc = await getDoc(doc(db, 'users', userId, 'following', targetId));
+    return followDoc.exists();
+}
+
+/**
+ * Load the IDs of everyone a user follows
+ * @param {string} userId - Follower
+ * @returns {Promise<Set<string>>} Followed user IDs
+ */
+export async function getFollowingIds(userId) {
+    const snapshot = await getDocs(collection(db, 'users', userId, 'following'));
+    return new Set(snapshot.docs.map(followDoc => followDoc.id));
+}
+
+/**
+ * Count a user's followers and the users they follow
+ * @param {string} userId - Profile owner
+ * @returns {Promise<{followers: number, following: number}>} Counts
+ */
+export async function getFollowCounts(userId) {
+    const [followers, following] = await Promise.all([
+        getCountFromServer(collection(db, 'users', userId, 'followers')),
+        getCountFromServer(collection(db, 'users', userId, 'following'))
+    ]);
+    return { followers: followers.data().count, following: following.data().count };
+}
+
+// ===== ACTIVITY FEED =====
+
+/**
+ * Get when the user last opened their feed
+ * @param {object} userData - The user's profile document data
+ * @returns {number} Milliseconds since epoch; a week ago for a first visit
+ */
+export function getFeedSince(userData) {
+    return getTimestampMillis(userData && userData.feedSeenAt) || Date.now() - DEFAULT_FEED_WINDOW_MS;
+}
+
+/**
+ * Remember that the user has seen their feed up to now
+ * @param {string} userId - Signed-in user
+ */
+export async function markFeedSeen(userId) {
+    await updateDoc(doc(db, 'users', userId), { feedSeenAt: serverTimestamp() });
+}
+
+/**
+ * Collect recent activity from followed users, newest first
+ * New locations and added photos are queried on locations.userId + createdAt and
+ * locations.userId + photosAddedAt; comments use a collection-group query on
+ * comments.userId + createdAt. Each pair needs a composite index.
+ * @param {Iterable<string>} followingIds - Followed user IDs
+ * @param {number} since - Only include activity after this time (milliseconds)
+ * @returns {Promise<Array<{type: string, userId: string, locationId: string, title: string,
+ *          text: string, time: number}>>} Items of type 'location', 'photos' or 'comment'
+ */
+export async function getActivityFeed(followingIds, since) {
+    const ids = Array.from(followingIds);
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const items = [];
+    const locationTitles = new Map();
+
+    await Promise.all(chunk(ids, IN_QUERY_LIMIT).map(async userIds => {
+        const [created, photosAdded, comments] = await Promise.all([
+            getDocs(query(collection(db, 'locations'),
+                where('userId', 'in', userIds),
+                where('createdAt', '>', new Date(since)))),
+            getDocs(query(collection(db, 'locations'),
+                where('userId', 'in', userIds),
+                where('photosAddedAt', '>', new Date(since)))),
+            getDocs(query(collectionGroup(db, 'comments'),
+                where('userId', 'in', userIds),
+                where('createdAt', '>', new Date(since))))
+        ]);
+
+        // A location created since the last visit is shown once, as new, even if photos were added later
+        [...created.docs, ...photosAdded.docs].forEach(locationDoc => {
+            if (locationTitles.has(locationDoc.id)) return;
+            const data = locationDoc.data();
+            if (data.hidden === true || data.mergedInto) {
+                locationTitles.set(locationDoc.id, null);
+                return;
+            }
+            const title = data.title || 'Untitled Location';
+            locationTitles.set(locationDoc.id, title);
+
+            const createdAt = getTimestampMillis(data.createdAt);
+            if (createdAt > since) {
+                items.push({ type: 'location', userId: data.userId, locationId: locationDoc.id, title, text: '', time: createdAt });
+            } else {
+                items.push({ type: 'photos', userId: data.userId, locationId: locationDoc.id, title, text: '', time: getTimestampMillis(data.photosAddedAt) });
+            }
+        });
+
+        comments.docs.forEach(commentDoc => {
+            const data = commentDoc.data();
+            if (data.hidden === true) return;
+            items.push({
+                type: 'comment',
+                userId: data.userId,
+                locationId: commentDoc.ref.parent.parent.id,
+                title: '',
+                text: data.text || '',
+                time: getTimestampMillis(data.createdAt)
+            });
+        });
+    }));
+
+    items.sort((a, b) => b.time - a.time);
+    const feed = items.slice(0, MAX_FEED_ITEMS);
+
+    // Comments can be on anyone's location; look up the titles not already loaded
+    await Promise.all(feed.filter(item => item.type === 'comment').map(async item => {
+        if (!locationTitles.has(item.locationId)) {
+            const locationDoc = await getDoc(doc(db, 'locations', item.locationId));
+            const visible = locationDoc.exists() && locationDoc.data().hidden !== true && !locationDoc.data().mergedInto;
+            locationTitles.set(item.locationId, visible ? (locationDoc.data().title || 'Untitled Location') : null);
+        }
+        item.title = locationTitles.get(item.locationId);
+    }));
+
+    return feed.filter(item => item.title !== null);
+}
@@ -0,0 +1,166 @@
+/**
+ * Photo Gallery
+ * Swipeable strip of a location's photos with a full-screen lightbox
+ */
+
+import { escapeHtml } from './utils.js';
+
+const SWIPE_THRESHOLD = 50; // px of horizontal travel that counts as a swipe
+
+let lightbox = null;
+let lightboxImages = [];
+let lightboxIndex = 0;
+
+// ===== LIGHTBOX =====
+
+// Build the shared lightbox element the first time it is needed
+function getLightbox() {
+    if (lightbox) {
+        return lightbox;
+    }
+
+    lightbox = document.createElement('div');
+    lightbox.className = 'lightbox';
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.innerHTML = `
+        <button type="button" class="lightbox-close" aria-label="Close">✕</button>
+        <button type="button" class="lightbox-nav lightbox-prev" aria-label="Previous photo">‹</button>
+        <figure class="lightbox-figure">
+            <img class="lightbox-image" alt="">
+            <figcaption class="lightbox-caption"></figcaption>
+        </figure>
+        <button type="button" class="lightbox-nav lightbox-next" aria-label="Next photo">›</button>
+        <div class="lightbox-counter"></div>
+    `;
+    document.body.appendChild(lightbox);
+
+    lightbox.querySelector('.lightbox-close').addEventListener('click', closeLightbox);
+    lightbox.querySelector('.lightbox-prev').addEventListener('click', () => showLightboxImage(lightboxIndex - 1));
+    lightbox.querySelector('.lightbox-next').addEventListener('click', () => showLightboxImage(lightboxIndex + 1));
+
+    // Clicking the backdrop (not the photo) closes the lightbox
+    lightbox.addEventListener('click', event => {
+        if (event.target === lightbox) {
+            closeLightbox();
+        }
+    });
+
+    let touchStartX = null;
+    lightbox.addEventListener('touchstart', event => {
+        touchStartX = event.touches[0].clientX;
+    }, { passive: true });
+    lightbox.addEventListener('touchend', event => {
+        if (touchStartX === null) return;
+        const deltaX = event.changedTouches[0].clientX - touchStartX;
+        touchStartX = null;
+        if (Math.abs(deltaX) >= SWIPE_THRESHOLD) {
+            showLightboxImage(lightboxIndex + (deltaX < 0 ? 1 : -1));
+        }
+    });
+
+    document.addEventListener('keydown', event => {
+        if (!lightbox.classList.contains('active')) return;
+        if (event.key === 'Escape') closeLightbox();
+        else if (event.key === 'ArrowLeft') showLightboxImage(lightboxIndex - 1);
+        else if (event.key === 'ArrowRight') showLightboxImage(lightboxIndex + 1);
+    });
+
+    return lightbox;
+}
+
+function showLightboxImage(index) {
+    if (lightboxImages.length === 0) return;
+
+    // Wrap around at either end
+    lightboxIndex = (index + lightboxImages.length) % lightboxImages.length;
+    const image = lightboxImages[lightboxIndex];
+    const box = getLightbox();
+
+    const img = box.querySelector('.lightbox-image');
+    img.src = image.url;
+    img.alt = image.caption || `Photo ${lightboxIndex + 1}`;
+    box.querySelector('.lightbox-caption').textContent = image.caption || '';
+    box.querySelector('.lightbox-counter').textContent = `${lightboxIndex + 1} / ${lightboxImages.length}`;
+
+    const single = lightboxImages.length < 2;
+    box.querySelectorAll('.lightbox-nav').forEach(button => {
+        button.style.display = single ? 'none' : '';
+    });
+}
+
+/**
+ * Open the lightbox on a photo
+ * @param {Array<{url: string, caption: string}>} images - Ordered photos
+ * @param {number} index - Photo to show first
+ */
+export function openLightbox(images, index = 0) {
+    lightboxImages = images;
+    const box = getLightbox();
+    showLightboxImage(index);
+    box.classList.add('active');
+    document.body.classList.add('lightbox-open');
+}
+
+/**
+ * Close the lightbox if it is open
+ */
+export function closeLightbox() {
+    if (!lightbox) return;
+    lightbox.classList.remove('active');
+    document.body.classList.remove('lightbox-open');
+}
+
+// ===== GALLERY STRIP =====
+
+/**
+ * Render a swipeable photo strip; tapping a photo opens it in the lightbox
+ * @param {HTMLElement} container - Element the gallery is rendered into
+ * @param {Array<{url: string, caption: string}>} images - Ordered photos
+ * @param {string} title - Location title, used for alt text
+ */
+export function renderGallery(container, images, title = '') {
+    if (images.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const slides = images.map((image, index) => `
+        <figure class="gallery-slide">
+            <img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.caption || `${title} photo ${index + 1}`)}"
+                 data-index="${index}" loading="lazy">
+            ${image.caption ? `<figcaption>${escapeHtml(image.caption)}</figcaption>` : ''}
+        </figure>
+    `).join('');
+
+    const dots = images.length > 1
+        ? `<div class="gallery-dots">${images.map((_, index) =>
+            `<button type="button" class="gallery-dot ${index === 0 ? 'active' : ''}" data-index="${index}" aria-label="Show photo ${index + 1}"></button>`
+        ).join('')}</div>`
+        : '';
+
+    container.innerHTML = `<div class="gallery-track">${slides}</div>${dots}`;
+
+    const track = container.querySelector('.gallery-track');
+
+    track.querySelectorAll('img').forEach(img => {
+        img.addEventListener('click', () => openLightbox(images, Number(img.dataset.index)));
+        img.addEventListener('error', () => {
+            img.closest('.gallery-slide').innerHTML = '<div class="no-image">Image failed to load</div>';
+        });
+    });
+
+    container.querySelectorAll('.gallery-dot').forEach(dot => {
+        dot.addEventListener('click', () => {
+            track.scrollTo({ left: track.clientWidth * Number(dot.dataset.index), behavior: 'smooth' });
+        });
+    });
+
+    // Keep the dots in step with native swipe scrolling
+    track.addEventListener('scroll', () => {
+        const current = Math.round(track.scrollLeft / Math.max(track.clientWidth, 1));
+        container.querySelectorAll('.gallery-dot').forEach((dot, index) => {
+            dot.classList.toggle('active', index === current);
+        });
+    }, { passive: true });
+}
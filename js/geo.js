@@ -0,0 +1,198 @@
+/**
+ * Geospatial Helpers
+ * Geohash encoding and tile coverage used to load only the locations in view,
+ * plus distance math shared by search and list views
+ */
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Precision stored on every location document (~5m x 5m cells)
+export const GEOHASH_PRECISION = 9;
+
+// Valid characters for a stored geohash, mirrored in the Firestore rules
+export const GEOHASH_PATTERN = /^[0-9b-hjkmnp-z]{1,12}$/;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// ===== DISTANCE =====
+
+/**
+ * Great-circle (haversine) distance between two coordinates
+ * @param {number} lat1 - First latitude in degrees
+ * @param {number} lon1 - First longitude in degrees
+ * @param {number} lat2 - Second latitude in degrees
+ * @param {number} lon2 - Second longitude in degrees
+ * @returns {number} Distance in meters
+ */
+export function distanceMeters(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// ===== GEOHASH =====
+
+/**
+ * Encode a coordinate as a geohash string
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} precision - Number of characters in the result
+ * @returns {string} The geohash
+ */
+export function encodeGeohash(lat, lon, precision = GEOHASH_PRECISION) {
+    let minLat = -90, maxLat = 90;
+    let minLon = -180, maxLon = 180;
+    let hash = '';
+    let bit = 0;
+    let charIndex = 0;
+    let evenBit = true;
+
+    while (hash.length < precision) {
+        if (evenBit) {
+            const mid = (minLon + maxLon) / 2;
+            if (lon >= mid) {
+                charIndex = (charIndex << 1) | 1;
+                minLon = mid;
+            } else {
+                charIndex = charIndex << 1;
+                maxLon = mid;
+            }
+        } else {
+            const mid = (minLat + maxLat) / 2;
+            if (lat >= mid) {
+                charIndex = (charIndex << 1) | 1;
+                minLat = mid;
+            } else {
+                charIndex = charIndex << 1;
+                maxLat = mid;
+            }
+        }
+        evenBit = !evenBit;
+
+        if (++bit === 5) {
+            hash += GEOHASH_BASE32.charAt(charIndex);
+            bit = 0;
+            charIndex = 0;
+        }
+    }
+
+    return hash;
+}
+
+/**
+ * Decode a geohash into the bounding box of its cell
+ * @param {string} hash - The geohash to decode
+ * @returns {{south: number, west: number, north: number, east: number}} Cell bounds
+ */
+export function decodeGeohashBounds(hash) {
+    let minLat = -90, maxLat = 90;
+    let minLon = -180, maxLon = 180;
+    let evenBit = true;
+
+    for (const char of hash.toLowerCase()) {
+        const charIndex = GEOHASH_BASE32.indexOf(char);
+        if (charIndex === -1) {
+            throw new Error(`Invalid geohash character: ${char}`);
+        }
+        for (let n = 4; n >= 0; n--) {
+            const bitSet = (charIndex >> n) & 1;
+            if (evenBit) {
+                const mid = (minLon + maxLon) / 2;
+                if (bitSet) minLon = mid; else maxLon = mid;
+            } else {
+                const mid = (minLat + maxLat) / 2;
+                if (bitSet) minLat = mid; else maxLat = mid;
+            }
+            evenBit = !evenBit;
+        }
+    }
+
+    return { south: minLat, west: minLon, north: maxLat, east: maxLon };
+}
+
+/**
+ * Get the size in degrees of a geohash cell at the given precision
+ * @param {number} precision - Geohash length
+ * @returns {{latSize: number, lonSize: number}} Cell height and width in degrees
+ */
+export function geohashCellSize(precision) {
+    const totalBits = precision * 5;
+    const lonBits = Math.ceil(totalBits / 2);
+    const latBits = Math.floor(totalBits / 2);
+    return {
+        latSize: 180 / Math.pow(2, latBits),
+        lonSize: 360 / Math.pow(2, lonBits)
+    };
+}
+
+// ===== TILE COVERAGE =====
+
+// Split a (possibly wrapped) bounding box into boxes within [-180, 180]
+function normalizeBounds({ south, west, north, east }) {
+    south = Math.max(-90, south);
+    north = Math.min(90, north);
+
+    if (east - west >= 360) {
+        return [{ south, west: -180, north, east: 180 }];
+    }
+
+    const wrap = lon => ((((lon + 180) % 360) + 360) % 360) - 180;
+    west = wrap(west);
+    east = wrap(east);
+
+    if (west <= east) {
+        return [{ south, west, north, east }];
+    }
+    // Box crosses the antimeridian
+    return [
+        { south, west, north, east: 180 },
+        { south, west: -180, north, east }
+    ];
+}
+
+/**
+ * List the geohash cells at a precision that cover a bounding box
+ * @param {object} bounds - {south, west, north, east} in degrees
+ * @param {number} precision - Geohash length of the cells
+ * @returns {Array<string>} Covering geohashes
+ */
+export function geohashesForBounds(bounds, precision) {
+    const { latSize, lonSize } = geohashCellSize(precision);
+    const hashes = new Set();
+
+    normalizeBounds(bounds).forEach(box => {
+        // Walk cell centres so rounding at the edges never skips a cell
+        const startLat = Math.floor((box.south + 90) / latSize) * latSize - 90;
+        const startLon = Math.floor((box.west + 180) / lonSize) * lonSize - 180;
+
+        for (let lat = startLat; lat < box.north; lat += latSize) {
+            for (let lon = startLon; lon < box.east; lon += lonSize) {
+                const centerLat = Math.min(lat + latSize / 2, 90);
+                const centerLon = Math.min(lon + lonSize / 2, 180);
+                hashes.add(encodeGeohash(centerLat, centerLon, precision));
+            }
+        }
+    });
+
+    return Array.from(hashes);
+}
+
+/**
+ * Pick the finest geohash precision whose covering stays within a tile budget
+ * @param {object} bounds - {south, west, north, east} in degrees
+ * @param {number} maxTiles - Maximum number of tiles to query at once
+ * @returns {number} Geohash precision between 1 and 6
+ */
+export function chooseGeohashPrecision(bounds, maxTiles = 12) {
+    let chosen = 1;
+    for (let precision = 1; precision <= 6; precision++) {
+        if (geohashesForBounds(bounds, precision).length > maxTiles) {
+            break;
+        }
+        chosen = precision;
+    }
+    return chosen;
+}
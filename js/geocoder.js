@@ -0,0 +1,358 @@
+/**
+ * Geocoding
+ * Address lookups behind a small swappable interface: Nominatim (OpenStreetMap) for
+ * reverse lookups and Photon for type-ahead search, both with caching and rate
+ * limiting, a local stub, and the suggestion list used by the address fields.
+ *
+ * A geocoder is any object with:
+ *   reverse(lat, lon) -> Promise<string|null>  address for a point
+ *   search(text, { near, signal }) -> Promise<Array<{label, lat, lon}>>  matching places (optional)
+ * Only give a geocoder search() if its provider allows search-as-you-type: the address
+ * fields call it on every pause in typing. Without it they offer no suggestions.
+ * Install a different one (another provider, or a local stub) with setGeocoder().
+ */
+
+import { distanceMeters } from './geo.js';
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+// Nominatim's usage policy allows at most one request per second
+const NOMINATIM_MIN_INTERVAL_MS = 1000;
+// Photon is built for search-as-you-type; the typing pause already spaces most requests
+const PHOTON_URL = 'https://photon.komoot.io';
+const PHOTON_MIN_INTERVAL_MS = 250;
+// Languages the public Photon server can answer in; others get its default labels
+const PHOTON_LANGUAGES = ['en', 'de', 'fr'];
+const MAX_CACHE_ENTRIES = 200;
+const MAX_SUGGESTIONS = 5;
+
+const SUGGEST_DELAY_MS = 400;
+const MIN_SUGGEST_LENGTH = 3;
+
+// ===== SHARED HELPERS =====
+
+function createCache() {
+    const entries = new Map();
+    return {
+        get(key) {
+            if (!entries.has(key)) return undefined;
+            // Refresh the entry's position so the least recently used is evicted first
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+        set(key, value) {
+            entries.set(key, value);
+            if (entries.size > MAX_CACHE_ENTRIES) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+}
+
+// Space requests out; each caller waits until minInterval after the previous one was
+// actually sent, so a timer that fires late cannot squeeze the next request closer
+function createRateLimiter(minInterval) {
+    // Resolves with the time the previous request was sent
+    let previousSlot = Promise.resolve(-Infinity);
+
+    return function waitForSlot() {
+        const slot = previousSlot.then(async previousAt => {
+            const delay = previousAt + minInterval - Date.now();
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+            return Date.now();
+        });
+        previousSlot = slot;
+        return slot;
+    };
+}
+
+// ===== NOMINATIM ADAPTER =====
+
+/**
+ * Create a geocoder backed by Nominatim
+ * Reverse lookups only: the public server's usage policy forbids client-side autocomplete.
+ * @param {object} options - Adapter options
+ * @param {string} options.baseUrl - Nominatim server (defaults to the public OSM instance)
+ * @param {number} options.minInterval - Minimum milliseconds between requests
+ * @param {string} options.language - Preferred language of the addresses
+ * @param {function} options.fetchImpl - fetch implementation, replaceable for tests
+ * @returns {{reverse: function}} Geocoder
+ */
+export function createNominatimGeocoder({ baseUrl = NOMINATIM_URL, minInterval = NOMINATIM_MIN_INTERVAL_MS,
+                                          language = globalThis.navigator?.language || 'en',
+                                          fetchImpl = (...args) => fetch(...args) } = {}) {
+    const cache = createCache();
+    const waitForSlot = createRateLimiter(minInterval);
+
+    async function request(path, params) {
+        await waitForSlot();
+
+        const url = new URL(path, baseUrl);
+        url.search = new URLSearchParams({
+            format: 'jsonv2',
+            'accept-language': language,
+            ...params
+        }).toString();
+
+        const response = await fetchImpl(url.href, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Geocoder request failed (${response.status})`);
+        }
+        return response.json();
+    }
+
+    return {
+        async reverse(lat, lon) {
+            const key = `reverse:${lat.toFixed(5)},${lon.toFixed(5)}`;
+            const cached = cache.get(key);
+            if (cached !== undefined) return cached;
+
+            const result = await request('/reverse', { lat: String(lat), lon: String(lon), zoom: '18' });
+            const address = result && result.display_name ? result.display_name : null;
+            cache.set(key, address);
+            return address;
+        }
+    };
+}
+
+// ===== PHOTON ADAPTER =====
+
+// One line from a Photon feature's address parts, most specific first
+function formatPhotonLabel(properties) {
+    const street = [properties.housenumber, properties.street].filter(Boolean).join(' ');
+    const parts = [properties.name, street, properties.city || properties.district, properties.state, properties.country]
+        .filter(Boolean);
+    return parts.filter((part, index) => parts.indexOf(part) === index).join(', ');
+}
+
+/**
+ * Create a geocoder backed by Photon (komoot's OpenStreetMap search, made for type-ahead)
+ * Search only; reverse lookups stay with Nominatim.
+ * @param {object} options - Adapter options
+ * @param {string} options.baseUrl - Photon server (defaults to the public komoot instance)
+ * @param {number} options.minInterval - Minimum milliseconds between requests
+ * @param {string} options.language - Preferred language of the labels
+ * @param {function} options.fetchImpl - fetch implementation, replaceable for tests
+ * @returns {{search: function}} Geocoder
+ */
+export function createPhotonGeocoder({ baseUrl = PHOTON_URL, minInterval = PHOTON_MIN_INTERVAL_MS,
+                                       language = globalThis.navigator?.language || 'en',
+                                       fetchImpl = (...args) => fetch(...args) } = {}) {
+    const cache = createCache();
+    const waitForSlot = createRateLimiter(minInterval);
+    const lang = language.slice(0, 2).toLowerCase();
+
+    return {
+        async search(text, { near = null, signal } = {}) {
+            const params = { q: text.trim(), limit: String(MAX_SUGGESTIONS) };
+            if (PHOTON_LANGUAGES.includes(lang)) {
+                params.lang = lang;
+            }
+            // Bias towards the pin; rounded so nearby pins share cached results
+            if (near) {
+                params.lat = near.lat.toFixed(2);
+                params.lon = near.lon.toFixed(2);
+            }
+
+            const url = new URL('/api/', baseUrl);
+            url.search = new URLSearchParams(params).toString();
+            const cached = cache.get(url.href);
+            if (cached !== undefined) return cached.map(place => ({ ...place }));
+
+            await waitForSlot();
+            const response = await fetchImpl(url.href, { headers: { Accept: 'application/json' }, signal });
+            if (!response.ok) {
+                throw new Error(`Geocoder request failed (${response.status})`);
+            }
+            const result = await response.json();
+            const places = ((result && result.features) || [])
+                .filter(feature => feature.geometry && Array.isArray(feature.geometry.coordinates))
+                .map(feature => ({
+                    label: formatPhotonLabel(feature.properties || {}),
+                    lat: feature.geometry.coordinates[1],
+                    lon: feature.geometry.coordinates[0]
+                }))
+                .filter(place => place.label);
+            cache.set(url.href, places);
+            return places.map(place => ({ ...place }));
+        }
+    };
+}
+
+// ===== STUB GEOCODER =====
+
+/**
+ * Create a geocoder that answers from a fixed list of places, for tests and local development
+ * @param {Array<{label: string, lat: number, lon: number}>} places - Known places
+ * @param {object} options - Stub options
+ * @param {number} options.reverseRadius - How close (meters) a point must be to a place to get its label
+ * @returns {{reverse: function, search: function}} Geocoder with search-as-you-type
+ */
+export function createStubGeocoder(places = [], { reverseRadius = 200 } = {}) {
+    const byDistance = (lat, lon) => places
+        .map(place => ({ place, distance: distanceMeters(lat, lon, place.lat, place.lon) }))
+        .sort((a, b) => a.distance - b.distance);
+
+    return {
+        async reverse(lat, lon) {
+            const [closest] = byDistance(lat, lon);
+            return closest && closest.distance <= reverseRadius ? closest.place.label : null;
+        },
+
+        async search(text, { near = null } = {}) {
+            const query = text.trim().toLowerCase();
+            const matches = near ? byDistance(near.lat, near.lon).map(entry => entry.place) : places;
+            return matches
+                .filter(place => place.label.toLowerCase().includes(query))
+                .slice(0, MAX_SUGGESTIONS)
+                .map(place => ({ ...place }));
+        }
+    };
+}
+
+// ===== ACTIVE GEOCODER =====
+
+// Nominatim answers reverse lookups; Photon, whose server allows it, answers type-ahead
+let activeGeocoder = {
+    reverse: createNominatimGeocoder().reverse,
+    search: createPhotonGeocoder().search
+};
+
+/**
+ * Replace the geocoder used by the app
+ * @param {{reverse: function, search: function=}} geocoder - Object implementing the geocoder interface
+ */
+export function setGeocoder(geocoder) {
+    activeGeocoder = geocoder;
+}
+
+/**
+ * Get the geocoder in use
+ * @returns {{reverse: function, search: function=}} The active geocoder
+ */
+export function getGeocoder() {
+    return activeGeocoder;
+}
+
+/**
+ * Look up the address of a point, without failing the caller
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<string|null>} The address, or null if unknown or offline
+ */
+export async function reverseGeocode(lat, lon) {
+    try {
+        return await activeGeocoder.reverse(lat, lon);
+    } catch (error) {
+        console.log('Reverse geocoding unavailable:', error);
+        return null;
+    }
+}
+
+// ===== ADDRESS AUTOCOMPLETE =====
+
+/**
+ * Add type-ahead address suggestions under a text input
+ * Stays quiet unless the active geocoder has search() (see the interface above).
+ * @param {HTMLInputElement} input - Address field
+ * @param {object} options - Autocomplete options
+ * @param {function} options.getNear - Returns {lat, lon} to bias results towards, or null
+ * @param {function} options.onSelect - Called with the chosen {label, lat, lon}
+ * @returns {{close: function}} Controller to hide the suggestions
+ */
+export function attachAddressAutocomplete(input, { getNear = () => null, onSelect = () => {} } = {}) {
+    const list = document.createElement('ul');
+    list.className = 'address-suggestions';
+    list.setAttribute('role', 'listbox');
+    input.insertAdjacentElement('afterend', list);
+
+    let places = [];
+    let activeIndex = -1;
+    let timer = null;
+    let controller = null;
+
+    function close() {
+        clearTimeout(timer);
+        if (controller) controller.abort();
+        places = [];
+        activeIndex = -1;
+        list.innerHTML = '';
+        list.classList.remove('active');
+    }
+
+    function render() {
+        list.innerHTML = '';
+        places.forEach((place, index) => {
+            const item = document.createElement('li');
+            item.textContent = place.label;
+            item.setAttribute('role', 'option');
+            item.classList.toggle('active', index === activeIndex);
+            // mousedown fires before the input's blur closes the list
+            item.addEventListener('mousedown', event => {
+                event.preventDefault();
+                choose(index);
+            });
+            list.appendChild(item);
+        });
+        list.classList.toggle('active', places.length > 0);
+    }
+
+    function choose(index) {
+        const place = places[index];
+        if (!place) return;
+        input.value = place.label;
+        close();
+        onSelect(place);
+    }
+
+    async function suggest() {
+        const text = input.value.trim();
+        if (controller) controller.abort();
+        if (text.length < MIN_SUGGEST_LENGTH) {
+            close();
+            return;
+        }
+
+        controller = new AbortController();
+        const { signal } = controller;
+        try {
+            const results = await activeGeocoder.search(text, { near: getNear(), signal });
+            if (signal.aborted) return;
+            places = results;
+            activeIndex = -1;
+            render();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.log('Address suggestions unavailable:', error);
+            }
+        }
+    }
+
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        if (typeof activeGeocoder.search !== 'function') return;
+        // Our list replaces the browser's own suggestions
+        input.setAttribute('autocomplete', 'off');
+        timer = setTimeout(suggest, SUGGEST_DELAY_MS);
+    });
+    input.addEventListener('keydown', event => {
+        if (places.length === 0) return;
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + places.length) % places.length;
+            render();
+        } else if (event.key === 'Enter' && activeIndex >= 0) {
+            event.preventDefault();
+            choose(activeIndex);
+        } else if (event.key === 'Escape') {
+            close();
+        }
+    });
+    input.addEventListener('blur', close);
+
+    return { close };
+}
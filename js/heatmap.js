@@ -0,0 +1,123 @@
+/**
+ * Heatmap Layer
+ * A canvas overlay that shades the map by how many locations are nearby, or by how
+ * well-rated they are. Drawn for the current view only and redrawn after each move.
+ * Needs Leaflet on the page.
+ */
+
+export const HEATMAP_MODES = [
+    { id: 'density', label: 'Heatmap: locations' },
+    { id: 'score', label: 'Heatmap: vote score' }
+];
+
+const DEFAULT_RADIUS = 25;
+const MAX_OPACITY = 0.7;
+// How much one point contributes; overlapping points add up towards the hot end
+const POINT_INTENSITY = 0.35;
+const GRADIENT = { 0.3: '#2196f3', 0.5: '#00bcd4', 0.65: '#8bc34a', 0.8: '#ffeb3b', 1: '#f44336' };
+
+let HeatmapLayer = null;
+
+// Soft round stamp drawn once per point
+function createStamp(radius) {
+    const stamp = document.createElement('canvas');
+    stamp.width = stamp.height = radius * 2;
+    const context = stamp.getContext('2d');
+    const fill = context.createRadialGradient(radius, radius, 0, radius, radius, radius);
+    fill.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    fill.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    context.fillStyle = fill;
+    context.fillRect(0, 0, radius * 2, radius * 2);
+    return stamp;
+}
+
+// 256 colours mapping stamp intensity to the gradient
+function createPalette() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 1;
+    const context = canvas.getContext('2d');
+    const fill = context.createLinearGradient(0, 0, 256, 0);
+    Object.entries(GRADIENT).forEach(([stop, color]) => fill.addColorStop(Number(stop), color));
+    context.fillStyle = fill;
+    context.fillRect(0, 0, 256, 1);
+    return context.getImageData(0, 0, 256, 1).data;
+}
+
+function defineHeatmapLayer() {
+    return L.Layer.extend({
+        initialize(getPoints, options) {
+            this._getPoints = getPoints;
+            L.setOptions(this, options);
+            this._stamp = createStamp(this.options.radius || DEFAULT_RADIUS);
+            this._palette = createPalette();
+        },
+
+        onAdd(map) {
+            this._canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide');
+            this._canvas.style.pointerEvents = 'none';
+            map.getPanes().overlayPane.appendChild(this._canvas);
+            map.on('moveend resize', this.redraw, this);
+            this.redraw();
+        },
+
+        onRemove(map) {
+            map.off('moveend resize', this.redraw, this);
+            L.DomUtil.remove(this._canvas);
+            this._canvas = null;
+        },
+
+        // Redraw with fresh points, e.g. after the visible locations change
+        redraw() {
+            if (!this._map || !this._canvas) return this;
+
+            const size = this._map.getSize();
+            const canvas = this._canvas;
+            canvas.width = size.x;
+            canvas.height = size.y;
+            L.DomUtil.setPosition(canvas, this._map.containerPointToLayerPoint([0, 0]));
+
+            const points = this._getPoints().filter(point => point.weight > 0);
+            if (points.length === 0) return this;
+
+            const context = canvas.getContext('2d');
+            const radius = this._stamp.width / 2;
+            const maxWeight = Math.max(...points.map(point => point.weight));
+            points.forEach(point => {
+                const position = this._map.latLngToContainerPoint([point.lat, point.lon]);
+                if (position.x < -radius || position.y < -radius || position.x > size.x + radius || position.y > size.y + radius) {
+                    return;
+                }
+                context.globalAlpha = Math.max(point.weight / maxWeight, 0.1) * POINT_INTENSITY;
+                context.drawImage(this._stamp, position.x - radius, position.y - radius);
+            });
+
+            // Turn the accumulated darkness into colour
+            const image = context.getImageData(0, 0, size.x, size.y);
+            const pixels = image.data;
+            for (let index = 3; index < pixels.length; index += 4) {
+                const intensity = pixels[index];
+                if (!intensity) continue;
+                pixels[index - 3] = this._palette[intensity * 4];
+                pixels[index - 2] = this._palette[intensity * 4 + 1];
+                pixels[index - 1] = this._palette[intensity * 4 + 2];
+                pixels[index] = Math.min(intensity * 2, 255 * MAX_OPACITY);
+            }
+            context.putImageData(image, 0, 0);
+            return this;
+        }
+    });
+}
+
+/**
+ * Create a heatmap overlay
+ * @param {Function} getPoints - Returns the points to draw: Array<{lat, lon, weight}>; weights of 0 or less are skipped
+ * @param {object} options - { radius } of each point in pixels
+ * @returns {L.Layer} Layer with a redraw() method
+ */
+export function createHeatmapLayer(getPoints, options = {}) {
+    if (!HeatmapLayer) {
+        HeatmapLayer = defineHeatmapLayer();
+    }
+    return new HeatmapLayer(getPoints, options);
+}
@@ -0,0 +1,489 @@
+/**
+ * Location Image Helpers
+ * Validation, resizing and re-encoding, thumbnails, resumable Storage uploads and
+ * the ordered photo list shared by the map's modals, the location page, the
+ * profile page and the offline outbox
+ */
+
+import { storage, ref, uploadBytesResumable, getDownloadURL, deleteObject } from './firebase-config.js';
+import { showError, escapeHtml } from './utils.js';
+import { readExifSegment, insertExifSegment, resetExifOrientation } from './exif.js';
+
+export const MAX_SOURCE_IMAGE_SIZE = 25 * 1024 * 1024; // 25MB before resizing
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB after processing
+export const MAX_IMAGES_PER_LOCATION = 10;
+export const MAX_CAPTION_LENGTH = 200;
+export const IMAGE_MAX_DIMENSION = 2048;
+export const THUMBNAIL_MAX_DIMENSION = 400;
+const PROFILE_MAX_DIMENSION = 512;
+const PROFILE_THUMBNAIL_DIMENSION = 128;
+const IMAGE_QUALITY = 0.85;
+const THUMBNAIL_QUALITY = 0.75;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const STRIP_METADATA_KEY = 'stripImageMetadata';
+
+// ===== VALIDATION =====
+
+/**
+ * Validate an image file before processing, showing an error if it is rejected
+ * @param {File} file - The selected file
+ * @returns {boolean} True if the file can be uploaded
+ */
+export function validateImageFile(file) {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.type)) {
+        showError('Invalid file type. Please upload JPG, PNG, GIF, or WebP images.');
+        return false;
+    }
+
+    if (file.size > MAX_SOURCE_IMAGE_SIZE) {
+        showError('File size exceeds 25MB limit. Please choose a smaller image.');
+        return false;
+    }
+
+    return true;
+}
+
+// ===== METADATA PREFERENCE =====
+
+/**
+ * Whether EXIF metadata (camera, GPS) should be removed from uploads
+ * Defaults to stripping so photos never leak a location by accident.
+ * @returns {boolean} True to strip metadata
+ */
+export function getStripMetadataPreference() {
+    return localStorage.getItem(STRIP_METADATA_KEY) !== 'false';
+}
+
+/**
+ * Keep a checkbox in sync with the saved strip-metadata preference
+ * @param {HTMLInputElement} checkbox - The "remove photo metadata" checkbox
+ */
+export function bindStripMetadataToggle(checkbox) {
+    checkbox.checked = getStripMetadataPreference();
+    checkbox.addEventListener('change', () => {
+        localStorage.setItem(STRIP_METADATA_KEY, String(checkbox.checked));
+    });
+}
+
+// ===== PROCESSING =====
+
+// Decode an image file, applying its EXIF orientation
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            // Fall back to an <img> element below
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const objectUrl = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(objectUrl);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(objectUrl);
+            reject(new Error('Could not read image'));
+        };
+        img.src = objectUrl;
+    });
+}
+
+// Draw an image onto a canvas no larger than maxDimension on its longest side
+function renderScaled(source, maxDimension) {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    const context = canvas.getContext('2d');
+    // Transparent areas would turn black in the JPEG fallback
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality);
+    });
+}
+
+// Encode as WebP, or JPEG on browsers that cannot encode WebP (they silently return PNG)
+async function encodeCompressed(canvas, quality) {
+    const webp = await canvasToBlob(canvas, 'image/webp', quality);
+    if (webp.type === 'image/webp') {
+        return webp;
+    }
+    return canvasToBlob(canvas, 'image/jpeg', quality);
+}
+
+function extensionForType(type) {
+    return { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif' }[type] || 'jpg';
+}
+
+/**
+ * Resize and re-encode an image, and generate its thumbnail
+ * Re-encoding drops all metadata. When `stripMetadata` is false the original
+ * JPEG's EXIF block is copied into a JPEG-encoded result instead.
+ * @param {Blob} file - The original image
+ * @param {object} options - Processing options
+ * @param {number} options.maxDimension - Longest side of the full image in pixels
+ * @param {number} options.thumbnailDimension - Longest side of the thumbnail in pixels
+ * @param {boolean} options.stripMetadata - Remove EXIF metadata from the full image
+ * @returns {Promise<{image: Blob, thumbnail: Blob}>} Processed full image and thumbnail
+ */
+export async function processImage(file, {
+    maxDimension = IMAGE_MAX_DIMENSION,
+    thumbnailDimension = THUMBNAIL_MAX_DIMENSION,
+    stripMetadata = true
+} = {}) {
+    const source = await decodeImage(file);
+
+    try {
+        let image;
+        const exifSegment = !stripMetadata && /jpe?g$/.test(file.type)
+            ? readExifSegment(await file.arrayBuffer())
+            : null;
+
+        if (file.type === 'image/gif' && file.size <= MAX_IMAGE_SIZE) {
+            // Re-encoding would drop the animation, and GIFs carry no EXIF
+            image = file;
+        } else if (exifSegment) {
+            const jpeg = await canvasToBlob(renderScaled(source, maxDimension), 'image/jpeg', IMAGE_QUALITY);
+            const bytes = insertExifSegment(await jpeg.arrayBuffer(), resetExifOrientation(exifSegment));
+            image = new Blob([bytes], { type: 'image/jpeg' });
+        } else {
+            image = await encodeCompressed(renderScaled(source, maxDimension), IMAGE_QUALITY);
+        }
+
+        if (image.size > MAX_IMAGE_SIZE) {
+            throw new Error('Processed image is still larger than 5MB');
+        }
+
+        const thumbnail = await encodeCompressed(renderScaled(source, thumbnailDimension), THUMBNAIL_QUALITY);
+        return { image, thumbnail };
+    } finally {
+        if (typeof source.close === 'function') {
+            source.close();
+        }
+    }
+}
+
+// ===== STORAGE =====
+
+/**
+ * Upload a blob to Firebase Storage with a resumable upload
+ * @param {string} storagePath - Destination path in the bucket
+ * @param {Blob} blob - The data to upload
+ * @param {function} onProgress - Optional, called with the fraction uploaded (0-1)
+ * @returns {Promise<string>} The download URL
+ */
+export function uploadWithProgress(storagePath, blob, onProgress) {
+    const task = uploadBytesResumable(ref(storage, storagePath), blob, { contentType: blob.type });
+
+    return new Promise((resolve, reject) => {
+        task.on('state_changed',
+            snapshot => {
+                if (onProgress && snapshot.totalBytes > 0) {
+                    onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
+                }
+            },
+            reject,
+            () => resolve(getDownloadURL(task.snapshot.ref))
+        );
+    });
+}
+
+/**
+ * Process a location image and upload it with its thumbnail
+ * @param {Blob} file - The original image (a File or a Blob queued offline)
+ * @param {string} userId - Owner of the location
+ * @param {string} locationId - The location the image belongs to
+ * @param {object} options - Upload options
+ * @param {boolean} options.stripMetadata - Remove EXIF metadata before upload
+ * @param {function} options.onProgress - Called with the fraction uploaded (0-1)
+ * @returns {Promise<{url: string, thumbUrl: string}>} Download URLs
+ */
+export async function uploadLocationImage(file, userId, locationId, { stripMetadata = true, onProgress } = {}) {
+    const { image, thumbnail } = await processImage(file, { stripMetadata });
+
+    // Random suffix keeps names unique when several photos upload in the same millisecond
+    const suffix = Math.random().toString(36).slice(2, 8);
+    const basePath = `locations/${userId}/${locationId}_${Date.now()}_${suffix}`;
+    const totalBytes = image.size + thumbnail.size;
+    const report = uploaded => onProgress && onProgress(uploaded / totalBytes);
+
+    const url = await uploadWithProgress(`${basePath}.${extensionForType(image.type)}`, image,
+        fraction => report(fraction * image.size));
+    const thumbUrl = await uploadWithProgress(`${basePath}_thumb.${extensionForType(thumbnail.type)}`, thumbnail,
+        fraction => report(image.size + fraction * thumbnail.size));
+
+    return { url, thumbUrl };
+}
+
+/**
+ * Process a profile picture and upload it with its thumbnail
+ * @param {File} file - The selected image
+ * @param {string} userId - The profile owner
+ * @param {object} options - Upload options
+ * @param {boolean} options.stripMetadata - Remove EXIF metadata before upload
+ * @param {function} options.onProgress - Called with the fraction uploaded (0-1)
+ * @returns {Promise<{photoURL: string, photoThumbURL: string}>} Download URLs
+ */
+export async function uploadProfilePicture(file, userId, { stripMetadata = true, onProgress } = {}) {
+    const { image, thumbnail } = await processImage(file, {
+        maxDimension: PROFILE_MAX_DIMENSION,
+        thumbnailDimension: PROFILE_THUMBNAIL_DIMENSION,
+        stripMetadata
+    });
+
+    const basePath = `profilePictures/${userId}/profile_${Date.now()}`;
+    const totalBytes = image.size + thumbnail.size;
+    const report = uploaded => onProgress && onProgress(uploaded / totalBytes);
+
+    const photoURL = await uploadWithProgress(`${basePath}.${extensionForType(image.type)}`, image,
+        fraction => report(fraction * image.size));
+    const photoThumbURL = await uploadWithProgress(`${basePath}_thumb.${extensionForType(thumbnail.type)}`, thumbnail,
+        fraction => report(image.size + fraction * thumbnail.size));
+
+    return { photoURL, photoThumbURL };
+}
+
+/**
+ * Delete an image from Firebase Storage by its download URL
+ * Missing files are logged and ignored.
+ * @param {string} imageUrl - The download URL
+ */
+export async function deleteImageFromStorage(imageUrl) {
+    try {
+        // Extract storage path from URL
+        const urlParts = imageUrl.split('/o/')[1];
+        if (!urlParts) return;
+
+        const pathPart = urlParts.split('?')[0];
+        const storagePath = decodeURIComponent(pathPart);
+
+        await deleteObject(ref(storage, storagePath));
+        console.log('Image deleted from storage:', storagePath);
+    } catch (error) {
+        // Don't throw error if image doesn't exist
+        console.error('Error deleting image from storage:', error);
+    }
+}
+
+/**
+ * Delete a location photo and its thumbnail from Firebase Storage
+ * @param {{url: string, thumbUrl: string}} image - Photo from getLocationImages
+ */
+export async function deleteLocationImage(image) {
+    await Promise.all([image.url, image.thumbUrl].filter(Boolean).map(deleteImageFromStorage));
+}
+
+// ===== PHOTO LISTS =====
+
+/**
+ * Read the ordered photo list from a location document
+ * Documents saved before multi-photo support only have `imageUrl`; they are
+ * presented as a one-photo list so callers never need to special-case them.
+ * Photos uploaded before thumbnails existed have a null `thumbUrl`.
+ * @param {object} data - Location document data
+ * @returns {Array<{url: string, thumbUrl: string|null, caption: string}>} Ordered photos
+ */
+export function getLocationImages(data) {
+    if (!data) return [];
+
+    if (Array.isArray(data.images)) {
+        return data.images
+            .filter(image => image && image.url)
+            .map(image => ({ url: image.url, thumbUrl: image.thumbUrl || null, caption: image.caption || '' }));
+    }
+
+    return data.imageUrl ? [{ url: data.imageUrl, thumbUrl: null, caption: '' }] : [];
+}
+
+/**
+ * Build the Firestore fields for an ordered photo list
+ * `imageUrl` and `thumbnailUrl` mirror the cover photo for older clients and
+ * for popups and lists that only need the cover.
+ * @param {Array<{url: string, thumbUrl: string, caption: string}>} images - Ordered photos
+ * @returns {{images: Array<object>, imageUrl: string|null, thumbnailUrl: string|null}} Fields to write
+ */
+export function buildImageFields(images) {
+    const cleaned = images.map(image => ({
+        url: image.url,
+        thumbUrl: image.thumbUrl || null,
+        caption: (image.caption || '').slice(0, MAX_CAPTION_LENGTH)
+    }));
+    const cover = cleaned[0] || null;
+    return {
+        images: cleaned,
+        imageUrl: cover ? cover.url : null,
+        thumbnailUrl: cover ? cover.thumbUrl : null
+    };
+}
+
+/**
+ * Upload the new photos in an edited list and return the final ordered list
+ * @param {Array<object>} items - Items from a photo editor: {url, thumbUrl, caption} or {file, caption}
+ * @param {string} userId - Owner of the location
+ * @param {string} locationId - The location the photos belong to
+ * @param {object} options - Upload options
+ * @param {boolean} options.stripMetadata - Remove EXIF metadata before upload
+ * @param {function} options.onProgress - Called with (fraction, label) across all new photos
+ * @returns {Promise<Array<{url: string, thumbUrl: string|null, caption: string}>>} Ordered photos with URLs
+ */
+export async function uploadPhotoItems(items, userId, locationId, { stripMetadata = true, onProgress } = {}) {
+    const newCount = items.filter(item => item.file).length;
+    let uploadedCount = 0;
+    const images = [];
+
+    for (const item of items) {
+        if (item.file) {
+            const label = `Uploading photo ${uploadedCount + 1} of ${newCount}`;
+            const uploaded = await uploadLocationImage(item.file, userId, locationId, {
+                stripMetadata,
+                onProgress: fraction => onProgress && onProgress((uploadedCount + fraction) / newCount, label)
+            });
+            uploadedCount++;
+            images.push({ ...uploaded, caption: item.caption || '' });
+        } else {
+            images.push({ url: item.url, thumbUrl: item.thumbUrl || null, caption: item.caption || '' });
+        }
+    }
+    return images;
+}
+
+// ===== PHOTO EDITOR =====
+
+/**
+ * Create an editable, ordered photo list inside a container
+ * Existing photos and newly selected files can be captioned, reordered and removed.
+ * @param {HTMLElement} container - Element the list is rendered into
+ * @param {object} options - Editor options
+ * @param {boolean} options.allowReorder - Show move up/down controls
+ * @returns {object} Editor with setImages, addFiles, getItems, getRemovedImages, hasNewFiles and reset
+ */
+export function createPhotoEditor(container, { allowReorder = true } = {}) {
+    let items = [];
+    let removedImages = [];
+
+    function render() {
+        // Keep typed captions before re-rendering
+        container.querySelectorAll('.photo-caption').forEach(input => {
+            const item = items[Number(input.dataset.index)];
+            if (item) item.caption = input.value;
+        });
+
+        if (items.length === 0) {
+            container.innerHTML = '<div class="no-image">No photos</div>';
+            return;
+        }
+
+        container.innerHTML = items.map((item, index) => `
+            <div class="photo-item">
+                <img src="${escapeHtml(item.previewUrl || item.thumbUrl || item.url)}" alt="Photo ${index + 1}">
+                <div class="photo-item-body">
+                    <input type="text" class="photo-caption" data-index="${index}" maxlength="${MAX_CAPTION_LENGTH}"
+                           placeholder="Caption (optional)" value="${escapeHtml(item.caption || '')}">
+                    <div class="photo-item-actions">
+                        ${index === 0 ? '<span class="photo-cover-badge">Cover</span>' : ''}
+                        ${allowReorder ? `
+                            <button type="button" class="btn btn-secondary btn-popup" data-action="up" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="Move earlier">↑</button>
+                            <button type="button" class="btn btn-secondary btn-popup" data-action="down" data-index="${index}" ${index === items.length - 1 ? 'disabled' : ''} title="Move later">↓</button>
+                        ` : ''}
+                        <button type="button" class="btn btn-danger btn-popup" data-action="remove" data-index="${index}" title="Remove photo">✕</button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    container.addEventListener('click', event => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        // Capture captions before the order changes
+        container.querySelectorAll('.photo-caption').forEach(input => {
+            const item = items[Number(input.dataset.index)];
+            if (item) item.caption = input.value;
+        });
+
+        const index = Number(button.dataset.index);
+        const action = button.dataset.action;
+
+        if (action === 'remove') {
+            const [removed] = items.splice(index, 1);
+            if (removed.url) {
+                removedImages.push({ url: removed.url, thumbUrl: removed.thumbUrl || null });
+            }
+            if (removed.previewUrl) {
+                URL.revokeObjectURL(removed.previewUrl);
+            }
+        } else if (action === 'up' && index > 0) {
+            [items[index - 1], items[index]] = [items[index], items[index - 1]];
+        } else if (action === 'down' && index < items.length - 1) {
+            [items[index + 1], items[index]] = [items[index], items[index + 1]];
+        }
+
+        render();
+    });
+
+    return {
+        /** Replace the list with a location's saved photos */
+        setImages(images) {
+            this.reset();
+            items = images.map(image => ({ url: image.url, thumbUrl: image.thumbUrl || null, caption: image.caption || '' }));
+            render();
+        },
+
+        /** Validate and append newly selected files; returns how many were added */
+        addFiles(fileList) {
+            let added = 0;
+            for (const file of Array.from(fileList)) {
+                if (items.length >= MAX_IMAGES_PER_LOCATION) {
+                    showError(`A location can have at most ${MAX_IMAGES_PER_LOCATION} photos.`);
+                    break;
+                }
+                if (!validateImageFile(file)) {
+                    continue;
+                }
+                items.push({ file, previewUrl: URL.createObjectURL(file), caption: '' });
+                added++;
+            }
+            render();
+            return added;
+        },
+
+        /** Current ordered items with up-to-date captions */
+        getItems() {
+            render();
+            return items.map(({ url, thumbUrl, file, caption }) => (file ? { file, caption } : { url, thumbUrl, caption }));
+        },
+
+        /** Saved photos the user removed, to delete from Storage after saving */
+        getRemovedImages() {
+            return removedImages.slice();
+        },
+
+        /** Whether any unsaved file is in the list */
+        hasNewFiles() {
+            return items.some(item => item.file);
+        },
+
+        reset() {
+            items.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+            items = [];
+            removedImages = [];
+            container.innerHTML = '';
+        }
+    };
+}
@@ -1,28 +1,117 @@
-import { auth, db, storage, ref, uploadBytes, getDownloadURL, deleteObject,
-         onAuthStateChanged, collection, addDoc,
-         getDocs, doc, getDoc, setDoc, updateDoc, deleteDoc, query,
-         orderBy, serverTimestamp } from './firebase-config.js';
-import { showLoading, showError, showSuccess } from './utils.js';
+import { auth, db, onAuthStateChanged, collection, addDoc,
+         getDocs, doc, getDoc, setDoc, updateDoc, deleteDoc, query, where,
+         orderBy, startAt, endAt, limit, writeBatch, onSnapshot,
+         serverTimestamp } from './firebase-config.js';
+import { showLoading, showError, showSuccess, showUploadProgress, getTimestampMillis, escapeHtml } from './utils.js';
+import { isOffline, isNetworkError, enqueueOutboxEntry, getOutboxEntries, removeOutboxEntry,
+         flushOutbox, OUTBOX_CHANGE_EVENT } from './outbox.js';
+import { encodeGeohash, geohashesForBounds, chooseGeohashPrecision } from './geo.js';
+import { compileSearchQuery, queryUsesTerm, SearchQueryError } from './search-query.js';
+import { getLocationImages, buildImageFields, uploadPhotoItems, deleteLocationImage, validateImageFile,
+         createPhotoEditor, getStripMetadataPreference, bindStripMetadataToggle } from './images.js';
+import { readExifData, buildShotInfo, describeShotInfo } from './exif.js';
+import { LOCATION_TAGS, normalizeTags, getPrimaryCategory, tagsMatchFilter, renderTagChips,
+         createTagPicker } from './tags.js';
+import { openListPicker, getUserLists, getSavedLocationIds, LISTS_CHANGE_EVENT } from './lists.js';
+import { FILE_FORMATS, buildExportRecord, serializeLocations, serializeRoute, downloadFile, parseLocationFile,
+         LocationFileError } from './location-files.js';
+import { getCommentCount } from './comments.js';
+import { openReportDialog, isLocationHidden } from './moderation.js';
+import { getFollowingIds } from './follows.js';
+import { isGeohashBackfillComplete } from './maintenance.js';
+import { MAX_WATCH_AREAS, beginMapVisit, isNewSince, areaContains, getWatchAreas, saveWatchArea, deleteWatchArea,
+         findNewPinsInAreas, requestAlertPermission, describeAreaAlert, showAreaNotification } from './watch-areas.js';
+import { reverseGeocode, attachAddressAutocomplete } from './geocoder.js';
+import { findDuplicateLocations, matchDuplicates } from './duplicates.js';
+import { isValidCoordinate, formatCoordinates, attachCoordinateInput } from './coordinates.js';
+import { parseMapHash, buildMapHash, PIN_ZOOM } from './map-state.js';
+import { BASE_LAYERS, MAP_MAX_ZOOM, getBaseLayer, getPreferredBaseLayer, setPreferredBaseLayer, createTileLayer } from './base-layers.js';
+import { SCORE_BANDS, CLUSTER_SCORE_MODES, getScoreBand, formatScore, getClusterScoreMode, setClusterScoreMode,
+         createScoreClusterIcon } from './map-scores.js';
+import { HEATMAP_MODES, createHeatmapLayer } from './heatmap.js';
+import { INITIAL_VOTE_COUNTS, getVoteCounts } from './votes.js';
+import { RANKING_SORTS, RANKING_SCOPES, TOP_LOCATIONS_LIMIT, TOP_CONTRIBUTORS_LIMIT, wilsonLowerBound, rankLocations,
+         rankContributors, fetchLocationsAround, fetchTopScoredLocations, GLOBAL_LOCATION_LIMIT } from './ranking.js';
+import { LIST_SORTS, getListViewPreferences, setListViewPreferences, sortListedLocations,
+         getListPage } from './list-view.js';
+import { MAX_DOWNLOAD_TILES, estimateDownload, downloadArea, getOfflineAreas, deleteOfflineArea,
+         formatBytes } from './offline-tiles.js';
+import { MAX_ITINERARY_STOPS, ITINERARY_CHANGE_EVENT, getDraftItinerary, setDraftItinerary, addStopToDraft,
+         getItineraryLegs, formatDistance, formatDuration, optimizeStopOrder, buildDirectionsUrl,
+         getUserItineraries, saveItinerary, deleteItinerary } from './itinerary.js';
 
 // User profile cache to avoid redundant fetches
 const userProfileCache = new Map();
 
+// Maximum documents fetched per geohash tile query
+const TILE_QUERY_LIMIT = 500;
+// Tile listeners kept open for areas the user panned away from
+const MAX_TILE_LISTENERS = 48;
+// Tile key for locations loaded without a geohash (not a geohash character, so no tile matches it)
+const LEGACY_TILE = 'legacy';
+// Firestore allows at most 500 writes per batch
+const IMPORT_BATCH_SIZE = 400;
+// Wait for panning and typing to settle before rewriting the URL
+const MAP_STATE_DELAY_MS = 300;
+
 // Wait for DOM and deferred scripts to load
 document.addEventListener('DOMContentLoaded', function() {
     let map;
     let markers;
     let allMarkers = [];
+    const markerIndex = new Map(); // locationId -> marker object
+    const tileListeners = new Map(); // geohash tile -> snapshot listener, in LRU order
+    const newLocationIds = new Set(); // pins from other users that arrived live
+    const sessionStartedAt = Date.now();
+    let snapshotQueue = Promise.resolve();
+    let activeSearchFilter = null; // last valid compiled search from buildSearchFilter
+    let userPosition = null;
     let searchTimeout;
     let creationMode = false;
     let tempMarker = null;
     let clickLat, clickLon;
+    let pendingShotInfo = null;
+    let newCoordsField, editCoordsField;
+    // Set by "Add anyway" once the user has seen the possible duplicates for this pin
+    let duplicatesAcknowledged = false;
     let currentUser = null;
     let currentUserData = null;
     let editingLocationId = null;
-    let selectedNewImage = null;
-    let selectedEditImage = null;
-    let currentLocationImageUrl = null;
+    // Saved position of the location being edited, to tell whether the owner moved it
+    let editingPosition = null;
+    let newPhotoEditor = null;
+    let editPhotoEditor = null;
+    let newTagPicker = null;
+    let editTagPicker = null;
+    const activeTagFilters = new Set();
+    const categoryIcons = new Map(); // category id (or 'default', 'new:<id>') -> marker icon
+    let savedLocationIds = new Set(); // locations in any of the signed-in user's lists
+    let followingIds = new Set(); // photographers the signed-in user follows
+    let followingOnly = false; // "Following" chip: only show followed authors' pins
+    const lastVisitAt = beginMapVisit(); // previous map visit on this device; later pins get a NEW badge
+    let watchAreas = [];
+    let watchAreaLayer = null;
+    let areaDrawing = null; // { start, rectangle } while a watch area is being drawn
+    const alertedLocationIds = new Set(); // pins already announced in a watch area alert
+    let openPinId = null; // location whose popup is open, kept in the URL
+    let mapStateReady = false; // the URL is only rewritten once a linked view has been restored
+    let mapStateTimer = null;
+    let baseLayerId = getPreferredBaseLayer().id;
+    let offlineDownload = null; // AbortController while an offline area is downloading
+    let clusterScoreMode = getClusterScoreMode(); // what cluster bubbles summarize: average or top score
+    const heatmapLayers = []; // heatmap overlays, redrawn when the visible pins change
+    let visiblePinsUpdatePending = false;
+    let topLocationsRequest = 0; // newest leaderboard load; older results are dropped
+    let listPage = 0; // page of the list view being shown
+    let highlightedPin = null; // { locationId, element } of the pin or cluster highlighted from the list
+    let importPoints = []; // parsed import file points under review
+    let importLayer = null;
+    let itineraryLayer = null;
+    let savedItineraries = [];
+    let editingBaseUpdatedAt = null;
+    let pendingLayer = null;
     let locationLoadCounter = 0;
+    let geohashBackfillComplete = false; // once true, every location is reachable through tile queries
     let lastLoadUserUid = null;
     let authInitialized = false;
     let resolveAuthReady;
@@ -65,6 +154,8 @@ document.addEventListener('DOMContentLoaded', function() {
         }
 
         updateAuthUI();
+        loadSavedLocationIds();
+        loadFollowingIds();
 
         const uid = currentUser ? currentUser.uid : null;
         if (!authInitialized) {
@@ -78,10 +169,18 @@ document.addEventListener('DOMContentLoaded', function() {
         if (markers) {
             console.log(`[Auth Change] uid: ${uid}, lastLoadUserUid: ${lastLoadUserUid}, shouldReload: ${uid !== lastLoadUserUid}`);
             if (uid !== lastLoadUserUid) {
-                console.log(`[Auth Change] Reloading markers for user change...`);
-                await loadLocationsFromFirestore();
+                console.log(`[Auth Change] Refreshing popups for user change...`);
+                refreshAllPopups();
+                allMarkers.forEach(setMarkerDraggable);
+                // Hidden locations stay visible to their owner only
+                filterMarkers(document.getElementById('search').value);
+                loadWatchAreas();
+                // Replay anything the newly signed-in user queued offline
+                if (uid) {
+                    syncOutbox();
+                }
                 lastLoadUserUid = uid;
-                console.log(`[Auth Change] Reload complete, lastLoadUserUid now: ${lastLoadUserUid}`);
+                console.log(`[Auth Change] Refresh complete, lastLoadUserUid now: ${lastLoadUserUid}`);
             }
         }
     });
@@ -90,23 +189,50 @@ document.addEventListener('DOMContentLoaded', function() {
     initializeMap();
 
     async function initializeMap() {
-        // Initialize the map with default view (will be updated if geolocation succeeds)
-        map = L.map('map').setView([39.8283, -98.5795], 4);
-
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-        }).addTo(map);
+        // A shared link (#map=...) opens exactly that view; otherwise start with the default
+        // view (updated if geolocation succeeds)
+        const linkedState = parseMapHash(window.location.hash);
+        const initialView = linkedState.view || { lat: 39.8283, lon: -98.5795, zoom: 4 };
+        map = L.map('map', { maxZoom: MAP_MAX_ZOOM }).setView([initialView.lat, initialView.lon], initialView.zoom);
+
+        // Map styles come from base-layers.js; the last one chosen on this device is shown first
+        const baseLayers = {};
+        BASE_LAYERS.forEach(definition => {
+            const layer = createTileLayer(definition);
+            baseLayers[definition.label] = layer;
+            if (definition.id === baseLayerId) {
+                layer.addTo(map);
+            }
+        });
+        // Heatmaps shade the pins that pass the current search and filters
+        const overlays = {};
+        HEATMAP_MODES.forEach(mode => {
+            const layer = createHeatmapLayer(() => getHeatmapPoints(mode.id));
+            heatmapLayers.push(layer);
+            overlays[mode.label] = layer;
+        });
+        L.control.layers(baseLayers, overlays, { position: 'topright' }).addTo(map);
+        addClusterScoreControl();
+        map.on('baselayerchange', (event) => {
+            baseLayerId = event.layer.options.baseLayerId;
+            setPreferredBaseLayer(baseLayerId);
+            renderOfflinePanel();
+        });
 
         markers = L.markerClusterGroup({
             maxClusterRadius: 50,
             spiderfyOnMaxZoom: true,
             showCoverageOnHover: true,
-            zoomToBoundsOnClick: true
+            zoomToBoundsOnClick: true,
+            iconCreateFunction: cluster => createScoreClusterIcon(cluster, clusterScoreMode)
         });
 
          // Add marker cluster group to map once during initialization
          map.addLayer(markers);
 
+        // Queued offline writes are drawn outside the cluster so they stay visible
+        pendingLayer = L.layerGroup().addTo(map);
+
         // Try to get user's location and center map on it
         if (navigator.geolocation) {
             navigator.geolocation.getCurrentPosition(
@@ -114,6 +240,10 @@ document.addEventListener('DOMContentLoaded', function() {
                 function(position) {
                     const userLat = position.coords.latitude;
                     const userLon = position.coords.longitude;
+                    userPosition = { lat: userLat, lon: userLon };
+
+                    // A linked view wins over the user's location
+                    if (linkedState.view) return;
 
                     // Center map on user's location with closer zoom
                     map.setView([userLat, userLon], 13);
@@ -136,16 +266,42 @@ document.addEventListener('DOMContentLoaded', function() {
             console.log('Geolocation not supported by browser. Using default map center.');
         }
 
+        restoreMapFilters(linkedState);
+
         // Load locations from Firestore only after first auth state resolves
         console.log(`[initializeMap] Waiting for auth readiness before initial location load...`);
         await authReadyPromise;
         console.log(`[initializeMap] Starting initial location load (guest access supported)...`);
         await loadLocationsFromFirestore();
         console.log(`[initializeMap] Initial load complete, lastLoadUserUid: ${lastLoadUserUid}`);
+        loadWatchAreas();
+
+        // Only fetch the tiles that come into view as the user pans and zooms
+        map.on('moveend', () => {
+            loadVisibleTiles();
+            // near: follows the map center when the user's position is unknown
+            if (activeSearchFilter && activeSearchFilter.usesNear && !userPosition) {
+                filterMarkers(activeSearchFilter.term);
+            }
+        });
 
         // Event listeners
         document.getElementById('add-btn').addEventListener('click', toggleCreationMode);
+        document.getElementById('photo-pin-btn').addEventListener('click', () => {
+            if (!currentUser) {
+                showError('Please log in to add locations.');
+                return;
+            }
+            document.getElementById('photo-pin-input').click();
+        });
+        document.getElementById('photo-pin-input').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) createPinFromPhoto(file);
+        });
+        setupPhotoDrop();
         document.getElementById('search').addEventListener('input', handleSearch);
+        document.getElementById('new-locations-indicator').addEventListener('click', showNewLocations);
         document.getElementById('settings-btn').addEventListener('click', () => {
             if (!currentUser) {
                 window.location.href = './login.html';
@@ -155,16 +311,90 @@ document.addEventListener('DOMContentLoaded', function() {
         });
         document.getElementById('submit-location-btn').addEventListener('click', submitNewLocation);
         document.getElementById('cancel-location-btn').addEventListener('click', cancelNewLocation);
+        document.getElementById('new-title').addEventListener('input', clearDuplicateWarning);
+        document.getElementById('duplicate-warning').addEventListener('click', (event) => {
+            if (event.target.closest('#add-anyway-btn')) {
+                duplicatesAcknowledged = true;
+                submitNewLocation();
+            }
+        });
         document.getElementById('update-location-btn').addEventListener('click', updateLocation);
         document.getElementById('delete-location-btn').addEventListener('click', deleteLocation);
         document.getElementById('cancel-edit-btn').addEventListener('click', cancelEdit);
+        document.getElementById('transfer-btn').addEventListener('click', openTransferModal);
+        document.getElementById('close-transfer-btn').addEventListener('click', closeTransferModal);
+        document.getElementById('export-btn').addEventListener('click', exportLocations);
+        document.getElementById('import-file').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) handleImportFile(file);
+        });
+        document.getElementById('import-preview').addEventListener('change', (event) => {
+            const point = importPoints[Number(event.target.dataset.index)];
+            if (!point) return;
+            point.selected = event.target.checked;
+            renderImportPreview();
+        });
+        document.getElementById('import-btn').addEventListener('click', importSelectedLocations);
+        document.getElementById('itinerary-btn').addEventListener('click', openItineraryPanel);
+        setupItineraryPanel();
+        setupWatchAreasPanel();
+        setupOfflinePanel();
+        setupTopPanel();
+        setupListPanel();
+        window.addEventListener(ITINERARY_CHANGE_EVENT, renderItinerary);
+        renderItinerary();
 
         updateAuthUI();
 
         // Image upload event listeners
-        document.getElementById('new-image').addEventListener('change', handleNewImageSelect);
-        document.getElementById('edit-image').addEventListener('change', handleEditImageSelect);
-        document.getElementById('remove-image-btn').addEventListener('click', handleRemoveImage);
+        newPhotoEditor = createPhotoEditor(document.getElementById('new-photo-list'));
+        editPhotoEditor = createPhotoEditor(document.getElementById('edit-photo-list'));
+        document.getElementById('new-image').addEventListener('change', (event) => {
+            const files = Array.from(event.target.files);
+            newPhotoEditor.addFiles(files);
+            event.target.value = '';
+            if (!pendingShotInfo && files.length > 0) {
+                captureShotInfo(files[0]);
+            }
+        });
+        document.getElementById('edit-image').addEventListener('change', (event) => {
+            editPhotoEditor.addFiles(event.target.files);
+            event.target.value = '';
+        });
+        bindStripMetadataToggle(document.getElementById('new-strip-metadata'));
+        bindStripMetadataToggle(document.getElementById('edit-strip-metadata'));
+
+        // Tags
+        newTagPicker = createTagPicker(document.getElementById('new-tags'));
+        editTagPicker = createTagPicker(document.getElementById('edit-tags'));
+        renderTagFilterBar();
+
+        // Address fields: suggestions are biased towards the pin being created or edited
+        const newAddressInput = document.getElementById('new-address');
+        newAddressInput.addEventListener('input', () => {
+            delete newAddressInput.dataset.geocoded;
+        });
+        attachAddressAutocomplete(newAddressInput, {
+            getNear: () => (tempMarker ? { lat: clickLat, lon: clickLon } : null)
+        });
+        attachAddressAutocomplete(document.getElementById('edit-address'), {
+            getNear: () => {
+                const markerObj = markerIndex.get(editingLocationId);
+                return markerObj ? { lat: markerObj.lat, lon: markerObj.lon } : null;
+            }
+        });
+
+        // Position fields: pasted coordinates, links or Plus Codes, with a draggable preview pin
+        newCoordsField = attachCoordinateInput(document.getElementById('new-coords'), {
+            getNear: () => (tempMarker ? { lat: clickLat, lon: clickLon } : getSearchOrigin()),
+            onChange: (lat, lon) => {
+                placeNewLocationPin(lat, lon);
+                map.panTo([lat, lon]);
+            }
+        });
+        editCoordsField = attachCoordinateInput(document.getElementById('edit-coords'), {
+            getNear: () => editingPosition
+        });
 
         // PWA: Register Service Worker
         if ('serviceWorker' in navigator) {
@@ -176,24 +406,255 @@ document.addEventListener('DOMContentLoaded', function() {
         // PWA: Offline Detection
         window.addEventListener('online', () => {
             document.getElementById('offline-message').style.display = 'none';
+            syncOutbox();
         });
         window.addEventListener('offline', () => {
             document.getElementById('offline-message').style.display = 'block';
             if (creationMode) {
-                showError('Offline: Cannot add new locations. Reload when online.');
+                showSuccess('Offline: New locations will be saved on this device and uploaded when you reconnect.');
+            }
+        });
+        if (isOffline()) {
+            document.getElementById('offline-message').style.display = 'block';
+        }
+
+        // Offline outbox: draw queued items and replay anything left from a previous session
+        window.addEventListener(OUTBOX_CHANGE_EVENT, renderPendingMarkers);
+        await renderPendingMarkers();
+        syncOutbox();
+
+        map.on('popupopen', (event) => updatePopupCommentCount(event.popup));
+
+        // Saved lists: keep the popup save buttons in step with the user's lists
+        window.addEventListener(LISTS_CHANGE_EVENT, loadSavedLocationIds);
+
+        // Shareable URL: open the linked pin, then keep the hash in step with the view
+        if (linkedState.pin) {
+            openLinkedPin(linkedState.pin);
+        }
+        mapStateReady = true;
+        map.on('moveend', scheduleMapStateUpdate);
+        window.addEventListener('hashchange', applyLinkedState);
+        scheduleMapStateUpdate();
+    }
+
+    // ===== SHAREABLE MAP STATE =====
+
+    // Put the search box and filter chips into the state from a link
+    function restoreMapFilters(state) {
+        document.getElementById('search').value = state.search;
+        activeTagFilters.clear();
+        state.tags.forEach(id => activeTagFilters.add(id));
+        // Only signed-in users have a Following filter; loadFollowingIds clears it for guests
+        followingOnly = state.following && (!authInitialized || Boolean(currentUser));
+        renderTagFilterBar();
+        filterMarkers(state.search);
+    }
+
+    // Follow a link to another view while the map is already open (e.g. an edited hash)
+    async function applyLinkedState() {
+        const state = parseMapHash(window.location.hash);
+        if (state.view) {
+            map.setView([state.view.lat, state.view.lon], state.view.zoom);
+        }
+        restoreMapFilters(state);
+        if (state.pin) {
+            await loadVisibleTiles();
+            openLinkedPin(state.pin);
+        }
+    }
+
+    // Open the popup of a linked pin, zooming in far enough to uncluster it
+    function openLinkedPin(locationId) {
+        const markerObj = markerIndex.get(locationId);
+        if (!markerObj || !markers.hasLayer(markerObj.marker)) {
+            showError('The linked location could not be shown. It may have been removed or hidden by your filters.');
+            return;
+        }
+        markers.zoomToShowLayer(markerObj.marker, () => markerObj.marker.openPopup());
+    }
+
+    // Rewrite the URL hash (without adding history entries) once the map settles
+    function scheduleMapStateUpdate() {
+        if (!mapStateReady) return;
+
+        clearTimeout(mapStateTimer);
+        mapStateTimer = setTimeout(() => {
+            const center = map.getCenter();
+            const hash = buildMapHash({
+                view: { lat: center.lat, lon: center.lng, zoom: map.getZoom() },
+                search: activeSearchFilter ? activeSearchFilter.term.trim() : '',
+                tags: LOCATION_TAGS.filter(tag => activeTagFilters.has(tag.id)).map(tag => tag.id),
+                following: followingOnly,
+                pin: openPinId
+            });
+            if (hash !== window.location.hash) {
+                history.replaceState(null, '', hash);
+            }
+        }, MAP_STATE_DELAY_MS);
+    }
+
+    // ===== COMMENT COUNTS =====
+
+    // Fetch the comment count for an opened location popup (aggregate query, no documents read)
+    async function updatePopupCommentCount(popup) {
+        const element = popup.getElement();
+        const countLink = element && element.querySelector('.popup-comment-count');
+        if (!countLink) return;
+
+        try {
+            const count = await getCommentCount(countLink.dataset.locationId);
+            countLink.textContent = `💬 ${count} comment${count === 1 ? '' : 's'}`;
+        } catch (error) {
+            // Counts need a connection; the popup works without one
+            console.log('Could not load comment count:', error);
+        }
+    }
+
+    // ===== SAVED LISTS =====
+
+    // Reload which locations the signed-in user has saved, then redraw popups
+    async function loadSavedLocationIds() {
+        const userId = currentUser ? currentUser.uid : null;
+        let savedIds = new Set();
+
+        if (userId) {
+            try {
+                savedIds = getSavedLocationIds(await getUserLists(userId));
+            } catch (error) {
+                console.error('Error loading saved lists:', error);
+            }
+        }
+
+        // Ignore results for a user who has signed out in the meantime
+        if ((currentUser ? currentUser.uid : null) !== userId) return;
+
+        savedLocationIds = savedIds;
+        if (markers) {
+            refreshAllPopups();
+        }
+    }
+
+    // ===== FOLLOWING =====
+
+    // Reload who the signed-in user follows for the "Following" filter chip
+    async function loadFollowingIds() {
+        const userId = currentUser ? currentUser.uid : null;
+        let ids = new Set();
+
+        if (userId) {
+            try {
+                ids = await getFollowingIds(userId);
+            } catch (error) {
+                console.error('Error loading followed users:', error);
             }
+        }
+
+        // Ignore results for a user who has signed out in the meantime
+        if ((currentUser ? currentUser.uid : null) !== userId) return;
+
+        followingIds = ids;
+        if (!userId) {
+            followingOnly = false;
+        }
+        renderTagFilterBar();
+        if (markers && followingOnly) {
+            filterMarkers(document.getElementById('search').value);
+        }
+    }
+
+    window.saveToList = function(locationId) {
+        if (!currentUser) {
+            window.location.href = './login.html';
+            return;
+        }
+        openListPicker(currentUser.uid, locationId);
+    };
+
+    // ===== REPORTS =====
+
+    window.reportLocation = function(locationId) {
+        if (!currentUser) {
+            window.location.href = './login.html';
+            return;
+        }
+        openReportDialog(currentUser.uid, locationId, () => {
+            map.closePopup();
+        });
+    };
+
+    // ===== OFFLINE OUTBOX =====
+
+    // Replay queued writes; tile listeners replace pending markers with the synced pins
+    async function syncOutbox() {
+        await flushOutbox();
+        await renderPendingMarkers();
+    }
+
+    // Draw every queued create/edit as a "pending" marker
+    async function renderPendingMarkers() {
+        if (!pendingLayer) return;
+
+        let entries = [];
+        try {
+            entries = await getOutboxEntries();
+        } catch (error) {
+            console.error('Error reading offline outbox:', error);
+        }
+
+        pendingLayer.clearLayers();
+
+        entries.forEach(entry => {
+            const lat = parseFloat(entry.latitude);
+            const lon = parseFloat(entry.longitude);
+            if (isNaN(lat) || isNaN(lon) || entry.type === 'vote') return;
+
+            const title = entry.data?.title || entry.title || 'Untitled Location';
+            const label = entry.type === 'create' ? 'New location' : 'Edit';
+            const marker = L.marker([lat, lon], {
+                icon: L.divIcon({
+                    className: 'pending-marker',
+                    html: '<div class="pending-marker-dot">⏳</div>',
+                    iconSize: [26, 26],
+                    iconAnchor: [13, 13]
+                }),
+                zIndexOffset: 1000
+            }).bindPopup(`
+                <b>${escapeHtml(title)}</b><br>
+                <span class="pending-label">${label} pending — waiting for connection</span>
+                <div class="popup-actions">
+                    <button class="btn btn-secondary btn-popup" onclick="window.discardPendingEntry(${entry.id})">Discard</button>
+                </div>
+            `);
+            pendingLayer.addLayer(marker);
         });
     }
 
+    window.discardPendingEntry = async function(entryId) {
+        if (!confirm('Discard this offline change? It has not been uploaded yet.')) {
+            return;
+        }
+        try {
+            await removeOutboxEntry(entryId);
+            map.closePopup();
+        } catch (error) {
+            console.error('Error discarding offline change:', error);
+            showError('Failed to discard offline change.');
+        }
+    };
+
     // Start the public map immediately when the page loads.
 
     function updateAuthUI() {
         const addBtn = document.getElementById('add-btn');
+        const photoPinBtn = document.getElementById('photo-pin-btn');
         const settingsBtn = document.getElementById('settings-btn');
         const submitBtn = document.getElementById('submit-location-btn');
         const updateBtn = document.getElementById('update-location-btn');
         const deleteBtn = document.getElementById('delete-location-btn');
 
+        photoPinBtn.disabled = !currentUser;
+
         if (currentUser) {
             addBtn.removeAttribute('disabled');
             settingsBtn.removeAttribute('disabled');
@@ -213,6 +674,9 @@ document.addEventListener('DOMContentLoaded', function() {
             updateBtn.setAttribute('disabled', 'disabled');
             deleteBtn.setAttribute('disabled', 'disabled');
         }
+
+        // Saving itineraries needs an account
+        renderItinerary();
     }
 
     // Helper function to fetch user profile with caching
@@ -248,162 +712,442 @@ document.addEventListener('DOMContentLoaded', function() {
         return defaultProfile;
     }
 
-    // Load locations from Firestore with optimized performance
+    // Drop every tile listener and marker, then subscribe to the current viewport again
     async function loadLocationsFromFirestore() {
         const loadId = ++locationLoadCounter;
         console.log(`[loadLocationsFromFirestore] Load ${loadId} starting...`);
+
+        tileListeners.forEach(listener => listener.unsubscribe());
+        tileListeners.clear();
+        markers.clearLayers();
+        allMarkers = [];
+        markerIndex.clear();
+        clearNewLocations();
+        scheduleVisiblePinsUpdate();
+
         showLoading(true);
         try {
-            // Check if a newer load has started before clearing
-            if (loadId !== locationLoadCounter) {
-                console.log(`[loadLocationsFromFirestore] Load ${loadId} skipped (newer load ${locationLoadCounter} in progress)`);
-                showLoading(false);
-                return;
+            await Promise.all([loadVisibleTiles(), loadLocationsWithoutGeohash(loadId)]);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Locations from before tile loading have no geohash, so no tile query finds them. Until a
+    // moderator has run the backfill (js/maintenance.js), read the collection once per load
+    // and add those locations under their own tile key, which is never evicted.
+    async function loadLocationsWithoutGeohash(loadId) {
+        try {
+            geohashBackfillComplete = geohashBackfillComplete || await isGeohashBackfillComplete();
+            if (geohashBackfillComplete) return;
+
+            const snapshot = await getDocs(collection(db, 'locations'));
+            const changes = snapshot.docChanges().filter(change => !change.doc.data().geohash);
+            if (loadId !== locationLoadCounter || changes.length === 0) return;
+
+            snapshotQueue = snapshotQueue
+                .then(() => applyTileChanges(LEGACY_TILE, changes, true))
+                .catch(error => console.error('Error applying location changes:', error));
+            await snapshotQueue;
+        } catch (error) {
+            console.error('Error loading locations without a geohash:', error);
+        }
+    }
+
+    // Check whether a tile is already covered by a complete listener on it or a coarser tile
+    function isTileCovered(tile) {
+        if (tileListeners.has(tile)) {
+            return true;
+        }
+        for (let length = 1; length < tile.length; length++) {
+            const listener = tileListeners.get(tile.slice(0, length));
+            if (listener && listener.complete) {
+                return true;
             }
-            
-            // Clear existing markers from the cluster group
-            markers.clearLayers();
-                 
-            const locationsRef = collection(db, 'locations');
-            const q = query(locationsRef, orderBy('createdAt', 'desc'));
-            const querySnapshot = await getDocs(q);
+        }
+        return false;
+    }
 
-            if (loadId !== locationLoadCounter) {
-                // A newer load started while this one was still fetching.
-                console.log(`[loadLocationsFromFirestore] Load ${loadId} cancelled (newer load ${locationLoadCounter} in progress)`);
-                return;
+    // Subscribe to the geohash tiles covering map.getBounds() that are not cached yet.
+    // Resolves once every new tile has delivered its first snapshot.
+    async function loadVisibleTiles() {
+        const bounds = map.getBounds();
+        const bbox = {
+            south: bounds.getSouth(),
+            west: bounds.getWest(),
+            north: bounds.getNorth(),
+            east: bounds.getEast()
+        };
+        const precision = chooseGeohashPrecision(bbox);
+        const visibleTiles = geohashesForBounds(bbox, precision);
+
+        // Refresh the LRU order of tiles that are still in view
+        visibleTiles.forEach(tile => {
+            const listener = tileListeners.get(tile);
+            if (listener) {
+                tileListeners.delete(tile);
+                tileListeners.set(tile, listener);
             }
-            console.log(`[loadLocationsFromFirestore] Load ${loadId} proceeding with ${querySnapshot.docs.length} documents`);
+        });
 
-            // Hide loading overlay early - we'll show markers immediately
-            showLoading(false);
+        const tiles = visibleTiles.filter(tile => !isTileCovered(tile));
+        if (tiles.length === 0) {
+            return;
+        }
 
-            allMarkers = [];
-            const locationData = [];
-            const uniqueUserIds = new Set();
+        const locationsRef = collection(db, 'locations');
+        const firstSnapshots = tiles.map(tile => new Promise(resolve => {
+            const listener = { unsubscribe: null, complete: false, initialized: false };
+            tileListeners.set(tile, listener);
+
+            listener.unsubscribe = onSnapshot(query(
+                locationsRef,
+                orderBy('geohash'),
+                startAt(tile),
+                endAt(tile + '\uf8ff'),
+                limit(TILE_QUERY_LIMIT)
+            ), snapshot => {
+                // Truncated tiles are re-queried at a finer precision once the user zooms in
+                listener.complete = snapshot.size < TILE_QUERY_LIMIT;
+                const isInitial = !listener.initialized;
+                listener.initialized = true;
+
+                // Apply changes in arrival order; profile lookups make each batch async
+                snapshotQueue = snapshotQueue
+                    .then(() => applyTileChanges(tile, snapshot.docChanges(), isInitial))
+                    .catch(error => console.error('Error applying location changes:', error))
+                    .then(resolve);
+            }, error => {
+                console.error(`Error listening to tile ${tile}:`, error);
+                showError('Failed to load locations. Please refresh the page.');
+                resolve();
+            });
+        }));
 
-            // First pass: collect all location data and unique user IDs
-            for (const docSnap of querySnapshot.docs) {
-                const data = docSnap.data();
-                const locationId = docSnap.id;
+        evictStaleTiles(visibleTiles);
+        await Promise.all(firstSnapshots);
+        console.log(`[loadVisibleTiles] Listening to ${tileListeners.size} tile(s), ${allMarkers.length} markers loaded.`);
+    }
 
-                const lat = parseFloat(data.latitude);
-                const lon = parseFloat(data.longitude);
-                const title = data.title || 'Untitled Location';
-                const notes = data.notes || '';
-                const address = data.address || '';
-                const userId = data.userId || '';
-
-                if (!isNaN(lat) && !isNaN(lon)) {
-                    locationData.push({
-                        locationId,
-                        title,
-                        notes,
-                        address,
-                        userId,
-                        lat,
-                        lon
-                    });
+    // Unsubscribe from the least recently viewed tiles once the cache is full
+    function evictStaleTiles(visibleTiles) {
+        const visible = new Set(visibleTiles);
+        for (const [tile, listener] of tileListeners) {
+            if (tileListeners.size <= MAX_TILE_LISTENERS) break;
+            if (visible.has(tile)) continue;
+
+            listener.unsubscribe();
+            tileListeners.delete(tile);
+            allMarkers.slice().forEach(markerObj => {
+                markerObj.tiles.delete(tile);
+                if (markerObj.tiles.size === 0) {
+                    removeMarkerObject(markerObj);
+                }
+            });
+        }
+    }
+
+    // Add, move, re-render or remove only the markers affected by a tile snapshot
+    async function applyTileChanges(tile, changes, isInitial) {
+        // Fetch all unique user profiles in parallel
+        const uniqueUserIds = new Set(changes
+            .filter(change => change.type !== 'removed')
+            .map(change => change.doc.data().userId)
+            .filter(Boolean));
+        await Promise.all(Array.from(uniqueUserIds).map(userId => fetchUserProfile(userId)));
+
+        // The tile may have been evicted while profiles were loading
+        if (tile !== LEGACY_TILE && !tileListeners.has(tile)) {
+            return;
+        }
+
+        const addedMarkers = [];
+        for (const change of changes) {
+            const locationId = change.doc.id;
+            const existing = markerIndex.get(locationId);
 
-                    if (userId) {
-                        uniqueUserIds.add(userId);
+            if (change.type === 'removed') {
+                if (existing) {
+                    existing.tiles.delete(tile);
+                    if (existing.tiles.size === 0) {
+                        removeMarkerObject(existing);
                     }
                 }
+                continue;
             }
 
-            // Fetch all unique user profiles in parallel
-            const userIds = Array.from(uniqueUserIds);
-            const userProfilePromises = userIds.map(userId => fetchUserProfile(userId));
-            await Promise.all(userProfilePromises);
+            const data = change.doc.data();
+            if (existing) {
+                existing.tiles.add(tile);
+                await updateMarkerObject(existing, data);
+                continue;
+            }
 
-            // Build O(1) lookup map for Firestore doc data by location ID
-            const locationDocDataMap = new Map(
-                querySnapshot.docs.map((docSnap) => [docSnap.id, docSnap.data()])
-            );
+            const markerObj = await createMarkerObject(locationId, data);
+            if (!markerObj) continue;
 
-            // Second pass: create markers with cached user data
-            let validMarkers = 0;
-            const batchSize = 100; // Increased batch size since we're not waiting for user fetches
-            let currentBatch = [];
+            markerObj.tiles.add(tile);
+            allMarkers.push(markerObj);
+            markerIndex.set(locationId, markerObj);
+            if (markerMatchesSearch(markerObj)) {
+                addedMarkers.push(markerObj.marker);
+            }
 
-            for (const location of locationData) {
-                const { locationId, title, notes, address, userId, lat, lon } = location;
+            // Another user's pin that appeared after this tile's first snapshot
+            const createdAt = getTimestampMillis(data.createdAt);
+            if (!isInitial && data.userId !== currentUser?.uid && createdAt && createdAt >= sessionStartedAt) {
+                recordNewLocation(markerObj);
+                alertLiveWatchAreaPin(markerObj);
+            }
+        }
 
-                // Get username from cache (already fetched)
-                const userProfile = await fetchUserProfile(userId);
-                const username = userProfile.displayName;
+        markers.addLayers(addedMarkers);
+        scheduleVisiblePinsUpdate();
+    }
 
-                // Get voting data with O(1) lookup
-                const locationDocData = locationDocDataMap.get(locationId) || {};
-                const upvotes = locationDocData.upvotes || [];
-                const downvotes = locationDocData.downvotes || [];
+    // Build the marker and its search metadata for a location document
+    async function createMarkerObject(locationId, data) {
+        const lat = parseFloat(data.latitude);
+        const lon = parseFloat(data.longitude);
+        if (isNaN(lat) || isNaN(lon)) {
+            return null;
+        }
 
-                const popupContent = createPopupContent(locationId, title, lat, lon, notes, address, username, userId, upvotes, downvotes);
-                const marker = L.marker([lat, lon]).bindPopup(popupContent);
+        const markerObj = {
+            locationId,
+            marker: L.marker([lat, lon]),
+            tiles: new Set()
+        };
+        markerObj.marker.on('dragend', () => moveLocationPin(markerObj));
+        markerObj.marker.on('popupopen', () => {
+            openPinId = locationId;
+            scheduleMapStateUpdate();
+        });
+        markerObj.marker.on('popupclose', () => {
+            if (openPinId !== locationId) return;
+            openPinId = null;
+            scheduleMapStateUpdate();
+        });
+        await updateMarkerObject(markerObj, data);
+        return markerObj;
+    }
 
-                const markerObj = {
-                    locationId,
-                    title,
-                    notes,
-                    address,
-                    user: username,
-                    userId,
-                    lat,
-                    lon,
-                    upvotes,
-                    downvotes,
-                    marker
-                };
+    // Copy a location document onto its marker object and refresh the marker in place
+    async function updateMarkerObject(markerObj, data) {
+        const lat = parseFloat(data.latitude);
+        const lon = parseFloat(data.longitude);
+        const userId = data.userId || '';
+
+        // Get username from cache (already fetched)
+        const userProfile = await fetchUserProfile(userId);
+
+        Object.assign(markerObj, {
+            title: data.title || 'Untitled Location',
+            notes: data.notes || '',
+            address: data.address || '',
+            user: userProfile.displayName,
+            userId,
+            lat,
+            lon,
+            ...getVoteCounts(data),
+            tags: normalizeTags(data.tags),
+            images: getLocationImages(data),
+            hidden: isLocationHidden(data),
+            merged: Boolean(data.mergedInto),
+            createdAt: getTimestampMillis(data.createdAt),
+            updatedAt: data.updatedAt || null
+        });
+        markerObj.isNew = userId !== currentUser?.uid && isNewSince(markerObj, lastVisitAt);
+
+        const { marker } = markerObj;
+        // Cluster bubbles read the score from the marker itself
+        const scoreChanged = marker.options.voteScore !== markerObj.score;
+        marker.options.voteScore = markerObj.score;
+        marker.setIcon(getMarkerIcon(markerObj.tags, markerObj.isNew, getScoreBand(markerObj.score)));
+        setMarkerDraggable(markerObj);
+        const position = marker.getLatLng();
+        const moved = !isNaN(lat) && !isNaN(lon) && (position.lat !== lat || position.lng !== lon);
+        if (moved && markers.hasLayer(marker)) {
+            // Re-cluster a marker that moved
+            markers.removeLayer(marker);
+            marker.setLatLng([lat, lon]);
+            markers.addLayer(marker);
+        } else if (moved) {
+            marker.setLatLng([lat, lon]);
+        }
+        renderMarkerPopup(markerObj);
+
+        // An edit can make a marker start or stop matching the active search
+        if (markerIndex.has(markerObj.locationId)) {
+            const shouldShow = markerMatchesSearch(markerObj);
+            if (shouldShow && !markers.hasLayer(marker)) {
+                markers.addLayer(marker);
+            } else if (!shouldShow && markers.hasLayer(marker)) {
+                markers.removeLayer(marker);
+            } else if (scoreChanged && markers.hasLayer(marker)) {
+                markers.refreshClusters(marker);
+            }
+            scheduleVisiblePinsUpdate();
+        }
+    }
 
-                allMarkers.push(markerObj);
-                currentBatch.push(markerObj);
-                validMarkers++;
+    // Rebuild every popup, e.g. after sign-in changes which Edit/Delete buttons apply
+    function refreshAllPopups() {
+        allMarkers.forEach(renderMarkerPopup);
+    }
 
-                // Add markers in larger batches
-                if (currentBatch.length >= batchSize) {
-                    if (loadId === locationLoadCounter) {
-                        currentBatch.forEach(obj => markers.addLayer(obj.marker));
-                    }
-                    currentBatch = [];
-                }
+    // Owners reposition their own pins by dragging them
+    function setMarkerDraggable(markerObj) {
+        const { marker } = markerObj;
+        const draggable = Boolean(currentUser) && markerObj.userId === currentUser.uid;
+        marker.options.draggable = draggable;
+        // The drag handler only exists while the marker is on the map
+        if (marker.dragging) {
+            if (draggable) {
+                marker.dragging.enable();
+            } else {
+                marker.dragging.disable();
             }
+        }
+    }
+
+    // Save a pin the owner dragged to a new spot, or put it back if they change their mind
+    async function moveLocationPin(markerObj) {
+        const { lat, lng } = markerObj.marker.getLatLng();
+        if (!confirm(`Move "${markerObj.title}" to ${formatCoordinates(lat, lng)}?`)) {
+            markerObj.marker.setLatLng([markerObj.lat, markerObj.lon]);
+            return;
+        }
+
+        const fields = { latitude: lat, longitude: lng, geohash: encodeGeohash(lat, lng) };
+        if (isOffline()) {
+            await queueLocationMove(markerObj, fields);
+            return;
+        }
 
-            // Add remaining markers
-            if (loadId === locationLoadCounter) {
-                currentBatch.forEach(obj => markers.addLayer(obj.marker));
-                console.log(`[loadLocationsFromFirestore] Load ${loadId} complete: ${validMarkers} markers loaded from Firestore.`);
+        try {
+            await updateDoc(doc(db, 'locations', markerObj.locationId), {
+                ...fields,
+                updatedAt: serverTimestamp()
+            });
+            showSuccess('Location moved.');
+        } catch (error) {
+            console.error('Error moving location:', error);
+            if (isNetworkError(error)) {
+                await queueLocationMove(markerObj, fields);
             } else {
-                console.log(`[loadLocationsFromFirestore] Load ${loadId} skipped marker addition (newer load ${locationLoadCounter} in progress)`);
+                markerObj.marker.setLatLng([markerObj.lat, markerObj.lon]);
+                showError('Failed to move the location. Please try again.');
             }
+        }
+    }
+
+    // Queue a pin move like any other offline edit
+    async function queueLocationMove(markerObj, fields) {
+        try {
+            await enqueueOutboxEntry({
+                type: 'update',
+                locationId: markerObj.locationId,
+                userId: currentUser.uid,
+                title: markerObj.title,
+                latitude: fields.latitude,
+                longitude: fields.longitude,
+                data: fields,
+                baseUpdatedAt: getTimestampMillis(markerObj.updatedAt)
+            });
+            showSuccess('You are offline. The new position was saved on this device and will sync when you reconnect.');
         } catch (error) {
-            console.error('Error loading locations:', error);
-            showError('Failed to load locations. Please refresh the page.');
-            showLoading(false);
+            console.error('Error queueing location move:', error);
+            markerObj.marker.setLatLng([markerObj.lat, markerObj.lon]);
+            showError('Failed to save the move offline. Please try again.');
+        }
+    }
+
+    // (Re)bind a marker's popup from its marker object
+    function renderMarkerPopup(markerObj) {
+        const { locationId, title, lat, lon, notes, address, user, userId, upvoteCount, downvoteCount, images, tags, hidden, marker } = markerObj;
+        const cover = images[0];
+        const coverUrl = cover ? (cover.thumbUrl || cover.url) : null;
+        const popupContent = createPopupContent(locationId, title, lat, lon, notes, address, user, userId, upvoteCount, downvoteCount, coverUrl, tags, hidden);
+        if (marker.getPopup()) {
+            marker.setPopupContent(popupContent);
+        } else {
+            marker.bindPopup(popupContent);
+        }
+    }
+
+    // Remove a marker from the map and every lookup
+    function removeMarkerObject(markerObj) {
+        markers.removeLayer(markerObj.marker);
+        markerIndex.delete(markerObj.locationId);
+        allMarkers = allMarkers.filter(obj => obj !== markerObj);
+        scheduleVisiblePinsUpdate();
+        newLocationIds.delete(markerObj.locationId);
+        updateNewLocationsIndicator();
+    }
+
+    // ===== NEW LOCATIONS INDICATOR =====
+
+    function recordNewLocation(markerObj) {
+        newLocationIds.add(markerObj.locationId);
+        updateNewLocationsIndicator();
+    }
+
+    function clearNewLocations() {
+        newLocationIds.clear();
+        updateNewLocationsIndicator();
+    }
+
+    function updateNewLocationsIndicator() {
+        const indicator = document.getElementById('new-locations-indicator');
+        if (!indicator) return;
+
+        const count = newLocationIds.size;
+        indicator.textContent = `${count} new location${count === 1 ? '' : 's'}`;
+        indicator.style.display = count > 0 ? 'block' : 'none';
+    }
+
+    // Zoom to the newly added pins without touching the current search
+    function showNewLocations() {
+        const latLngs = Array.from(newLocationIds)
+            .map(id => markerIndex.get(id))
+            .filter(Boolean)
+            .map(markerObj => [markerObj.lat, markerObj.lon]);
+
+        clearNewLocations();
+
+        if (latLngs.length === 1) {
+            map.setView(latLngs[0], Math.max(map.getZoom(), 15));
+        } else if (latLngs.length > 1) {
+            map.fitBounds(latLngs, { padding: [40, 40], maxZoom: 16 });
         }
     }
 
     // Create popup content
-    function createPopupContent(locationId, title, lat, lon, notes, address, user, userId, upvotes = [], downvotes = []) {
+    function createPopupContent(locationId, title, lat, lon, notes, address, user, userId, upvoteCount = 0, downvoteCount = 0, coverUrl = null, tags = [], hidden = false) {
         let popupContent = `<b>${title}</b><br>`;
+
+        // Only the owner still sees a location that reports have hidden
+        if (hidden) {
+            popupContent += `<div class="popup-hidden-notice">Hidden pending moderator review</div>`;
+        }
+
+        if (tags.length > 0) {
+            popupContent += `<div class="tag-chips">${renderTagChips(tags)}</div>`;
+        }
+
+        // Cover photo thumbnail
+        if (coverUrl) {
+            popupContent += `<img src="${coverUrl}" alt="" class="popup-image" loading="lazy">`;
+        }
         
-        // Calculate and display vote score
-        const upvoteCount = upvotes.length;
-        const downvoteCount = downvotes.length;
+        // Display the vote score, coloured by band like the pin and its cluster
         const voteScore = upvoteCount - downvoteCount;
-        
-        // Determine color based on score
-        let scoreColor = '#666'; // gray for zero
-        let scorePrefix = '';
-        if (voteScore > 0) {
-            scoreColor = '#28a745'; // green for positive
-            scorePrefix = '+';
-        } else if (voteScore < 0) {
-            scoreColor = '#dc3545'; // red for negative
-        }
+        const scoreColor = getScoreBand(voteScore).color;
         
         // Add vote score display
         popupContent += `<div style="margin: 8px 0; padding: 6px 10px; background: #f8f9fa; border-radius: 4px; border-left: 3px solid ${scoreColor};">
-            <strong style="color: ${scoreColor}; font-size: 14px;">Score: ${scorePrefix}${voteScore}</strong>
+            <strong style="color: ${scoreColor}; font-size: 14px;">Score: ${formatScore(voteScore)}</strong>
             <span style="color: #666; font-size: 12px; margin-left: 8px;">(↑${upvoteCount} ↓${downvoteCount})</span>
         </div>`;
         
@@ -417,8 +1161,22 @@ document.addEventListener('DOMContentLoaded', function() {
             popupContent += `<br><br><strong>Notes:</strong><br>${notes}`;
         }
 
-        // Add View Details link
+        // Add View Details link; the comment count is filled in when the popup opens
         popupContent += `<br><br><a href="./location.html?id=${locationId}" class="btn btn-primary btn-popup" style="color:white;">View Details</a>`;
+        popupContent += ` <a href="./location.html?id=${locationId}#comments" class="popup-comment-count" data-location-id="${locationId}"></a>`;
+
+        popupContent += ` <button class="btn btn-secondary btn-popup" onclick="window.addToItinerary('${locationId}')" title="Add to shoot itinerary">+ Itinerary</button>`;
+
+        // Save to list button for signed-in users
+        if (currentUser) {
+            const saved = savedLocationIds.has(locationId);
+            popupContent += ` <button class="btn btn-secondary btn-popup btn-save-list ${saved ? 'saved' : ''}" onclick="window.saveToList('${locationId}')">${saved ? '★ Saved' : '☆ Save'}</button>`;
+        }
+
+        // Report button for other users' locations
+        if (currentUser && userId !== currentUser.uid) {
+            popupContent += ` <button class="btn btn-secondary btn-popup btn-report" onclick="window.reportLocation('${locationId}')" title="Report this location">⚑ Report</button>`;
+        }
 
         // Add Edit/Delete buttons if user owns this location
         if (currentUser && userId === currentUser.uid) {
@@ -436,34 +1194,53 @@ document.addEventListener('DOMContentLoaded', function() {
     // Edit location
     window.editLocation = async function(locationId) {
         try {
-            const locationDoc = await getDoc(doc(db, 'locations', locationId));
-            if (locationDoc.exists()) {
-                const data = locationDoc.data();
+            let data = null;
+            try {
+                const locationDoc = await getDoc(doc(db, 'locations', locationId));
+                data = locationDoc.exists() ? locationDoc.data() : null;
+            } catch (fetchError) {
+                // Offline: edit from the copy the map already loaded and queue the result
+                const markerObj = markerIndex.get(locationId);
+                if (!markerObj || !isNetworkError(fetchError)) {
+                    throw fetchError;
+                }
+                data = {
+                    latitude: markerObj.lat,
+                    longitude: markerObj.lon,
+                    title: markerObj.title,
+                    notes: markerObj.notes,
+                    address: markerObj.address,
+                    tags: markerObj.tags,
+                    images: markerObj.images,
+                    updatedAt: markerObj.updatedAt
+                };
+            }
+
+            if (data) {
                 editingLocationId = locationId;
-                currentLocationImageUrl = data.imageUrl || null;
+                editingBaseUpdatedAt = getTimestampMillis(data.updatedAt);
 
                 document.getElementById('edit-title').value = data.title || '';
                 document.getElementById('edit-notes').value = data.notes || '';
                 document.getElementById('edit-address').value = data.address || '';
 
-                // Display current image if exists
-                const currentImageDiv = document.getElementById('edit-current-image');
-                const removeImageBtn = document.getElementById('remove-image-btn');
-                
-                if (currentLocationImageUrl) {
-                    currentImageDiv.innerHTML = `<img src="${currentLocationImageUrl}" alt="${data.title}">`;
-                    removeImageBtn.style.display = 'inline-block';
-                } else {
-                    currentImageDiv.innerHTML = '<div class="no-image">No image</div>';
-                    removeImageBtn.style.display = 'none';
-                }
+                editTagPicker.setTags(data.tags);
 
-                // Clear any previous selections
+                // Show the saved photos (single-imageUrl documents appear as one photo)
                 document.getElementById('edit-image').value = '';
-                document.getElementById('edit-image-preview').innerHTML = '';
-                selectedEditImage = null;
+                editPhotoEditor.setImages(getLocationImages(data));
 
                 document.getElementById('edit-modal').style.display = 'block';
+
+                // Shown once the modal is visible so the preview map can size itself
+                const lat = parseFloat(data.latitude);
+                const lon = parseFloat(data.longitude);
+                editingPosition = isValidCoordinate(lat, lon) ? { lat, lon } : null;
+                if (editingPosition) {
+                    editCoordsField.set(lat, lon);
+                } else {
+                    editCoordsField.reset();
+                }
             }
         } catch (error) {
             console.error('Error loading location:', error);
@@ -484,53 +1261,108 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
-        showLoading(true);
+        if (editCoordsField.hasError()) {
+            showError('Fix the position before saving.');
+            return;
+        }
 
-        try {
-            let imageUrl = currentLocationImageUrl;
+        if (isOffline()) {
+            await queueLocationUpdate(title, notes, address);
+            return;
+        }
 
-            // Handle new image upload
-            if (selectedEditImage) {
-                // Delete old image if exists
-                if (currentLocationImageUrl) {
-                    await deleteImageFromStorage(currentLocationImageUrl);
-                }
+        showLoading(true);
 
-                // Upload new image
-                imageUrl = await uploadImageToStorage(selectedEditImage, editingLocationId);
-            }
+        try {
+            // Upload newly added photos, keeping the order the owner arranged
+            const items = editPhotoEditor.getItems();
+            const images = await uploadPhotoItems(items, currentUser.uid, editingLocationId, {
+                stripMetadata: getStripMetadataPreference(),
+                onProgress: showUploadProgress
+            });
 
-            // Update Firestore
-            const updateData = {
+            // Update Firestore (photosAddedAt feeds followers' activity)
+            await updateDoc(doc(db, 'locations', editingLocationId), {
                 title,
                 notes,
                 address,
+                tags: editTagPicker.getTags(),
+                ...getEditedPositionFields(),
+                ...buildImageFields(images),
+                ...(editPhotoEditor.hasNewFiles() ? { photosAddedAt: serverTimestamp() } : {}),
                 updatedAt: serverTimestamp()
-            };
-
-            if (imageUrl) {
-                updateData.imageUrl = imageUrl;
-            }
+            });
 
-            await updateDoc(doc(db, 'locations', editingLocationId), updateData);
+            // Only delete removed photos once the document no longer references them
+            await Promise.all(editPhotoEditor.getRemovedImages().map(deleteLocationImage));
 
             document.getElementById('edit-modal').style.display = 'none';
             editingLocationId = null;
-            selectedEditImage = null;
-            currentLocationImageUrl = null;
-
-            // Reload locations
-            await loadLocationsFromFirestore();
+            editingPosition = null;
+            editPhotoEditor.reset();
+            editCoordsField.reset();
 
             showSuccess('Location updated successfully!');
         } catch (error) {
             console.error('Error updating location:', error);
-            showError('Failed to update location. Please try again.');
+            if (isNetworkError(error)) {
+                await queueLocationUpdate(title, notes, address);
+            } else {
+                showError('Failed to update location. Please try again.');
+            }
         } finally {
             showLoading(false);
         }
     }
 
+    // Latitude, longitude and geohash for an edit, or none if the owner left the position alone
+    function getEditedPositionFields() {
+        const position = editCoordsField.getPosition();
+        if (!position || !editingPosition
+            || (position.lat === editingPosition.lat && position.lon === editingPosition.lon)) {
+            return {};
+        }
+        return {
+            latitude: position.lat,
+            longitude: position.lon,
+            geohash: encodeGeohash(position.lat, position.lon)
+        };
+    }
+
+    // Save an edit to the offline outbox instead of Firestore
+    async function queueLocationUpdate(title, notes, address) {
+        const markerObj = markerIndex.get(editingLocationId);
+        const position = editCoordsField.getPosition() || (markerObj ? { lat: markerObj.lat, lon: markerObj.lon } : null);
+
+        try {
+            await enqueueOutboxEntry({
+                type: 'update',
+                locationId: editingLocationId,
+                userId: currentUser.uid,
+                latitude: position ? position.lat : null,
+                longitude: position ? position.lon : null,
+                data: { title, notes, address, tags: editTagPicker.getTags(), ...getEditedPositionFields() },
+                photos: editPhotoEditor.getItems(),
+                photosAdded: editPhotoEditor.hasNewFiles(),
+                removedImages: editPhotoEditor.getRemovedImages(),
+                stripMetadata: getStripMetadataPreference(),
+                baseUpdatedAt: editingBaseUpdatedAt
+            });
+
+            document.getElementById('edit-modal').style.display = 'none';
+            editingLocationId = null;
+            editingPosition = null;
+            editPhotoEditor.reset();
+            editCoordsField.reset();
+            editingBaseUpdatedAt = null;
+
+            showSuccess('You are offline. Your edit was saved on this device and will sync when you reconnect.');
+        } catch (error) {
+            console.error('Error queueing location update:', error);
+            showError('Failed to save your edit offline. Please try again.');
+        }
+    }
+
     // Confirm delete location
     window.confirmDeleteLocation = function(locationId) {
         if (confirm('Are you sure you want to delete this location? This cannot be undone.')) {
@@ -553,21 +1385,15 @@ document.addEventListener('DOMContentLoaded', function() {
         showLoading(true);
 
         try {
-            // Get location data to check for image
+            // Get location data to check for photos
             const locationDoc = await getDoc(doc(db, 'locations', locationId));
             if (locationDoc.exists()) {
-                const data = locationDoc.data();
-                // Delete image from storage if exists
-                if (data.imageUrl) {
-                    await deleteImageFromStorage(data.imageUrl);
-                }
+                // Delete every photo from storage
+                await Promise.all(getLocationImages(locationDoc.data()).map(deleteLocationImage));
             }
 
             await deleteDoc(doc(db, 'locations', locationId));
 
-            // Reload locations
-            await loadLocationsFromFirestore();
-
             showSuccess('Location deleted successfully!');
         } catch (error) {
             console.error('Error deleting location:', error);
@@ -580,250 +1406,219 @@ document.addEventListener('DOMContentLoaded', function() {
     function cancelEdit() {
         document.getElementById('edit-modal').style.display = 'none';
         editingLocationId = null;
-        selectedEditImage = null;
-        currentLocationImageUrl = null;
-        document.getElementById('edit-image-preview').innerHTML = '';
-        document.getElementById('edit-current-image').innerHTML = '';
-        document.getElementById('remove-image-btn').style.display = 'none';
+        editingBaseUpdatedAt = null;
+        editingPosition = null;
+        editPhotoEditor.reset();
+        editCoordsField.reset();
     }
 
-    // ===== IMAGE HANDLING FUNCTIONS =====
+    // Compile a search term into a predicate; throws SearchQueryError for malformed queries
+    function buildSearchFilter(searchTerm) {
+        const compiled = compileSearchQuery(searchTerm.trim());
+        return {
+            term: searchTerm,
+            usesNear: queryUsesTerm(compiled.tree, 'near'),
+            matches: markerObj => compiled.matches(markerObj, { origin: getSearchOrigin() })
+        };
+    }
 
-    // Validate image file
-    function validateImageFile(file) {
-        const maxSize = 5 * 1024 * 1024; // 5MB
-        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+    // near: measures from the user's position when known, otherwise the map center
+    function getSearchOrigin() {
+        if (userPosition) {
+            return userPosition;
+        }
+        const center = map.getCenter();
+        return { lat: center.lat, lon: center.lng };
+    }
 
-        if (!allowedTypes.includes(file.type)) {
-            showError('Invalid file type. Please upload JPG, PNG, GIF, or WebP images.');
+    // Check a single marker against the last valid search and the filter chips
+    function markerMatchesSearch(markerObj) {
+        // Reported locations hidden pending review are only shown to their owner
+        if (markerObj.hidden && markerObj.userId !== currentUser?.uid) {
             return false;
         }
-
-        if (file.size > maxSize) {
-            showError('File size exceeds 5MB limit. Please choose a smaller image.');
+        // Duplicates merged into another location stay only as redirects
+        if (markerObj.merged) {
             return false;
         }
-
-        return true;
+        return (activeSearchFilter ? activeSearchFilter.matches(markerObj) : true)
+            && tagsMatchFilter(markerObj.tags, activeTagFilters)
+            && (!followingOnly || followingIds.has(markerObj.userId));
     }
 
-    // Handle new image selection (creation modal)
-    function handleNewImageSelect(event) {
-        const file = event.target.files[0];
-        if (!file) {
-            selectedNewImage = null;
-            document.getElementById('new-image-preview').innerHTML = '';
-            return;
-        }
+    // Show or clear the inline parse error under the search box
+    function showSearchError(error) {
+        const searchInput = document.getElementById('search');
+        const errorEl = document.getElementById('search-error');
 
-        if (!validateImageFile(file)) {
-            event.target.value = '';
-            selectedNewImage = null;
+        if (!error) {
+            errorEl.textContent = '';
+            errorEl.classList.remove('active');
+            searchInput.classList.remove('invalid');
             return;
         }
 
-        selectedNewImage = file;
-
-        // Show preview
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            document.getElementById('new-image-preview').innerHTML = `
-                <img src="${e.target.result}" alt="Preview">
-                <button type="button" class="btn btn-danger" onclick="document.getElementById('new-image').value=''; document.getElementById('new-image-preview').innerHTML=''; selectedNewImage=null;">Remove</button>
-            `;
-        };
-        reader.readAsDataURL(file);
+        errorEl.textContent = `${error.message} (at character ${error.position + 1})`;
+        errorEl.classList.add('active');
+        searchInput.classList.add('invalid');
     }
 
-    // Handle edit image selection (edit modal)
-    function handleEditImageSelect(event) {
-        const file = event.target.files[0];
-        if (!file) {
-            selectedEditImage = null;
-            document.getElementById('edit-image-preview').innerHTML = '';
+    // Filter markers
+    function filterMarkers(searchTerm) {
+        let filter;
+        try {
+            filter = buildSearchFilter(searchTerm);
+        } catch (error) {
+            if (!(error instanceof SearchQueryError)) throw error;
+            // Keep showing the last valid result instead of silently matching nothing
+            showSearchError(error);
             return;
         }
 
-        if (!validateImageFile(file)) {
-            event.target.value = '';
-            selectedEditImage = null;
-            return;
-        }
+        showSearchError(null);
+        activeSearchFilter = filter;
+        markers.clearLayers();
 
-        selectedEditImage = file;
+        const visibleMarkers = allMarkers
+            .filter(markerMatchesSearch)
+            .map(markerObj => markerObj.marker);
+        markers.addLayers(visibleMarkers);
 
-        // Show preview
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            document.getElementById('edit-image-preview').innerHTML = `
-                <img src="${e.target.result}" alt="Preview">
-                <button type="button" class="btn btn-danger" onclick="document.getElementById('edit-image').value=''; document.getElementById('edit-image-preview').innerHTML=''; selectedEditImage=null;">Remove</button>
-            `;
-        };
-        reader.readAsDataURL(file);
+        console.log(`Showing ${visibleMarkers.length} markers (search: "${searchTerm}")`);
+        scheduleMapStateUpdate();
+        scheduleVisiblePinsUpdate();
     }
 
-    // Handle remove image button
-    async function handleRemoveImage() {
-        if (!currentLocationImageUrl || !editingLocationId) return;
-
-        if (!confirm('Are you sure you want to remove this image?')) {
-            return;
-        }
-
-        showLoading(true);
-
-        try {
-            // Delete image from Storage
-            await deleteImageFromStorage(currentLocationImageUrl);
-
-            // Update Firestore to remove imageUrl
-            await updateDoc(doc(db, 'locations', editingLocationId), {
-                imageUrl: null,
-                updatedAt: serverTimestamp()
-            });
-
-            // Update UI
-            currentLocationImageUrl = null;
-            document.getElementById('edit-current-image').innerHTML = '<div class="no-image">No image</div>';
-            document.getElementById('remove-image-btn').style.display = 'none';
+    // ===== TAG FILTERS & ICONS =====
+
+    // Draw the filter chips above the map; they combine with the search box
+    function renderTagFilterBar() {
+        const bar = document.getElementById('tag-filter-bar');
+        const followingChip = currentUser ? `
+            <button type="button" class="tag-chip tag-toggle ${followingOnly ? 'selected' : ''}"
+                    data-filter="following" aria-pressed="${followingOnly}" style="--tag-color: var(--primary-color);"
+                    title="Only show locations from photographers you follow">
+                👥 Following
+            </button>
+        ` : '';
+        bar.innerHTML = followingChip + LOCATION_TAGS.map(tag => `
+            <button type="button" class="tag-chip tag-toggle ${activeTagFilters.has(tag.id) ? 'selected' : ''}"
+                    data-tag="${tag.id}" aria-pressed="${activeTagFilters.has(tag.id)}" style="--tag-color: ${tag.color};"
+                    title="${tag.kind === 'category' ? 'Show this category' : 'Only show locations with this detail'}">
+                ${tag.icon} ${tag.label}
+            </button>
+        `).join('');
+
+        bar.onclick = (event) => {
+            if (event.target.closest('button[data-filter="following"]')) {
+                followingOnly = !followingOnly;
+                if (followingOnly && followingIds.size === 0) {
+                    showError('Follow photographers from their profile pages to see their locations here.');
+                }
+                renderTagFilterBar();
+                filterMarkers(document.getElementById('search').value);
+                return;
+            }
 
-            showSuccess('Image removed successfully!');
-        } catch (error) {
-            console.error('Error removing image:', error);
-            showError('Failed to remove image. Please try again.');
-        } finally {
-            showLoading(false);
-        }
+            const button = event.target.closest('button[data-tag]');
+            if (!button) return;
+            const id = button.dataset.tag;
+            if (activeTagFilters.has(id)) {
+                activeTagFilters.delete(id);
+            } else {
+                activeTagFilters.add(id);
+            }
+            renderTagFilterBar();
+            filterMarkers(document.getElementById('search').value);
+        };
     }
 
-    // Upload image to Firebase Storage
-    async function uploadImageToStorage(file, locationId) {
-        try {
-            const timestamp = Date.now();
-            const fileExtension = file.name.split('.').pop();
-            const fileName = `${locationId}_${timestamp}.${fileExtension}`;
-            const storagePath = `locations/${currentUser.uid}/${fileName}`;
-            
-            const storageRef = ref(storage, storagePath);
-            
-            // Upload file
-            await uploadBytes(storageRef, file);
-            
-            // Get download URL
-            const downloadURL = await getDownloadURL(storageRef);
-            
-            return downloadURL;
-        } catch (error) {
-            console.error('Error uploading image:', error);
-            throw error;
+    // Marker icon for a location's primary category; untagged locations keep the default pin.
+    // Pins new since the last visit get a badged pin in their category colour, and every pin
+    // is outlined in its score band's colour.
+    function getMarkerIcon(tags, isNew = false, band = SCORE_BANDS.neutral) {
+        const category = getPrimaryCategory(tags);
+        const scoreClass = `marker-score-${band.id}`;
+        if (isNew) {
+            const key = `new:${category ? category.id : 'default'}:${band.id}`;
+            if (!categoryIcons.has(key)) {
+                const color = category ? category.color : 'var(--primary-color)';
+                categoryIcons.set(key, L.divIcon({
+                    className: `category-marker marker-new ${scoreClass}`,
+                    html: `<div class="category-marker-pin" style="--tag-color: ${color};"><span>${category ? category.icon : '📍'}</span></div>`
+                        + '<span class="marker-new-badge">NEW</span>',
+                    iconSize: [32, 40],
+                    iconAnchor: [16, 40],
+                    popupAnchor: [0, -36]
+                }));
+            }
+            return categoryIcons.get(key);
         }
-    }
-
-    // Delete image from Firebase Storage
-    async function deleteImageFromStorage(imageUrl) {
-        try {
-            // Extract storage path from URL
-            const urlParts = imageUrl.split('/o/')[1];
-            if (!urlParts) return;
-            
-            const pathPart = urlParts.split('?')[0];
-            const storagePath = decodeURIComponent(pathPart);
-            
-            const storageRef = ref(storage, storagePath);
-            await deleteObject(storageRef);
-            
-            console.log('Image deleted from storage:', storagePath);
-        } catch (error) {
-            // Don't throw error if image doesn't exist
-            console.error('Error deleting image from storage:', error);
+        if (!category) {
+            const key = `default:${band.id}`;
+            if (!categoryIcons.has(key)) {
+                categoryIcons.set(key, new L.Icon.Default({ className: scoreClass }));
+            }
+            return categoryIcons.get(key);
         }
+        const key = `${category.id}:${band.id}`;
+        if (!categoryIcons.has(key)) {
+            categoryIcons.set(key, L.divIcon({
+                className: `category-marker ${scoreClass}`,
+                html: `<div class="category-marker-pin" style="--tag-color: ${category.color};"><span>${category.icon}</span></div>`,
+                iconSize: [32, 40],
+                iconAnchor: [16, 40],
+                popupAnchor: [0, -36]
+            }));
+        }
+        return categoryIcons.get(key);
     }
 
-    // Filter markers
-    function filterMarkers(searchTerm) {
-        const term = searchTerm.trim().toLowerCase();
-        markers.clearLayers();
-        let visibleCount = 0;
-
-        if (term === '') {
-            allMarkers.forEach(markerObj => {
-                markers.addLayer(markerObj.marker);
-                visibleCount++;
-            });
-        } else {
-            // Check for rating search patterns
-            // Supports: "rating>100", "rating<5", ">1000", "<200", "rating>=50", "rating<=10", "rating=5"
-            const ratingPattern = /(?:rating\s*([><=]+)\s*(-?\d+))|^([><=]+)\s*(-?\d+)$/i;
-            const ratingMatch = term.match(ratingPattern);
-            
-            let ratingFilter = null;
-            let textSearchTerm = term;
-            
-            if (ratingMatch) {
-                // Extract operator and value
-                const operator = ratingMatch[1] || ratingMatch[3];
-                const value = parseInt(ratingMatch[2] || ratingMatch[4]);
-                
-                ratingFilter = { operator, value };
-                
-                // Remove rating pattern from text search term
-                textSearchTerm = term.replace(ratingPattern, '').trim();
-            }
-            
-            allMarkers.forEach(markerObj => {
-                let matchesRating = true;
-                let matchesText = true;
-                
-                // Check rating filter if present
-                if (ratingFilter) {
-                    const upvoteCount = (markerObj.upvotes || []).length;
-                    const downvoteCount = (markerObj.downvotes || []).length;
-                    const voteScore = upvoteCount - downvoteCount;
-                    
-                    const { operator, value } = ratingFilter;
-                    
-                    switch (operator) {
-                        case '>':
-                            matchesRating = voteScore > value;
-                            break;
-                        case '<':
-                            matchesRating = voteScore < value;
-                            break;
-                        case '>=':
-                            matchesRating = voteScore >= value;
-                            break;
-                        case '<=':
-                            matchesRating = voteScore <= value;
-                            break;
-                        case '=':
-                        case '==':
-                            matchesRating = voteScore === value;
-                            break;
-                        default:
-                            matchesRating = true;
-                    }
-                }
-                
-                // Check text search if present
-                if (textSearchTerm) {
-                    const titleMatch = markerObj.title.toLowerCase().includes(textSearchTerm);
-                    const notesMatch = markerObj.notes.toLowerCase().includes(textSearchTerm);
-                    const addressMatch = (markerObj.address || '').toLowerCase().includes(textSearchTerm);
-                    const userMatch = (markerObj.user || '').toLowerCase().includes(textSearchTerm);
-                    
-                    matchesText = titleMatch || notesMatch || addressMatch || userMatch;
-                }
-                
-                // Add marker if it matches both rating and text filters
-                if (matchesRating && matchesText) {
-                    markers.addLayer(markerObj.marker);
-                    visibleCount++;
-                }
+    // ===== SCORE CLUSTERS & HEATMAP =====
+
+    // Lets the user choose whether cluster bubbles show the average or the top score
+    function addClusterScoreControl() {
+        const control = L.control({ position: 'topright' });
+        control.onAdd = () => {
+            const container = L.DomUtil.create('div', 'leaflet-bar cluster-score-control');
+            container.innerHTML = `
+                <select title="Score shown on clusters" aria-label="Score shown on clusters">
+                    ${CLUSTER_SCORE_MODES.map(mode => `
+                        <option value="${mode.id}" ${mode.id === clusterScoreMode ? 'selected' : ''}>${mode.label}</option>
+                    `).join('')}
+                </select>
+            `;
+            L.DomEvent.disableClickPropagation(container);
+            container.querySelector('select').addEventListener('change', (event) => {
+                clusterScoreMode = event.target.value;
+                setClusterScoreMode(clusterScoreMode);
+                markers.refreshClusters();
             });
-        }
+            return container;
+        };
+        control.addTo(map);
+    }
+
+    // Points for a heatmap: every visible pin counts once, or by its positive score
+    function getHeatmapPoints(modeId) {
+        return allMarkers
+            .filter(markerObj => markers.hasLayer(markerObj.marker))
+            .map(markerObj => ({
+                lat: markerObj.lat,
+                lon: markerObj.lon,
+                weight: modeId === 'score' ? markerObj.score : 1
+            }));
+    }
 
-        console.log(`Showing ${visibleCount} markers (search: "${searchTerm}")`);
+    // Redraw the heatmaps and the list view at most once per frame, however many pins changed
+    function scheduleVisiblePinsUpdate() {
+        if (visiblePinsUpdatePending) return;
+        visiblePinsUpdatePending = true;
+        requestAnimationFrame(() => {
+            visiblePinsUpdatePending = false;
+            heatmapLayers.forEach(layer => layer.redraw());
+            renderListView();
+        });
     }
 
     // Debounced search handler
@@ -849,6 +1644,7 @@ document.addEventListener('DOMContentLoaded', function() {
         searchInput.disabled = creationMode;
 
         if (creationMode) {
+            stopAreaDrawing();
             map.on('click', handleMapClick);
             console.log('Creation mode: ON - Click map to add pin');
         } else {
@@ -857,6 +1653,9 @@ document.addEventListener('DOMContentLoaded', function() {
                 map.removeLayer(tempMarker);
                 tempMarker = null;
             }
+            // Drop a photo that was waiting for the user to pick its position
+            newPhotoEditor.reset();
+            setPendingShotInfo(null);
             searchInput.disabled = false;
             const currentSearch = searchInput.value;
             if (currentSearch) filterMarkers(currentSearch);
@@ -866,8 +1665,20 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Handle map click in creation mode
     function handleMapClick(e) {
-        const lat = e.latlng.lat;
-        const lon = e.latlng.lng;
+        document.getElementById('creation-modal').style.display = 'block';
+        placeNewLocationPin(e.latlng.lat, e.latlng.lng);
+        newCoordsField.set(clickLat, clickLon);
+        document.getElementById('new-title').focus();
+
+        // Pre-fill user field
+        const userInput = document.getElementById('new-user');
+        if (userInput && currentUserData) {
+            userInput.value = currentUserData.displayName || currentUser.email;
+        }
+    }
+
+    // Put the new location's pin at a point: a map click, pasted coordinates or a dragged preview pin
+    function placeNewLocationPin(lat, lon) {
         clickLat = lat;
         clickLon = lon;
 
@@ -884,95 +1695,1445 @@ document.addEventListener('DOMContentLoaded', function() {
             })
         }).addTo(map);
 
-        document.getElementById('click-coords').textContent = `${lat.toFixed(6)}, ${lon.toFixed(6)}`;
-        document.getElementById('creation-modal').style.display = 'block';
-        document.getElementById('new-title').focus();
+        clearDuplicateWarning();
+        fillAddressFromPin(lat, lon);
+    }
 
-        // Pre-fill user field
-        const userInput = document.getElementById('new-user');
-        if (userInput && currentUserData) {
-            userInput.value = currentUserData.displayName || currentUser.email;
+    // Pre-fill the new location's address from its pin, unless the user typed one
+    async function fillAddressFromPin(lat, lon) {
+        const input = document.getElementById('new-address');
+        const userTyped = () => input.value.trim() !== '' && input.dataset.geocoded !== 'true';
+        if (userTyped() || isOffline()) return;
+
+        const address = await reverseGeocode(lat, lon);
+        // The pin may have moved, or the user started typing, while the lookup ran
+        if (!address || clickLat !== lat || clickLon !== lon || userTyped()) return;
+        input.value = address;
+        input.dataset.geocoded = 'true';
+    }
+
+    // ===== IMPORT & EXPORT =====
+
+    function openTransferModal() {
+        document.getElementById('export-scope').querySelector('option[value="mine"]').disabled = !currentUser;
+        document.getElementById('import-file').disabled = !currentUser;
+        document.getElementById('import-login-hint').style.display = currentUser ? 'none' : 'block';
+        document.getElementById('transfer-modal').style.display = 'block';
+    }
+
+    function closeTransferModal() {
+        document.getElementById('transfer-modal').style.display = 'none';
+        clearImportPreview();
+    }
+
+    // Gather export records for 'filtered' (pins passing the search and tag chips), 'mine' or 'all'
+    // Hidden (moderated) locations and merged duplicates are never exported. "All" covers the
+    // locations loaded for the areas viewed so far rather than reading the whole collection.
+    async function collectExportRecords(scope) {
+        if (scope === 'filtered' || scope === 'all') {
+            return allMarkers
+                .filter(markerObj => !markerObj.hidden && !markerObj.merged)
+                .filter(markerObj => scope === 'all' || markerMatchesSearch(markerObj))
+                .map(markerObj => buildExportRecord(markerObj.locationId, {
+                    ...markerObj,
+                    latitude: markerObj.lat,
+                    longitude: markerObj.lon
+                }, markerObj.user));
         }
+
+        const snapshot = await getDocs(query(collection(db, 'locations'), where('userId', '==', currentUser.uid)));
+        const profile = await fetchUserProfile(currentUser.uid);
+        return snapshot.docs
+            .filter(docSnap => !isLocationHidden(docSnap.data()) && !docSnap.data().mergedInto)
+            .map(docSnap => buildExportRecord(docSnap.id, docSnap.data(), profile.displayName));
     }
 
-    // Submit new location
-    async function submitNewLocation() {
-        if (!currentUser) {
-            showError('Please log in to add locations.');
+    async function exportLocations() {
+        const scope = document.getElementById('export-scope').value;
+        const format = document.getElementById('export-format').value;
+
+        if (scope === 'mine' && !currentUser) {
+            showError('Please log in to export your locations.');
             return;
         }
 
-        const title = document.getElementById('new-title').value.trim();
-        const notes = document.getElementById('new-notes').value.trim();
-        const address = document.getElementById('new-address').value.trim();
+        showLoading(true);
+        try {
+            const records = await collectExportRecords(scope);
+            if (records.length === 0) {
+                showError('There are no locations to export.');
+                return;
+            }
 
-        if (!title) {
-            showError('Title is required!');
+            const { extension, mimeType } = FILE_FORMATS[format];
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(serializeLocations(records, format), `xposure-${scope}-${date}.${extension}`, mimeType);
+            showSuccess(`Exported ${records.length} location${records.length === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('Error exporting locations:', error);
+            showError('Failed to export locations. Please try again.');
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Parse the chosen file and show its points on the map for review
+    async function handleImportFile(file) {
+        clearImportPreview();
+
+        try {
+            const { points, skipped } = parseLocationFile(await file.text(), file.name);
+            importPoints = points.map(point => ({ ...point, selected: true, duplicate: null }));
+            if (skipped > 0) {
+                showError(`${skipped} item${skipped === 1 ? ' was' : 's were'} skipped (only points with valid coordinates can be imported).`);
+            }
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            showError(error instanceof LocationFileError ? error.message : 'Failed to read the file.');
             return;
         }
 
+        // Load the pins around the imported points so duplicates can be spotted
+        const bounds = L.latLngBounds(importPoints.map(point => [point.latitude, point.longitude]));
+        map.fitBounds(bounds, { padding: [40, 40], maxZoom: 15, animate: false });
         showLoading(true);
-
         try {
-            // Create location document first
-            const locationData = {
-                userId: currentUser.uid,
-                latitude: clickLat,
-                longitude: clickLon,
-                title,
-                notes,
-                address,
-                createdAt: serverTimestamp(),
-                updatedAt: serverTimestamp()
-            };
+            await loadVisibleTiles();
+        } finally {
+            showLoading(false);
+        }
 
-            const docRef = await addDoc(collection(db, 'locations'), locationData);
-            const locationId = docRef.id;
+        // Compare against loaded pins and against earlier points in the same file, the same way
+        // new pins are checked
+        const seen = allMarkers
+            .filter(markerObj => !markerObj.merged)
+            .map(markerObj => ({ title: markerObj.title, lat: markerObj.lat, lon: markerObj.lon }));
+        importPoints.forEach(point => {
+            const target = { title: point.title, lat: point.latitude, lon: point.longitude };
+            point.duplicate = matchDuplicates(target, seen)[0] || null;
+            point.selected = !point.duplicate;
+            seen.push(target);
+        });
 
-            // Upload image if selected
-            if (selectedNewImage) {
-                try {
-                    const imageUrl = await uploadImageToStorage(selectedNewImage, locationId);
-                    
-                    // Update location with image URL
-                    await updateDoc(doc(db, 'locations', locationId), {
-                        imageUrl: imageUrl
-                    });
-                } catch (imageError) {
-                    console.error('Error uploading image:', imageError);
-                    showError('Location created but image upload failed. You can add an image by editing the location.');
-                }
-            }
+        renderImportPreview();
+    }
 
-            // Clear and close modal
-            document.getElementById('new-title').value = '';
-            document.getElementById('new-notes').value = '';
-            document.getElementById('new-address').value = '';
-            document.getElementById('new-image').value = '';
-            document.getElementById('new-image-preview').innerHTML = '';
-            selectedNewImage = null;
-            document.getElementById('creation-modal').style.display = 'none';
+    function renderImportPreview() {
+        if (!importLayer) {
+            importLayer = L.layerGroup().addTo(map);
+        }
+        importLayer.clearLayers();
+
+        importPoints.forEach(point => {
+            L.circleMarker([point.latitude, point.longitude], {
+                radius: 8,
+                color: point.duplicate ? '#ff9800' : '#007cba',
+                fillOpacity: point.selected ? 0.8 : 0.2
+            }).bindPopup(`<b>${escapeHtml(point.title)}</b>${point.duplicate
+                ? `<br><span class="import-duplicate">Likely duplicate of "${escapeHtml(point.duplicate.title)}"</span>`
+                : ''}`).addTo(importLayer);
+        });
 
-            if (tempMarker) {
-                map.removeLayer(tempMarker);
-                tempMarker = null;
-            }
+        const selectedCount = importPoints.filter(point => point.selected).length;
+        const duplicateCount = importPoints.filter(point => point.duplicate).length;
+        document.getElementById('import-preview').innerHTML = `
+            <p class="import-summary">${importPoints.length} point${importPoints.length === 1 ? '' : 's'} found,
+                ${duplicateCount} likely duplicate${duplicateCount === 1 ? '' : 's'}. ${selectedCount} selected.</p>
+            <ul class="import-list">
+                ${importPoints.map((point, index) => `
+                    <li>
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-index="${index}" ${point.selected ? 'checked' : ''}>
+                            ${escapeHtml(point.title)}
+                        </label>
+                        ${point.duplicate
+                            ? `<span class="import-duplicate">⚠ ${Math.round(point.duplicate.distance)} m from "${escapeHtml(point.duplicate.title)}"</span>`
+                            : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        document.getElementById('import-btn').disabled = selectedCount === 0;
+    }
 
-            // Exit creation mode
-            toggleCreationMode();
+    function clearImportPreview() {
+        importPoints = [];
+        if (importLayer) {
+            importLayer.clearLayers();
+        }
+        document.getElementById('import-preview').innerHTML = '';
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-btn').disabled = true;
+    }
+
+    // Create the selected points as locations owned by the current user
+    async function importSelectedLocations() {
+        if (!currentUser) {
+            showError('Please log in to import locations.');
+            return;
+        }
+        if (isOffline()) {
+            showError('Importing needs a connection. Please try again when you are back online.');
+            return;
+        }
 
-            // Reload locations
-            await loadLocationsFromFirestore();
+        const selected = importPoints.filter(point => point.selected);
+        if (selected.length === 0) return;
 
-            showSuccess('Location added successfully!');
+        showLoading(true);
+        try {
+            const locationsRef = collection(db, 'locations');
+            for (let start = 0; start < selected.length; start += IMPORT_BATCH_SIZE) {
+                const batch = writeBatch(db);
+                selected.slice(start, start + IMPORT_BATCH_SIZE).forEach(point => {
+                    const locationData = {
+                        userId: currentUser.uid,
+                        latitude: point.latitude,
+                        longitude: point.longitude,
+                        geohash: encodeGeohash(point.latitude, point.longitude),
+                        title: point.title,
+                        notes: point.notes,
+                        address: point.address,
+                        ...INITIAL_VOTE_COUNTS,
+                        createdAt: serverTimestamp(),
+                        updatedAt: serverTimestamp()
+                    };
+                    if (point.tags.length > 0) {
+                        locationData.tags = point.tags;
+                    }
+                    batch.set(doc(locationsRef), locationData);
+                });
+                await batch.commit();
+            }
+
+            // Tile listeners add the new pins to the map
+            closeTransferModal();
+            showSuccess(`Imported ${selected.length} location${selected.length === 1 ? '' : 's'}.`);
         } catch (error) {
-            console.error('Error adding location:', error);
-            showError('Failed to add location. Please try again.');
+            console.error('Error importing locations:', error);
+            showError('Failed to import locations. Please try again.');
         } finally {
             showLoading(false);
         }
     }
 
+    // ===== WATCH AREAS =====
+
+    // Load the signed-in user's watch areas and announce pins added in them since the last visit
+    async function loadWatchAreas() {
+        const userId = currentUser ? currentUser.uid : null;
+        let areas = [];
+
+        if (userId) {
+            try {
+                areas = await getWatchAreas(userId);
+            } catch (error) {
+                console.error('Error loading watch areas:', error);
+            }
+        }
+
+        // Ignore results for a user who has signed out in the meantime
+        if ((currentUser ? currentUser.uid : null) !== userId) return;
+
+        watchAreas = areas;
+        if (!userId && isWatchAreasPanelOpen()) {
+            closeWatchAreasPanel();
+        }
+        renderWatchAreas();
+
+        if (userId && lastVisitAt && areas.length > 0) {
+            try {
+                alertWatchAreaPins(await findNewPinsInAreas(areas, lastVisitAt, userId));
+            } catch (error) {
+                console.error('Error checking watch areas:', error);
+            }
+        }
+    }
+
+    // A pin that arrived live: alert if it falls in one of the user's areas
+    function alertLiveWatchAreaPin(markerObj) {
+        const { locationId, title, lat, lon } = markerObj;
+        alertWatchAreaPins(watchAreas
+            .filter(area => areaContains(area, lat, lon))
+            .map(area => ({ area, locations: [{ id: locationId, title, lat, lon }] })));
+    }
+
+    // Announce new pins once each: in the page while it is visible, otherwise as a system notification
+    async function alertWatchAreaPins(matches) {
+        const lines = [];
+        matches.forEach(({ area, locations }) => {
+            const fresh = locations.filter(location => !alertedLocationIds.has(location.id));
+            if (fresh.length > 0) {
+                lines.push(describeAreaAlert(area.name, fresh));
+            }
+        });
+        matches.forEach(({ locations }) => locations.forEach(location => alertedLocationIds.add(location.id)));
+        if (lines.length === 0) return;
+
+        if (document.visibilityState === 'hidden' && await showAreaNotification(lines.join('\n'), window.location.href)) {
+            return;
+        }
+        showSuccess(`🔔 ${lines.join(' · ')}`, 10000);
+    }
+
+    function openWatchAreasPanel() {
+        if (!currentUser) {
+            showError('Please log in to save watch areas.');
+            return;
+        }
+        document.getElementById('watch-areas-panel').style.display = 'block';
+        renderWatchAreas();
+    }
+
+    function closeWatchAreasPanel() {
+        stopAreaDrawing();
+        document.getElementById('watch-areas-panel').style.display = 'none';
+        renderWatchAreas();
+    }
+
+    function isWatchAreasPanelOpen() {
+        return document.getElementById('watch-areas-panel').style.display === 'block';
+    }
+
+    // List the areas in the panel and outline them on the map while it is open
+    function renderWatchAreas() {
+        if (!watchAreaLayer) {
+            watchAreaLayer = L.layerGroup().addTo(map);
+        }
+        watchAreaLayer.clearLayers();
+        if (!isWatchAreasPanelOpen()) return;
+
+        document.getElementById('watch-area-list').innerHTML = watchAreas.length === 0
+            ? '<li class="watch-area-empty">No watch areas yet. Name one below and draw it on the map.</li>'
+            : watchAreas.map(area => `
+                <li class="watch-area-item" data-area-id="${area.id}">
+                    <span class="watch-area-name">${escapeHtml(area.name)}</span>
+                    <button type="button" class="btn btn-secondary btn-popup" data-action="zoom" title="Show on map">⌖</button>
+                    <button type="button" class="btn btn-danger btn-popup" data-action="delete" title="Delete area">✕</button>
+                </li>
+            `).join('');
+
+        watchAreas.forEach(area => {
+            L.rectangle([[area.south, area.west], [area.north, area.east]], {
+                color: '#ff9800',
+                weight: 2,
+                fillOpacity: 0.08,
+                interactive: false
+            }).bindTooltip(escapeHtml(area.name)).addTo(watchAreaLayer);
+        });
+    }
+
+    // Two clicks on the map mark opposite corners of the new area
+    function startAreaDrawing() {
+        const name = document.getElementById('watch-area-name').value.trim();
+        if (!name) {
+            showError('Give the area a name before drawing it.');
+            return;
+        }
+        if (watchAreas.length >= MAX_WATCH_AREAS) {
+            showError(`You can have at most ${MAX_WATCH_AREAS} watch areas.`);
+            return;
+        }
+        if (creationMode) {
+            toggleCreationMode();
+        }
+
+        areaDrawing = { start: null, rectangle: null };
+        document.getElementById('map').classList.add('drawing-area');
+        document.getElementById('watch-area-draw-btn').textContent = 'Cancel Drawing';
+        map.on('click', handleAreaClick);
+        map.on('mousemove', handleAreaMouseMove);
+        showSuccess('Click one corner of the area, then the opposite corner.');
+    }
+
+    function stopAreaDrawing() {
+        if (!areaDrawing) return;
+        if (areaDrawing.rectangle) {
+            map.removeLayer(areaDrawing.rectangle);
+        }
+        areaDrawing = null;
+        document.getElementById('map').classList.remove('drawing-area');
+        document.getElementById('watch-area-draw-btn').textContent = 'Draw Area';
+        map.off('click', handleAreaClick);
+        map.off('mousemove', handleAreaMouseMove);
+    }
+
+    function handleAreaMouseMove(event) {
+        if (!areaDrawing || !areaDrawing.start) return;
+        areaDrawing.rectangle.setBounds(L.latLngBounds(areaDrawing.start, event.latlng));
+    }
+
+    async function handleAreaClick(event) {
+        if (!areaDrawing.start) {
+            areaDrawing.start = event.latlng;
+            areaDrawing.rectangle = L.rectangle(L.latLngBounds(event.latlng, event.latlng), {
+                color: '#ff9800',
+                weight: 2,
+                dashArray: '6 6',
+                interactive: false
+            }).addTo(map);
+            return;
+        }
+
+        const bounds = L.latLngBounds(areaDrawing.start, event.latlng);
+        const nameInput = document.getElementById('watch-area-name');
+        stopAreaDrawing();
+
+        try {
+            const area = await saveWatchArea(currentUser.uid, nameInput.value, {
+                south: bounds.getSouth(),
+                west: bounds.getWest(),
+                north: bounds.getNorth(),
+                east: bounds.getEast()
+            });
+            watchAreas.push(area);
+            nameInput.value = '';
+            renderWatchAreas();
+            const notificationsAllowed = await requestAlertPermission();
+            showSuccess(notificationsAllowed
+                ? `Watching "${area.name}". You will be notified about new locations there.`
+                : `Watching "${area.name}". New locations there are announced when you open the map.`);
+        } catch (error) {
+            console.error('Error saving watch area:', error);
+            showError(error.code ? 'Failed to save the watch area. Please try again.' : error.message);
+        }
+    }
+
+    function setupWatchAreasPanel() {
+        document.getElementById('watch-areas-btn').addEventListener('click', openWatchAreasPanel);
+        document.getElementById('close-watch-areas-btn').addEventListener('click', closeWatchAreasPanel);
+        document.getElementById('watch-area-draw-btn').addEventListener('click', () => {
+            if (areaDrawing) {
+                stopAreaDrawing();
+            } else {
+                startAreaDrawing();
+            }
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') stopAreaDrawing();
+        });
+
+        document.getElementById('watch-area-list').addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const area = watchAreas.find(candidate => candidate.id === button.closest('.watch-area-item').dataset.areaId);
+            if (!area) return;
+
+            if (button.dataset.action === 'zoom') {
+                map.fitBounds([[area.south, area.west], [area.north, area.east]], { padding: [40, 40] });
+                return;
+            }
+
+            if (!confirm(`Stop watching "${area.name}"?`)) return;
+            try {
+                await deleteWatchArea(currentUser.uid, area.id);
+                watchAreas = watchAreas.filter(candidate => candidate !== area);
+                renderWatchAreas();
+            } catch (error) {
+                console.error('Error deleting watch area:', error);
+                showError('Failed to delete the watch area. Please try again.');
+            }
+        });
+    }
+
+    // ===== OFFLINE MAPS =====
+
+    function openOfflinePanel() {
+        document.getElementById('offline-panel').style.display = 'block';
+        renderOfflinePanel();
+    }
+
+    function closeOfflinePanel() {
+        document.getElementById('offline-panel').style.display = 'none';
+    }
+
+    function isOfflinePanelOpen() {
+        return document.getElementById('offline-panel').style.display === 'block';
+    }
+
+    // Zooms offered for a download: from a few levels out (for context) down to the chosen detail
+    function getOfflineZoomRange() {
+        const zoom = map.getZoom();
+        const maxZoom = Number(document.getElementById('offline-max-zoom').value) || zoom;
+        return { minZoom: Math.max(0, zoom - 3), maxZoom };
+    }
+
+    function getMapBounds() {
+        const bounds = map.getBounds();
+        return {
+            south: bounds.getSouth(),
+            west: bounds.getWest(),
+            north: bounds.getNorth(),
+            east: bounds.getEast()
+        };
+    }
+
+    // Refresh the detail choices, size estimate and downloaded areas for the current view
+    function renderOfflinePanel() {
+        if (!map || !isOfflinePanelOpen()) return;
+
+        const layer = getBaseLayer(baseLayerId);
+        const zoom = map.getZoom();
+        const select = document.getElementById('offline-max-zoom');
+        const previous = Number(select.value);
+        const options = [];
+        for (let level = Math.min(zoom, layer.maxZoom); level <= Math.min(zoom + 4, layer.maxZoom); level++) {
+            options.push(`<option value="${level}">Zoom ${level}${level === zoom ? ' (current)' : ''}</option>`);
+        }
+        select.innerHTML = options.join('');
+        if (Array.from(select.options).some(option => Number(option.value) === previous)) {
+            select.value = String(previous);
+        }
+
+        const { minZoom, maxZoom } = getOfflineZoomRange();
+        const estimateEl = document.getElementById('offline-estimate');
+        // Only sources whose terms allow it can be downloaded (see js/base-layers.js)
+        document.getElementById('offline-download-btn').disabled = !layer.allowOfflineDownload && !offlineDownload;
+        if (layer.allowOfflineDownload) {
+            const estimate = estimateDownload(layer.id, getMapBounds(), minZoom, maxZoom);
+            estimateEl.textContent = `${layer.label}, zoom ${minZoom}–${maxZoom}: ${estimate.tiles} tiles, about ${formatBytes(estimate.bytes)}`
+                + (estimate.tiles > MAX_DOWNLOAD_TILES ? ` (limit ${MAX_DOWNLOAD_TILES}; zoom in or choose less detail)` : '');
+            estimateEl.classList.toggle('offline-over-limit', estimate.tiles > MAX_DOWNLOAD_TILES);
+        } else {
+            const downloadable = BASE_LAYERS.filter(candidate => candidate.allowOfflineDownload).map(candidate => candidate.label);
+            estimateEl.textContent = `The ${layer.label} map's tile provider does not allow downloading it for offline use. `
+                + `Switch the map style to ${downloadable.join(' or ')} to download this area.`;
+            estimateEl.classList.add('offline-over-limit');
+        }
+
+        const areas = getOfflineAreas();
+        document.getElementById('offline-area-list').innerHTML = areas.length === 0
+            ? '<li class="watch-area-empty">No offline areas yet. Frame an area on the map and download it below.</li>'
+            : areas.map(area => `
+                <li class="watch-area-item" data-area-id="${area.id}">
+                    <span class="watch-area-name">${escapeHtml(area.name)}
+                        <span class="offline-area-meta">${escapeHtml(getBaseLayer(area.layerId).label)} · zoom ${area.minZoom}–${area.maxZoom} · ${formatBytes(area.bytes)}</span>
+                    </span>
+                    <button type="button" class="btn btn-secondary btn-popup" data-action="zoom" title="Show on map">⌖</button>
+                    <button type="button" class="btn btn-danger btn-popup" data-action="delete" title="Delete downloaded tiles">✕</button>
+                </li>
+            `).join('');
+    }
+
+    async function downloadOfflineArea() {
+        if (offlineDownload) {
+            offlineDownload.abort();
+            return;
+        }
+
+        const nameInput = document.getElementById('offline-area-name');
+        const button = document.getElementById('offline-download-btn');
+        const progress = document.getElementById('offline-progress');
+        const { minZoom, maxZoom } = getOfflineZoomRange();
+        let failedTiles = 0;
+
+        offlineDownload = new AbortController();
+        button.textContent = 'Cancel Download';
+        progress.value = 0;
+        progress.style.display = 'block';
+
+        try {
+            const area = await downloadArea({
+                name: nameInput.value,
+                layerId: baseLayerId,
+                bounds: getMapBounds(),
+                minZoom,
+                maxZoom
+            }, {
+                signal: offlineDownload.signal,
+                onProgress: ({ done, total, failed }) => {
+                    progress.max = total;
+                    progress.value = done;
+                    failedTiles = failed;
+                }
+            });
+            nameInput.value = '';
+            showSuccess(failedTiles > 0
+                ? `Saved "${area.name}" for offline use (${formatBytes(area.bytes)}), but some tiles could not be downloaded.`
+                : `Saved "${area.name}" for offline use (${formatBytes(area.bytes)}).`);
+        } catch (error) {
+            console.error('Error downloading offline area:', error);
+            showError(error.message);
+        } finally {
+            offlineDownload = null;
+            button.textContent = 'Download This Area';
+            progress.style.display = 'none';
+            renderOfflinePanel();
+        }
+    }
+
+    function setupOfflinePanel() {
+        document.getElementById('offline-btn').addEventListener('click', openOfflinePanel);
+        document.getElementById('close-offline-btn').addEventListener('click', closeOfflinePanel);
+        document.getElementById('offline-download-btn').addEventListener('click', downloadOfflineArea);
+        document.getElementById('offline-max-zoom').addEventListener('change', renderOfflinePanel);
+        map.on('moveend', renderOfflinePanel);
+
+        document.getElementById('offline-area-list').addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const area = getOfflineAreas().find(candidate => candidate.id === button.closest('.watch-area-item').dataset.areaId);
+            if (!area) return;
+
+            if (button.dataset.action === 'zoom') {
+                const { south, west, north, east } = area.bounds;
+                map.fitBounds([[south, west], [north, east]]);
+                return;
+            }
+
+            if (!confirm(`Delete the offline map of "${area.name}"?`)) return;
+            try {
+                await deleteOfflineArea(area.id);
+                renderOfflinePanel();
+            } catch (error) {
+                console.error('Error deleting offline area:', error);
+                showError('Failed to delete the offline area. Please try again.');
+            }
+        });
+    }
+
+    // ===== TOP LOCATIONS =====
+
+    function openTopPanel() {
+        document.getElementById('top-panel').style.display = 'block';
+        loadTopLocations();
+    }
+
+    function closeTopPanel() {
+        document.getElementById('top-panel').style.display = 'none';
+    }
+
+    function isTopPanelOpen() {
+        return document.getElementById('top-panel').style.display === 'block';
+    }
+
+    // Locations to rank: the pins shown in the map view, everything around the map center, or the best everywhere
+    async function getRankingLocations(scopeId) {
+        if (scopeId === 'view') {
+            const bounds = map.getBounds();
+            return allMarkers
+                .filter(markerObj => markers.hasLayer(markerObj.marker) && !markerObj.hidden
+                    && bounds.contains([markerObj.lat, markerObj.lon]))
+                .map(markerObj => ({
+                    id: markerObj.locationId,
+                    title: markerObj.title,
+                    lat: markerObj.lat,
+                    lon: markerObj.lon,
+                    userId: markerObj.userId,
+                    upvoteCount: markerObj.upvoteCount,
+                    downvoteCount: markerObj.downvoteCount,
+                    score: markerObj.score,
+                    createdAt: markerObj.createdAt
+                }));
+        }
+        if (scopeId === 'city') {
+            const center = map.getCenter();
+            return fetchLocationsAround(center.lat, center.lng);
+        }
+        return fetchTopScoredLocations();
+    }
+
+    async function loadTopLocations() {
+        if (!isTopPanelOpen()) return;
+
+        const requestId = ++topLocationsRequest;
+        const scopeId = document.getElementById('top-scope').value;
+        const sortId = document.getElementById('top-sort').value;
+        const locationList = document.getElementById('top-location-list');
+        const contributorList = document.getElementById('top-contributor-list');
+        locationList.innerHTML = '<li class="top-list-empty">Loading…</li>';
+        contributorList.innerHTML = '';
+        // Everywhere only reads the best-scoring locations, so its totals are a sample
+        document.getElementById('top-contributor-hint').textContent = scopeId === 'global'
+            ? `Ranked by the total score of their locations among the ${GLOBAL_LOCATION_LIMIT} highest-scoring ones.`
+            : 'Ranked by the total score of the locations they added here.';
+
+        let locations;
+        let contributors;
+        let profiles;
+        try {
+            locations = await getRankingLocations(scopeId);
+            contributors = rankContributors(locations).slice(0, TOP_CONTRIBUTORS_LIMIT);
+            profiles = await Promise.all(contributors.map(contributor => fetchUserProfile(contributor.userId)));
+        } catch (error) {
+            console.error('Error loading top locations:', error);
+            if (requestId === topLocationsRequest) {
+                locationList.innerHTML = '<li class="top-list-empty">Could not load the leaderboard. Please try again.</li>';
+            }
+            return;
+        }
+        if (requestId !== topLocationsRequest) return;
+
+        const ranked = rankLocations(locations, sortId).slice(0, TOP_LOCATIONS_LIMIT);
+        locationList.innerHTML = ranked.length === 0
+            ? '<li class="top-list-empty">No locations here yet.</li>'
+            : ranked.map(location => `
+                <li class="top-list-item">
+                    <button type="button" class="top-list-link" data-location-id="${escapeHtml(location.id)}"
+                            data-lat="${location.lat}" data-lon="${location.lon}">${escapeHtml(location.title)}</button>
+                    <span class="top-list-meta" title="${Math.round(wilsonLowerBound(location.upvoteCount, location.downvoteCount) * 100)}% liked, at 95% confidence">
+                        ${formatScore(location.score)} (↑${location.upvoteCount} ↓${location.downvoteCount})
+                    </span>
+                </li>
+            `).join('');
+
+        contributorList.innerHTML = contributors.length === 0
+            ? '<li class="top-list-empty">No contributors here yet.</li>'
+            : contributors.map((contributor, index) => `
+                <li class="top-list-item">
+                    <button type="button" class="top-list-link" data-user-name="${escapeHtml(profiles[index].displayName)}"
+                            title="Show their locations">${escapeHtml(profiles[index].displayName)}</button>
+                    <span class="top-list-meta">
+                        ${formatScore(contributor.totalScore)} · ${contributor.locationCount} location${contributor.locationCount === 1 ? '' : 's'}
+                    </span>
+                </li>
+            `).join('');
+    }
+
+    // Jump to a ranked location, loading its tile first if it is outside the loaded area
+    async function showRankedLocation(locationId, lat, lon) {
+        map.setView([lat, lon], Math.max(map.getZoom(), PIN_ZOOM));
+        await loadVisibleTiles();
+        openLinkedPin(locationId);
+    }
+
+    function setupTopPanel() {
+        document.getElementById('top-scope').innerHTML = RANKING_SCOPES
+            .map(scope => `<option value="${scope.id}">${scope.label}</option>`).join('');
+        document.getElementById('top-sort').innerHTML = RANKING_SORTS
+            .map(sort => `<option value="${sort.id}">${sort.label}</option>`).join('');
+
+        document.getElementById('top-btn').addEventListener('click', openTopPanel);
+        document.getElementById('close-top-btn').addEventListener('click', closeTopPanel);
+        document.getElementById('top-scope').addEventListener('change', loadTopLocations);
+        document.getElementById('top-sort').addEventListener('change', loadTopLocations);
+        // The map view ranking follows the map; the others are read from Firestore on demand
+        map.on('moveend', () => {
+            if (document.getElementById('top-scope').value === 'view') loadTopLocations();
+        });
+
+        document.getElementById('top-location-list').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-location-id]');
+            if (!button) return;
+            showRankedLocation(button.dataset.locationId, Number(button.dataset.lat), Number(button.dataset.lon));
+        });
+
+        // A contributor's name searches for their locations
+        document.getElementById('top-contributor-list').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-user-name]');
+            if (!button) return;
+            const search = document.getElementById('search');
+            search.value = `user:"${button.dataset.userName.replace(/"/g, '')}"`;
+            filterMarkers(search.value);
+        });
+    }
+
+    // ===== LIST VIEW =====
+
+    function openListPanel() {
+        document.getElementById('list-panel').style.display = 'flex';
+        document.getElementById('list-btn').classList.add('active');
+        setListViewPreferences({ open: true });
+        renderListView();
+    }
+
+    function closeListPanel() {
+        clearPinHighlight();
+        document.getElementById('list-panel').style.display = 'none';
+        document.getElementById('list-btn').classList.remove('active');
+        setListViewPreferences({ open: false });
+    }
+
+    function isListPanelOpen() {
+        return document.getElementById('list-panel').style.display === 'flex';
+    }
+
+    // Fold the list down to its header, leaving more of the map (and, on phones, the search bar) visible
+    function setListCollapsed(collapsed) {
+        document.getElementById('list-panel').classList.toggle('collapsed', collapsed);
+        document.getElementById('list-collapse-btn').setAttribute('aria-expanded', String(!collapsed));
+    }
+
+    // The pins the map shows right now: matching the search and filter chips, inside the view
+    function getListedMarkers() {
+        const bounds = map.getBounds();
+        return allMarkers.filter(markerObj => markers.hasLayer(markerObj.marker)
+            && bounds.contains([markerObj.lat, markerObj.lon]));
+    }
+
+    function renderListView() {
+        if (!isListPanelOpen()) return;
+        clearPinHighlight();
+
+        // Distances are measured like near:, from the user's position or the map center
+        const entries = sortListedLocations(getListedMarkers(), document.getElementById('list-sort').value, getSearchOrigin());
+        const page = getListPage(entries, listPage);
+        listPage = page.page;
+
+        document.getElementById('list-count').textContent =
+            `${page.total} location${page.total === 1 ? '' : 's'} in view`;
+        document.getElementById('list-view-items').innerHTML = page.total === 0
+            ? '<li class="list-view-empty">No locations in this part of the map. Zoom out or change the search.</li>'
+            : page.items.map(({ location: markerObj, distance }) => {
+                const cover = markerObj.images[0];
+                const category = getPrimaryCategory(markerObj.tags);
+                return `
+                    <li class="list-view-item" data-location-id="${escapeHtml(markerObj.locationId)}" tabindex="0">
+                        ${cover
+                            ? `<img class="list-view-thumb" src="${escapeHtml(cover.thumbUrl || cover.url)}" alt="" loading="lazy">`
+                            : `<span class="list-view-thumb list-view-thumb-empty">${category ? category.icon : '📍'}</span>`}
+                        <span class="list-view-info">
+                            <span class="list-view-title">${escapeHtml(markerObj.title)}</span>
+                            <span class="list-view-meta">
+                                <strong style="color: ${getScoreBand(markerObj.score).color};">${formatScore(markerObj.score)}</strong>
+                                · ${escapeHtml(markerObj.user)} · ${formatDistance(distance)}
+                            </span>
+                        </span>
+                    </li>
+                `;
+            }).join('');
+
+        document.getElementById('list-pager').style.display = page.pageCount > 1 ? 'flex' : 'none';
+        document.getElementById('list-page-label').textContent = `${page.start}–${page.end} of ${page.total}`;
+        document.getElementById('list-prev-btn').disabled = page.page === 0;
+        document.getElementById('list-next-btn').disabled = page.page >= page.pageCount - 1;
+    }
+
+    // Highlight a listed location's pin, or the cluster bubble it is hidden in
+    function highlightPin(locationId) {
+        if (highlightedPin && highlightedPin.locationId === locationId) return;
+        clearPinHighlight();
+        const markerObj = markerIndex.get(locationId);
+        const parent = markerObj && markers.getVisibleParent(markerObj.marker);
+        const element = parent && parent.getElement();
+        if (!element) return;
+        element.classList.add('pin-highlight');
+        highlightedPin = { locationId, element };
+    }
+
+    function clearPinHighlight() {
+        if (!highlightedPin) return;
+        highlightedPin.element.classList.remove('pin-highlight');
+        highlightedPin = null;
+    }
+
+    function showListedLocation(locationId) {
+        clearPinHighlight();
+        // The bottom sheet covers half the map on phones; fold it so the popup can be seen
+        if (window.matchMedia('(max-width: 480px)').matches) {
+            setListCollapsed(true);
+        }
+        openLinkedPin(locationId);
+    }
+
+    function setupListPanel() {
+        const preferences = getListViewPreferences();
+        const sortSelect = document.getElementById('list-sort');
+        sortSelect.innerHTML = LIST_SORTS
+            .map(sort => `<option value="${sort.id}" ${sort.id === preferences.sortId ? 'selected' : ''}>${sort.label}</option>`).join('');
+
+        document.getElementById('list-btn').addEventListener('click', () => {
+            if (isListPanelOpen()) {
+                closeListPanel();
+            } else {
+                setListCollapsed(false);
+                openListPanel();
+            }
+        });
+        document.getElementById('close-list-btn').addEventListener('click', closeListPanel);
+        document.getElementById('list-collapse-btn').addEventListener('click', () => {
+            setListCollapsed(!document.getElementById('list-panel').classList.contains('collapsed'));
+        });
+        sortSelect.addEventListener('change', () => {
+            setListViewPreferences({ sortId: sortSelect.value });
+            listPage = 0;
+            renderListView();
+        });
+        document.getElementById('list-prev-btn').addEventListener('click', () => {
+            listPage--;
+            renderListView();
+            document.getElementById('list-view-items').scrollTop = 0;
+        });
+        document.getElementById('list-next-btn').addEventListener('click', () => {
+            listPage++;
+            renderListView();
+            document.getElementById('list-view-items').scrollTop = 0;
+        });
+        // A new view is a new list; start again from its first page
+        map.on('moveend', () => {
+            listPage = 0;
+            renderListView();
+        });
+
+        const list = document.getElementById('list-view-items');
+        list.addEventListener('mouseover', (event) => {
+            const item = event.target.closest('li[data-location-id]');
+            if (item) highlightPin(item.dataset.locationId);
+        });
+        list.addEventListener('mouseleave', clearPinHighlight);
+        list.addEventListener('focusin', (event) => {
+            const item = event.target.closest('li[data-location-id]');
+            if (item) highlightPin(item.dataset.locationId);
+        });
+        list.addEventListener('focusout', clearPinHighlight);
+        list.addEventListener('click', (event) => {
+            const item = event.target.closest('li[data-location-id]');
+            if (item) showListedLocation(item.dataset.locationId);
+        });
+        list.addEventListener('keydown', (event) => {
+            const item = event.target.closest('li[data-location-id]');
+            if (item && event.key === 'Enter') showListedLocation(item.dataset.locationId);
+        });
+
+        if (preferences.open) {
+            openListPanel();
+        }
+    }
+
+    // ===== ITINERARY =====
+
+    window.addToItinerary = function(locationId) {
+        const markerObj = markerIndex.get(locationId);
+        if (!markerObj) return;
+
+        const result = addStopToDraft({
+            locationId,
+            title: markerObj.title,
+            latitude: markerObj.lat,
+            longitude: markerObj.lon
+        });
+        if (result === 'duplicate') {
+            showError('This location is already in your itinerary.');
+        } else if (result === 'full') {
+            showError(`An itinerary can have at most ${MAX_ITINERARY_STOPS} stops.`);
+        } else {
+            if (document.getElementById('itinerary-optimize').checked) {
+                const draft = getDraftItinerary();
+                setDraftItinerary({ ...draft, stops: optimizeStopOrder(draft.stops) });
+            }
+            showSuccess(`Added "${markerObj.title}" to your itinerary.`);
+        }
+    };
+
+    async function openItineraryPanel() {
+        document.getElementById('itinerary-panel').style.display = 'block';
+        renderItinerary();
+
+        const draft = getDraftItinerary();
+        if (draft.stops.length > 0) {
+            map.fitBounds(L.latLngBounds(draft.stops.map(stop => [stop.latitude, stop.longitude])), {
+                padding: [60, 60],
+                maxZoom: 14
+            });
+        }
+        await loadSavedItineraries();
+    }
+
+    function closeItineraryPanel() {
+        document.getElementById('itinerary-panel').style.display = 'none';
+        if (itineraryLayer) {
+            itineraryLayer.clearLayers();
+        }
+    }
+
+    function isItineraryPanelOpen() {
+        return document.getElementById('itinerary-panel').style.display === 'block';
+    }
+
+    // Change the draft; manual reorders switch optimize mode off
+    function updateItineraryStops(stops, { manualOrder = false } = {}) {
+        const optimizeToggle = document.getElementById('itinerary-optimize');
+        if (manualOrder) {
+            optimizeToggle.checked = false;
+        }
+        const draft = getDraftItinerary();
+        setDraftItinerary({ ...draft, stops: optimizeToggle.checked ? optimizeStopOrder(stops) : stops });
+    }
+
+    function renderItinerary() {
+        const draft = getDraftItinerary();
+        const count = document.getElementById('itinerary-count');
+        count.textContent = draft.stops.length > 0 ? draft.stops.length : '';
+
+        if (!isItineraryPanelOpen()) return;
+
+        const legs = getItineraryLegs(draft.stops);
+        const nameInput = document.getElementById('itinerary-name');
+        if (document.activeElement !== nameInput) {
+            nameInput.value = draft.name;
+        }
+
+        document.getElementById('itinerary-stops').innerHTML = draft.stops.length === 0
+            ? '<li class="itinerary-empty">No stops yet. Use "+ Itinerary" in a location\'s popup to add one.</li>'
+            : draft.stops.map((stop, index) => `
+                ${index > 0 ? `<li class="itinerary-leg">↓ ${formatDistance(legs[index - 1].distance)} · ~${formatDuration(legs[index - 1].minutes)}</li>` : ''}
+                <li class="itinerary-stop" draggable="true" data-index="${index}">
+                    <span class="itinerary-stop-number">${index + 1}</span>
+                    <span class="itinerary-stop-title">${escapeHtml(stop.title)}</span>
+                    <button type="button" class="btn btn-secondary btn-popup" data-action="up" ${index === 0 ? 'disabled' : ''} title="Move earlier">↑</button>
+                    <button type="button" class="btn btn-secondary btn-popup" data-action="down" ${index === draft.stops.length - 1 ? 'disabled' : ''} title="Move later">↓</button>
+                    <button type="button" class="btn btn-danger btn-popup" data-action="remove" title="Remove stop">✕</button>
+                </li>
+            `).join('');
+
+        const totalDistance = legs.reduce((total, leg) => total + leg.distance, 0);
+        const totalMinutes = legs.reduce((total, leg) => total + leg.minutes, 0);
+        document.getElementById('itinerary-summary').textContent = legs.length > 0
+            ? `Total: ${formatDistance(totalDistance)} straight-line · ~${formatDuration(totalMinutes)} driving`
+            : '';
+
+        const hasStops = draft.stops.length > 0;
+        document.getElementById('itinerary-directions-btn').disabled = !hasStops;
+        document.getElementById('itinerary-gpx-btn').disabled = !hasStops;
+        document.getElementById('itinerary-save-btn').disabled = !hasStops || !currentUser;
+        document.getElementById('itinerary-delete-btn').style.display = draft.id && currentUser ? '' : 'none';
+
+        renderItineraryRoute(draft.stops);
+    }
+
+    // Draw the stops as numbered markers joined by a route line
+    function renderItineraryRoute(stops) {
+        if (!itineraryLayer) {
+            itineraryLayer = L.layerGroup().addTo(map);
+        }
+        itineraryLayer.clearLayers();
+        if (stops.length === 0) return;
+
+        const points = stops.map(stop => [stop.latitude, stop.longitude]);
+        L.polyline(points, { color: '#d81b60', weight: 4, opacity: 0.8, dashArray: '8 8' }).addTo(itineraryLayer);
+        stops.forEach((stop, index) => {
+            L.marker(points[index], {
+                icon: L.divIcon({
+                    className: 'itinerary-stop-marker',
+                    html: `<div class="itinerary-stop-number">${index + 1}</div>`,
+                    iconSize: [26, 26],
+                    iconAnchor: [13, 13]
+                }),
+                zIndexOffset: 900
+            }).bindTooltip(escapeHtml(stop.title)).addTo(itineraryLayer);
+        });
+    }
+
+    function setupItineraryPanel() {
+        const stopList = document.getElementById('itinerary-stops');
+        let dragIndex = null;
+
+        stopList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const stops = getDraftItinerary().stops;
+            const index = Number(button.closest('.itinerary-stop').dataset.index);
+            const action = button.dataset.action;
+
+            if (action === 'remove') {
+                stops.splice(index, 1);
+                updateItineraryStops(stops);
+            } else if (action === 'up' && index > 0) {
+                [stops[index - 1], stops[index]] = [stops[index], stops[index - 1]];
+                updateItineraryStops(stops, { manualOrder: true });
+            } else if (action === 'down' && index < stops.length - 1) {
+                [stops[index + 1], stops[index]] = [stops[index], stops[index + 1]];
+                updateItineraryStops(stops, { manualOrder: true });
+            }
+        });
+
+        // Drag and drop reordering
+        stopList.addEventListener('dragstart', (event) => {
+            const item = event.target.closest('.itinerary-stop');
+            if (!item) return;
+            dragIndex = Number(item.dataset.index);
+            event.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        stopList.addEventListener('dragover', (event) => {
+            if (dragIndex !== null && event.target.closest('.itinerary-stop')) {
+                event.preventDefault();
+            }
+        });
+        stopList.addEventListener('drop', (event) => {
+            const item = event.target.closest('.itinerary-stop');
+            if (!item || dragIndex === null) return;
+            event.preventDefault();
+
+            const stops = getDraftItinerary().stops;
+            const [moved] = stops.splice(dragIndex, 1);
+            stops.splice(Number(item.dataset.index), 0, moved);
+            dragIndex = null;
+            updateItineraryStops(stops, { manualOrder: true });
+        });
+        stopList.addEventListener('dragend', () => {
+            dragIndex = null;
+            stopList.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+        });
+
+        document.getElementById('itinerary-optimize').addEventListener('change', (event) => {
+            if (event.target.checked) {
+                updateItineraryStops(getDraftItinerary().stops);
+            }
+        });
+        document.getElementById('itinerary-name').addEventListener('input', (event) => {
+            setDraftItinerary({ ...getDraftItinerary(), name: event.target.value });
+        });
+        document.getElementById('itinerary-directions-btn').addEventListener('click', () => {
+            window.open(buildDirectionsUrl(getDraftItinerary().stops), '_blank', 'noopener');
+        });
+        document.getElementById('itinerary-gpx-btn').addEventListener('click', () => {
+            const draft = getDraftItinerary();
+            const name = draft.name.trim() || 'Shoot itinerary';
+            const fileSlug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'itinerary';
+            downloadFile(serializeRoute(draft.stops, name), `${fileSlug}.gpx`, FILE_FORMATS.gpx.mimeType);
+        });
+        document.getElementById('itinerary-save-btn').addEventListener('click', saveCurrentItinerary);
+        document.getElementById('itinerary-delete-btn').addEventListener('click', deleteCurrentItinerary);
+        document.getElementById('itinerary-clear-btn').addEventListener('click', () => {
+            setDraftItinerary({ id: null, name: '', stops: [] });
+            document.getElementById('saved-itineraries').value = '';
+        });
+        document.getElementById('saved-itineraries').addEventListener('change', (event) => {
+            const itinerary = savedItineraries.find(candidate => candidate.id === event.target.value);
+            if (!itinerary) return;
+            document.getElementById('itinerary-optimize').checked = false;
+            setDraftItinerary(itinerary);
+        });
+        document.getElementById('close-itinerary-btn').addEventListener('click', closeItineraryPanel);
+    }
+
+    async function loadSavedItineraries() {
+        const select = document.getElementById('saved-itineraries');
+        savedItineraries = [];
+
+        if (currentUser) {
+            try {
+                savedItineraries = await getUserItineraries(currentUser.uid);
+            } catch (error) {
+                console.error('Error loading itineraries:', error);
+            }
+        }
+
+        const currentId = getDraftItinerary().id;
+        select.innerHTML = `<option value="">${currentUser ? 'Open a saved itinerary…' : 'Log in to save itineraries'}</option>`
+            + savedItineraries.map(itinerary => `
+                <option value="${itinerary.id}" ${itinerary.id === currentId ? 'selected' : ''}>
+                    ${escapeHtml(itinerary.name)} (${itinerary.stops.length} stop${itinerary.stops.length === 1 ? '' : 's'})
+                </option>
+            `).join('');
+        select.disabled = !currentUser;
+    }
+
+    async function saveCurrentItinerary() {
+        if (!currentUser) {
+            showError('Please log in to save itineraries.');
+            return;
+        }
+
+        const draft = getDraftItinerary();
+        showLoading(true);
+        try {
+            const id = await saveItinerary(currentUser.uid, draft);
+            setDraftItinerary({ ...getDraftItinerary(), id });
+            showSuccess('Itinerary saved.');
+            await loadSavedItineraries();
+        } catch (error) {
+            console.error('Error saving itinerary:', error);
+            showError(error.code ? 'Failed to save itinerary. Please try again.' : error.message);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    async function deleteCurrentItinerary() {
+        const draft = getDraftItinerary();
+        if (!currentUser || !draft.id) return;
+        if (!confirm(`Delete the saved itinerary "${draft.name}"?`)) return;
+
+        try {
+            await deleteItinerary(currentUser.uid, draft.id);
+            // Keep the stops on screen as an unsaved draft
+            setDraftItinerary({ ...draft, id: null });
+            showSuccess('Itinerary deleted.');
+            await loadSavedItineraries();
+        } catch (error) {
+            console.error('Error deleting itinerary:', error);
+            showError('Failed to delete itinerary. Please try again.');
+        }
+    }
+
+    // ===== PINS FROM PHOTOS =====
+
+    // Accept a photo dropped anywhere on the map
+    function setupPhotoDrop() {
+        const mapElement = document.getElementById('map');
+        const hasFiles = event => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+        mapElement.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = currentUser ? 'copy' : 'none';
+            mapElement.classList.add('photo-drop-target');
+        });
+        mapElement.addEventListener('dragleave', (event) => {
+            if (!mapElement.contains(event.relatedTarget)) {
+                mapElement.classList.remove('photo-drop-target');
+            }
+        });
+        mapElement.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            mapElement.classList.remove('photo-drop-target');
+            const file = Array.from(event.dataTransfer.files).find(candidate => candidate.type.startsWith('image/'));
+            if (!currentUser) {
+                showError('Please log in to add locations.');
+            } else if (file) {
+                createPinFromPhoto(file);
+            }
+        });
+    }
+
+    // Read a photo's EXIF metadata, or null if it has none or cannot be parsed
+    async function readPhotoMetadata(file) {
+        try {
+            return readExifData(await file.arrayBuffer());
+        } catch (error) {
+            console.warn('Could not read photo metadata:', error);
+            return null;
+        }
+    }
+
+    // Keep camera details from a photo chosen in the creation modal
+    async function captureShotInfo(file) {
+        const shotInfo = buildShotInfo(await readPhotoMetadata(file));
+        if (shotInfo && !pendingShotInfo) {
+            setPendingShotInfo(shotInfo);
+        }
+    }
+
+    function setPendingShotInfo(shotInfo) {
+        pendingShotInfo = shotInfo;
+        const summary = document.getElementById('new-shot-info');
+        const { takenAt, camera, settings } = describeShotInfo(shotInfo);
+        const parts = [takenAt, camera, settings.join(' · ')].filter(Boolean);
+        summary.textContent = parts.length > 0 ? `📷 ${parts.join(' · ')}` : '';
+        summary.style.display = parts.length > 0 ? 'block' : 'none';
+    }
+
+    // Start a new location from a photo, positioned at its GPS coordinates when it has them
+    async function createPinFromPhoto(file) {
+        if (!currentUser) {
+            showError('Please log in to add locations.');
+            return;
+        }
+        if (!validateImageFile(file)) {
+            return;
+        }
+
+        const metadata = await readPhotoMetadata(file);
+
+        if (!creationMode) {
+            toggleCreationMode();
+        } else {
+            cancelNewLocation();
+        }
+        newPhotoEditor.addFiles([file]);
+        setPendingShotInfo(buildShotInfo(metadata));
+
+        if (!metadata || metadata.latitude === null) {
+            showError('This photo has no GPS location. Click the map where it was taken.', 8000);
+            return;
+        }
+
+        map.setView([metadata.latitude, metadata.longitude], Math.max(map.getZoom(), 16));
+        handleMapClick({ latlng: L.latLng(metadata.latitude, metadata.longitude) });
+    }
+
+    // Submit new location
+    async function submitNewLocation() {
+        if (!currentUser) {
+            showError('Please log in to add locations.');
+            return;
+        }
+
+        const title = document.getElementById('new-title').value.trim();
+        const notes = document.getElementById('new-notes').value.trim();
+        const address = document.getElementById('new-address').value.trim();
+
+        if (!title) {
+            showError('Title is required!');
+            return;
+        }
+
+        if (newCoordsField.hasError()) {
+            showError('Fix the position before adding the location.');
+            return;
+        }
+
+        if (isOffline()) {
+            await queueNewLocation(title, notes, address);
+            return;
+        }
+
+        showLoading(true);
+
+        try {
+            if (!duplicatesAcknowledged) {
+                const duplicates = await findNearbyDuplicates(title);
+                if (duplicates.length > 0) {
+                    showDuplicateWarning(duplicates);
+                    return;
+                }
+            }
+
+            // Create location document first
+            const locationData = {
+                userId: currentUser.uid,
+                latitude: clickLat,
+                longitude: clickLon,
+                geohash: encodeGeohash(clickLat, clickLon),
+                title,
+                notes,
+                address,
+                ...INITIAL_VOTE_COUNTS,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            };
+            if (pendingShotInfo) {
+                locationData.shotInfo = pendingShotInfo;
+            }
+            const tags = newTagPicker.getTags();
+            if (tags.length > 0) {
+                locationData.tags = tags;
+            }
+
+            const docRef = await addDoc(collection(db, 'locations'), locationData);
+            const locationId = docRef.id;
+
+            // Upload selected photos in order
+            const photoItems = newPhotoEditor.getItems();
+            if (photoItems.length > 0) {
+                try {
+                    const images = await uploadPhotoItems(photoItems, currentUser.uid, locationId, {
+                        stripMetadata: getStripMetadataPreference(),
+                        onProgress: showUploadProgress
+                    });
+                    await updateDoc(doc(db, 'locations', locationId), buildImageFields(images));
+                } catch (imageError) {
+                    console.error('Error uploading photos:', imageError);
+                    showError('Location created but photo upload failed. You can add photos by editing the location.');
+                }
+            }
+
+            closeCreationModal();
+
+            showSuccess('Location added successfully!');
+        } catch (error) {
+            console.error('Error adding location:', error);
+            if (isNetworkError(error)) {
+                await queueNewLocation(title, notes, address);
+            } else {
+                showError('Failed to add location. Please try again.');
+            }
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Look for existing locations that are probably the same place; never blocks creation on failure
+    async function findNearbyDuplicates(title) {
+        try {
+            return await findDuplicateLocations(clickLat, clickLon, title);
+        } catch (error) {
+            console.error('Error checking for duplicates:', error);
+            return [];
+        }
+    }
+
+    // List the likely duplicates in the creation modal with "view existing" / "add anyway" choices
+    function showDuplicateWarning(duplicates) {
+        const warning = document.getElementById('duplicate-warning');
+        const count = duplicates.length;
+        warning.innerHTML = `
+            <p><strong>${count === 1 ? 'This place may already be on the map:' : `${count} similar locations are already nearby:`}</strong></p>
+            <ul class="duplicate-list">
+                ${duplicates.map(duplicate => `
+                    <li>
+                        ${duplicate.images.length > 0
+                            ? `<img src="${duplicate.images[0].thumbUrl || duplicate.images[0].url}" alt="" class="duplicate-thumb">`
+                            : ''}
+                        <span class="duplicate-title">${escapeHtml(duplicate.title)}</span>
+                        <span class="duplicate-distance">${Math.round(duplicate.distance)} m away</span>
+                        <a href="./location.html?id=${duplicate.id}" target="_blank" class="btn btn-secondary btn-popup">View existing</a>
+                    </li>
+                `).join('')}
+            </ul>
+            <button type="button" class="btn btn-primary btn-popup" id="add-anyway-btn">Add anyway</button>
+        `;
+        warning.classList.add('active');
+    }
+
+    // Hide the duplicate list; the next submit checks again for the current pin and title
+    function clearDuplicateWarning() {
+        duplicatesAcknowledged = false;
+        const warning = document.getElementById('duplicate-warning');
+        warning.innerHTML = '';
+        warning.classList.remove('active');
+    }
+
+    // Save a new location to the offline outbox; it shows as a pending marker until synced
+    async function queueNewLocation(title, notes, address) {
+        try {
+            await enqueueOutboxEntry({
+                type: 'create',
+                // Reserved now so a replay that is interrupted and retried reuses the same document
+                locationId: doc(collection(db, 'locations')).id,
+                userId: currentUser.uid,
+                latitude: clickLat,
+                longitude: clickLon,
+                data: {
+                    latitude: clickLat,
+                    longitude: clickLon,
+                    geohash: encodeGeohash(clickLat, clickLon),
+                    title,
+                    notes,
+                    address,
+                    tags: newTagPicker.getTags(),
+                    ...(pendingShotInfo ? { shotInfo: pendingShotInfo } : {})
+                },
+                photos: newPhotoEditor.getItems(),
+                stripMetadata: getStripMetadataPreference()
+            });
+
+            closeCreationModal();
+            showSuccess('You are offline. The location was saved on this device and will upload when you reconnect.');
+        } catch (error) {
+            console.error('Error queueing new location:', error);
+            showError('Failed to save the location offline. Please try again.');
+        }
+    }
+
+    // Clear and close the creation modal, then leave creation mode
+    function closeCreationModal() {
+        document.getElementById('new-title').value = '';
+        document.getElementById('new-notes').value = '';
+        document.getElementById('new-address').value = '';
+        document.getElementById('new-image').value = '';
+        newPhotoEditor.reset();
+        setPendingShotInfo(null);
+        newTagPicker.reset();
+        newCoordsField.reset();
+        clearDuplicateWarning();
+        document.getElementById('creation-modal').style.display = 'none';
+
+        if (tempMarker) {
+            map.removeLayer(tempMarker);
+            tempMarker = null;
+        }
+
+        // Exit creation mode
+        toggleCreationMode();
+    }
+
     // Cancel new location
     function cancelNewLocation() {
         if (tempMarker) {
@@ -984,8 +3145,11 @@ document.addEventListener('DOMContentLoaded', function() {
         document.getElementById('new-notes').value = '';
         document.getElementById('new-address').value = '';
         document.getElementById('new-image').value = '';
-        document.getElementById('new-image-preview').innerHTML = '';
-        selectedNewImage = null;
+        newPhotoEditor.reset();
+        setPendingShotInfo(null);
+        newTagPicker.reset();
+        newCoordsField.reset();
+        clearDuplicateWarning();
     }
 });
 
@@ -0,0 +1,253 @@
+/**
+ * Shoot Itineraries
+ * An ordered list of stops kept as a local draft while planning, with distance and
+ * travel time estimates, route optimization, directions links and saved copies
+ * under the user's profile (users/{uid}/itineraries/{itineraryId})
+ */
+
+import { db, collection, doc, getDocs, addDoc, updateDoc, deleteDoc,
+         serverTimestamp } from './firebase-config.js';
+import { getTimestampMillis } from './utils.js';
+import { distanceMeters } from './geo.js';
+
+// Google Maps directions links allow at most 9 waypoints between origin and destination
+export const MAX_ITINERARY_STOPS = 10;
+export const MAX_ITINERARY_NAME_LENGTH = 60;
+
+// Travel estimates: straight-line distance stretched to approximate roads, at an average driving speed
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 40;
+
+const DRAFT_KEY = 'itineraryDraft';
+
+// Fired on window whenever the draft itinerary changes
+export const ITINERARY_CHANGE_EVENT = 'itinerary-change';
+
+// ===== DRAFT =====
+
+/**
+ * Get the itinerary being planned on this device
+ * @returns {{id: string|null, name: string, stops: Array<object>}} The draft; id is set once saved
+ */
+export function getDraftItinerary() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+        if (draft && Array.isArray(draft.stops)) {
+            return { id: draft.id || null, name: draft.name || '', stops: draft.stops };
+        }
+    } catch (error) {
+        console.error('Error reading itinerary draft:', error);
+    }
+    return { id: null, name: '', stops: [] };
+}
+
+/**
+ * Replace the draft itinerary
+ * @param {{id: string|null, name: string, stops: Array<object>}} draft - The new draft
+ */
+export function setDraftItinerary(draft) {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({
+        id: draft.id || null,
+        name: draft.name || '',
+        stops: draft.stops.slice(0, MAX_ITINERARY_STOPS)
+    }));
+    window.dispatchEvent(new CustomEvent(ITINERARY_CHANGE_EVENT));
+}
+
+/**
+ * Append a location to the draft itinerary
+ * @param {{locationId: string, title: string, latitude: number, longitude: number}} stop - Stop to add
+ * @returns {string} 'added', 'duplicate' or 'full'
+ */
+export function addStopToDraft(stop) {
+    const draft = getDraftItinerary();
+    if (draft.stops.some(existing => existing.locationId === stop.locationId)) {
+        return 'duplicate';
+    }
+    if (draft.stops.length >= MAX_ITINERARY_STOPS) {
+        return 'full';
+    }
+
+    draft.stops.push({
+        locationId: stop.locationId,
+        title: stop.title || 'Untitled Location',
+        latitude: parseFloat(stop.latitude),
+        longitude: parseFloat(stop.longitude)
+    });
+    setDraftItinerary(draft);
+    return 'added';
+}
+
+// ===== DISTANCES & ORDER =====
+
+/**
+ * Estimate each leg between consecutive stops
+ * @param {Array<{latitude: number, longitude: number}>} stops - Ordered stops
+ * @returns {Array<{distance: number, minutes: number}>} One leg per pair of stops;
+ *          distance is straight-line meters, minutes an estimated drive time
+ */
+export function getItineraryLegs(stops) {
+    const legs = [];
+    for (let i = 1; i < stops.length; i++) {
+        const distance = distanceMeters(stops[i - 1].latitude, stops[i - 1].longitude, stops[i].latitude, stops[i].longitude);
+        const minutes = (distance * ROAD_DISTANCE_FACTOR / 1000) / AVERAGE_SPEED_KMH * 60;
+        legs.push({ distance, minutes });
+    }
+    return legs;
+}
+
+/**
+ * Format a distance for display
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "850 m" or "12.4 km"
+ */
+export function formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Format a travel time for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} e.g. "25 min" or "1 h 10 min"
+ */
+export function formatDuration(minutes) {
+    const rounded = Math.max(1, Math.round(minutes));
+    if (rounded < 60) {
+        return `${rounded} min`;
+    }
+    const hours = Math.floor(rounded / 60);
+    const rest = rounded % 60;
+    return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+function pathLength(stops) {
+    return getItineraryLegs(stops).reduce((total, leg) => total + leg.distance, 0);
+}
+
+/**
+ * Reorder stops to shorten the total route, keeping the first stop as the start
+ * Uses a nearest-neighbour tour improved with 2-opt, which is exact or close to it
+ * for the handful of stops an itinerary holds.
+ * @param {Array<object>} stops - Stops in their current order
+ * @returns {Array<object>} The same stops in optimized order
+ */
+export function optimizeStopOrder(stops) {
+    if (stops.length < 3) {
+        return stops.slice();
+    }
+
+    // Nearest neighbour from the fixed start
+    const remaining = stops.slice(1);
+    const route = [stops[0]];
+    while (remaining.length > 0) {
+        const last = route[route.length - 1];
+        let nearestIndex = 0;
+        let nearestDistance = Infinity;
+        remaining.forEach((stop, index) => {
+            const distance = distanceMeters(last.latitude, last.longitude, stop.latitude, stop.longitude);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearestIndex = index;
+            }
+        });
+        route.push(remaining.splice(nearestIndex, 1)[0]);
+    }
+
+    // 2-opt: reverse any segment whose reversal shortens the route
+    let improved = true;
+    let best = route;
+    let bestLength = pathLength(best);
+    while (improved) {
+        improved = false;
+        for (let i = 1; i < best.length - 1; i++) {
+            for (let j = i + 1; j < best.length; j++) {
+                const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+                const candidateLength = pathLength(candidate);
+                if (candidateLength < bestLength - 1) {
+                    best = candidate;
+                    bestLength = candidateLength;
+                    improved = true;
+                }
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Build a Google Maps directions link through every stop in order
+ * @param {Array<{latitude: number, longitude: number}>} stops - Ordered stops (at least one)
+ * @returns {string} Directions URL starting at the first stop
+ */
+export function buildDirectionsUrl(stops) {
+    const point = stop => `${stop.latitude},${stop.longitude}`;
+    const params = new URLSearchParams({ api: '1', travelmode: 'driving' });
+
+    if (stops.length === 1) {
+        params.set('destination', point(stops[0]));
+    } else {
+        params.set('origin', point(stops[0]));
+        params.set('destination', point(stops[stops.length - 1]));
+        if (stops.length > 2) {
+            params.set('waypoints', stops.slice(1, -1).map(point).join('|'));
+        }
+    }
+    return `https://www.google.com/maps/dir/?${params.toString()}`;
+}
+
+// ===== SAVED ITINERARIES =====
+
+/**
+ * Load the user's saved itineraries, most recently updated first
+ * @param {string} userId - Owner of the itineraries
+ * @returns {Promise<Array<{id: string, name: string, stops: Array<object>}>>} Saved itineraries
+ */
+export async function getUserItineraries(userId) {
+    const snapshot = await getDocs(collection(db, 'users', userId, 'itineraries'));
+    return snapshot.docs
+        .map(itineraryDoc => ({ id: itineraryDoc.id, ...itineraryDoc.data() }))
+        .sort((a, b) => (getTimestampMillis(b.updatedAt) || 0) - (getTimestampMillis(a.updatedAt) || 0))
+        .map(({ id, name, stops }) => ({ id, name: name || 'Untitled itinerary', stops: stops || [] }));
+}
+
+/**
+ * Save an itinerary, creating it the first time
+ * @param {string} userId - Owner of the itinerary
+ * @param {{id: string|null, name: string, stops: Array<object>}} itinerary - Itinerary to save
+ * @returns {Promise<string>} The itinerary's document ID
+ */
+export async function saveItinerary(userId, itinerary) {
+    const name = itinerary.name.trim();
+    if (!name) {
+        throw new Error('Give the itinerary a name before saving.');
+    }
+    if (name.length > MAX_ITINERARY_NAME_LENGTH) {
+        throw new Error(`Itinerary names can be at most ${MAX_ITINERARY_NAME_LENGTH} characters.`);
+    }
+
+    const data = {
+        name,
+        stops: itinerary.stops.map(({ locationId, title, latitude, longitude }) => ({ locationId, title, latitude, longitude })),
+        updatedAt: serverTimestamp()
+    };
+
+    if (itinerary.id) {
+        await updateDoc(doc(db, 'users', userId, 'itineraries', itinerary.id), data);
+        return itinerary.id;
+    }
+
+    const itineraryRef = await addDoc(collection(db, 'users', userId, 'itineraries'), {
+        ...data,
+        createdAt: serverTimestamp()
+    });
+    return itineraryRef.id;
+}
+
+/**
+ * Delete a saved itinerary
+ * @param {string} userId - Owner of the itinerary
+ * @param {string} itineraryId - Itinerary document ID
+ */
+export async function deleteItinerary(userId, itineraryId) {
+    await deleteDoc(doc(db, 'users', userId, 'itineraries', itineraryId));
+}
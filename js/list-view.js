@@ -0,0 +1,91 @@
+/**
+ * List View
+ * Sorting and paging for the side list of the pins in the current map view, and the
+ * list's open state and sort order remembered on this device
+ */
+
+import { distanceMeters } from './geo.js';
+import { rankLocations } from './ranking.js';
+
+export const LIST_SORTS = [
+    { id: 'score', label: 'Best rated' },
+    { id: 'distance', label: 'Distance' },
+    { id: 'newest', label: 'Newest' },
+    { id: 'title', label: 'Title' }
+];
+
+export const LIST_PAGE_SIZE = 25;
+
+const LIST_VIEW_KEY = 'mapListView';
+
+/**
+ * Get the list view settings saved on this device
+ * @returns {{open: boolean, sortId: string}} Whether the list is shown and its sort id from LIST_SORTS
+ */
+export function getListViewPreferences() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(LIST_VIEW_KEY) || '{}') || {};
+    } catch (error) {
+        stored = {};
+    }
+    return {
+        open: stored.open === true,
+        sortId: LIST_SORTS.some(sort => sort.id === stored.sortId) ? stored.sortId : LIST_SORTS[0].id
+    };
+}
+
+/**
+ * Save some of the list view settings on this device
+ * @param {{open?: boolean, sortId?: string}} changes - Settings to change
+ */
+export function setListViewPreferences(changes) {
+    localStorage.setItem(LIST_VIEW_KEY, JSON.stringify({ ...getListViewPreferences(), ...changes }));
+}
+
+/**
+ * Sort locations for the list, measuring each one's distance from an origin
+ * The score sort ranks by confidence (js/ranking.js), so 1-0 does not tie with 101-100;
+ * distance and title ties keep that order.
+ * @param {Array<{lat: number, lon: number, title: string, createdAt: number|null}>} locations - Locations with vote totals
+ * @param {string} sortId - Sort id from LIST_SORTS
+ * @param {{lat: number, lon: number}} origin - Where distances are measured from
+ * @returns {Array<{location: object, distance: number}>} New array in list order
+ */
+export function sortListedLocations(locations, sortId, origin) {
+    const entries = rankLocations(locations, 'confidence').map(location => ({
+        location,
+        distance: distanceMeters(origin.lat, origin.lon, location.lat, location.lon)
+    }));
+
+    if (sortId === 'distance') {
+        entries.sort((a, b) => a.distance - b.distance);
+    } else if (sortId === 'newest') {
+        entries.sort((a, b) => (b.location.createdAt || 0) - (a.location.createdAt || 0));
+    } else if (sortId === 'title') {
+        entries.sort((a, b) => a.location.title.localeCompare(b.location.title, undefined, { sensitivity: 'base', numeric: true }));
+    }
+    return entries;
+}
+
+/**
+ * Cut one page out of the sorted list
+ * @param {Array} entries - Sorted entries
+ * @param {number} page - Zero-based page wanted; clamped to the pages there are
+ * @returns {{items: Array, page: number, pageCount: number, start: number, end: number, total: number}}
+ *          Entries on the page, the page actually shown, and the 1-based range for display
+ */
+export function getListPage(entries, page) {
+    const pageCount = Math.max(1, Math.ceil(entries.length / LIST_PAGE_SIZE));
+    const shown = Math.min(Math.max(page, 0), pageCount - 1);
+    const start = shown * LIST_PAGE_SIZE;
+    const items = entries.slice(start, start + LIST_PAGE_SIZE);
+    return {
+        items,
+        page: shown,
+        pageCount,
+        start: items.length ? start + 1 : 0,
+        end: start + items.length,
+        total: entries.length
+    };
+}
@@ -0,0 +1,324 @@
+/**
+ * Saved Lists
+ * Named collections of locations stored under a user's profile
+ * (users/{uid}/lists/{listId}) and the dialog used to save a location into them
+ */
+
+import { db, collection, doc, getDoc, getDocs, addDoc, updateDoc, deleteDoc, query, where,
+         serverTimestamp, arrayUnion, arrayRemove } from './firebase-config.js';
+import { showError, showSuccess, getTimestampMillis, escapeHtml } from './utils.js';
+
+export const MAX_LIST_NAME_LENGTH = 60;
+export const MAX_LOCATIONS_PER_LIST = 500;
+
+// Fired on window whenever one of the signed-in user's lists changes
+export const LISTS_CHANGE_EVENT = 'lists-change';
+
+let pickerModal = null;
+let pickerUserId = null;
+let pickerLocationId = null;
+let pickerLists = [];
+
+function listsCollection(userId) {
+    return collection(db, 'users', userId, 'lists');
+}
+
+function notifyChange() {
+    window.dispatchEvent(new CustomEvent(LISTS_CHANGE_EVENT));
+}
+
+function toList(ownerId, snapshot) {
+    const data = snapshot.data();
+    return {
+        id: snapshot.id,
+        ownerId,
+        name: data.name || 'Untitled list',
+        locationIds: Array.isArray(data.locationIds) ? data.locationIds : [],
+        isPublic: data.isPublic === true,
+        createdAt: data.createdAt || null
+    };
+}
+
+// ===== LIST API =====
+
+/**
+ * Load a user's saved lists, oldest first
+ * @param {string} userId - Owner of the lists
+ * @param {object} options - { publicOnly } to read only shared lists (required for other users)
+ * @returns {Promise<Array<object>>} Lists as { id, ownerId, name, locationIds, isPublic, createdAt }
+ */
+export async function getUserLists(userId, { publicOnly = false } = {}) {
+    const listsRef = listsCollection(userId);
+    const listsQuery = publicOnly ? query(listsRef, where('isPublic', '==', true)) : listsRef;
+    const snapshot = await getDocs(listsQuery);
+
+    return snapshot.docs
+        .map(listDoc => toList(userId, listDoc))
+        .sort((a, b) => getTimestampMillis(a.createdAt) - getTimestampMillis(b.createdAt));
+}
+
+/**
+ * Load a single list
+ * @param {string} ownerId - Owner of the list
+ * @param {string} listId - List document ID
+ * @returns {Promise<object|null>} The list, or null if it does not exist
+ */
+export async function getList(ownerId, listId) {
+    const listDoc = await getDoc(doc(db, 'users', ownerId, 'lists', listId));
+    return listDoc.exists() ? toList(ownerId, listDoc) : null;
+}
+
+/**
+ * Create an empty list
+ * @param {string} userId - Owner of the new list
+ * @param {string} name - List name
+ * @param {boolean} isPublic - Whether anyone with the link can view it
+ * @returns {Promise<object>} The created list
+ */
+export async function createList(userId, name, isPublic = false) {
+    const trimmed = validateListName(name);
+    const listRef = await addDoc(listsCollection(userId), {
+        name: trimmed,
+        locationIds: [],
+        isPublic,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    notifyChange();
+    return { id: listRef.id, ownerId: userId, name: trimmed, locationIds: [], isPublic, createdAt: null };
+}
+
+/**
+ * Rename a list or change its visibility
+ * @param {string} userId - Owner of the list
+ * @param {string} listId - List document ID
+ * @param {object} changes - { name, isPublic }, either may be omitted
+ */
+export async function updateList(userId, listId, changes) {
+    const update = { updatedAt: serverTimestamp() };
+    if (changes.name !== undefined) {
+        update.name = validateListName(changes.name);
+    }
+    if (changes.isPublic !== undefined) {
+        update.isPublic = changes.isPublic === true;
+    }
+    await updateDoc(doc(db, 'users', userId, 'lists', listId), update);
+    notifyChange();
+}
+
+/**
+ * Delete a list (the saved locations themselves are untouched)
+ * @param {string} userId - Owner of the list
+ * @param {string} listId - List document ID
+ */
+export async function deleteList(userId, listId) {
+    await deleteDoc(doc(db, 'users', userId, 'lists', listId));
+    notifyChange();
+}
+
+/**
+ * Save a location into a list
+ * @param {string} userId - Owner of the list
+ * @param {string} listId - List document ID
+ * @param {string} locationId - Location to add
+ */
+export async function addLocationToList(userId, listId, locationId) {
+    await updateDoc(doc(db, 'users', userId, 'lists', listId), {
+        locationIds: arrayUnion(locationId),
+        updatedAt: serverTimestamp()
+    });
+    notifyChange();
+}
+
+/**
+ * Remove a location from a list
+ * @param {string} userId - Owner of the list
+ * @param {string} listId - List document ID
+ * @param {string} locationId - Location to remove
+ */
+export async function removeLocationFromList(userId, listId, locationId) {
+    await updateDoc(doc(db, 'users', userId, 'lists', listId), {
+        locationIds: arrayRemove(locationId),
+        updatedAt: serverTimestamp()
+    });
+    notifyChange();
+}
+
+/**
+ * Load the locations saved in a list, skipping any that have since been deleted
+ * @param {object} list - List from getUserLists or getList
+ * @returns {Promise<Array<object>>} Location data with its id, in saved order
+ */
+export async function getListLocations(list) {
+    const snapshots = await Promise.all(
+        list.locationIds.map(locationId => getDoc(doc(db, 'locations', locationId)))
+    );
+    return snapshots
+        .filter(snapshot => snapshot.exists())
+        .map(snapshot => ({ id: snapshot.id, ...snapshot.data() }));
+}
+
+/**
+ * Collect every location ID saved in any of the given lists
+ * @param {Array<object>} lists - Lists from getUserLists
+ * @returns {Set<string>} Saved location IDs
+ */
+export function getSavedLocationIds(lists) {
+    return new Set(lists.flatMap(list => list.locationIds));
+}
+
+/**
+ * Build the shareable link for a public list
+ * @param {object} list - List with id and ownerId
+ * @returns {string} Absolute URL of the list view on the owner's profile page
+ */
+export function getListShareUrl(list) {
+    const url = new URL('./settings.html', window.location.href);
+    url.search = new URLSearchParams({ userId: list.ownerId, list: list.id }).toString();
+    return url.href;
+}
+
+function validateListName(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        throw new Error('List name is required.');
+    }
+    if (trimmed.length > MAX_LIST_NAME_LENGTH) {
+        throw new Error(`List names can be at most ${MAX_LIST_NAME_LENGTH} characters.`);
+    }
+    return trimmed;
+}
+
+// ===== SAVE TO LIST DIALOG =====
+
+// Build the shared picker modal the first time it is needed
+function getPickerModal() {
+    if (pickerModal) {
+        return pickerModal;
+    }
+
+    pickerModal = document.createElement('div');
+    pickerModal.className = 'modal list-picker-modal';
+    pickerModal.innerHTML = `
+        <div class="modal-content">
+            <h3>Save to List</h3>
+            <div class="list-picker-options"></div>
+            <div class="list-picker-new">
+                <input type="text" class="list-picker-name" placeholder="New list name" maxlength="${MAX_LIST_NAME_LENGTH}">
+                <button type="button" class="btn btn-secondary list-picker-create">Create</button>
+            </div>
+            <button type="button" class="btn btn-primary list-picker-done">Done</button>
+        </div>
+    `;
+    document.body.appendChild(pickerModal);
+
+    pickerModal.querySelector('.list-picker-done').addEventListener('click', closeListPicker);
+    pickerModal.addEventListener('click', event => {
+        if (event.target === pickerModal) {
+            closeListPicker();
+        }
+    });
+
+    pickerModal.querySelector('.list-picker-options').addEventListener('change', async event => {
+        const checkbox = event.target.closest('input[data-list-id]');
+        if (!checkbox) return;
+
+        const list = pickerLists.find(candidate => candidate.id === checkbox.dataset.listId);
+        if (checkbox.checked && list && list.locationIds.length >= MAX_LOCATIONS_PER_LIST) {
+            checkbox.checked = false;
+            showError(`A list can hold at most ${MAX_LOCATIONS_PER_LIST} locations.`);
+            return;
+        }
+
+        checkbox.disabled = true;
+        try {
+            if (checkbox.checked) {
+                await addLocationToList(pickerUserId, checkbox.dataset.listId, pickerLocationId);
+                showSuccess('Saved to list.');
+            } else {
+                await removeLocationFromList(pickerUserId, checkbox.dataset.listId, pickerLocationId);
+                showSuccess('Removed from list.');
+            }
+            await renderPickerOptions();
+        } catch (error) {
+            console.error('Error updating list:', error);
+            checkbox.checked = !checkbox.checked;
+            showError('Failed to update the list. Please try again.');
+        } finally {
+            checkbox.disabled = false;
+        }
+    });
+
+    const nameInput = pickerModal.querySelector('.list-picker-name');
+    const createFromInput = async () => {
+        try {
+            const list = await createList(pickerUserId, nameInput.value);
+            await addLocationToList(pickerUserId, list.id, pickerLocationId);
+            nameInput.value = '';
+            showSuccess(`Saved to "${list.name}".`);
+            await renderPickerOptions();
+        } catch (error) {
+            console.error('Error creating list:', error);
+            showError(error.code ? 'Failed to create the list. Please try again.' : error.message);
+        }
+    };
+    pickerModal.querySelector('.list-picker-create').addEventListener('click', createFromInput);
+    nameInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            createFromInput();
+        }
+    });
+
+    return pickerModal;
+}
+
+async function renderPickerOptions() {
+    const options = getPickerModal().querySelector('.list-picker-options');
+    const lists = await getUserLists(pickerUserId);
+    pickerLists = lists;
+
+    if (lists.length === 0) {
+        options.innerHTML = '<p class="list-picker-empty">You have no lists yet. Name one below to start.</p>';
+        return;
+    }
+
+    options.innerHTML = lists.map(list => `
+        <label class="checkbox-label">
+            <input type="checkbox" data-list-id="${list.id}" ${list.locationIds.includes(pickerLocationId) ? 'checked' : ''}>
+            ${escapeHtml(list.name)}
+            <span class="list-picker-count">${list.locationIds.length}</span>
+            ${list.isPublic ? '<span class="list-picker-public" title="Public list">🔗</span>' : ''}
+        </label>
+    `).join('');
+}
+
+/**
+ * Open the dialog for adding a location to (or removing it from) the user's lists
+ * @param {string} userId - Signed-in user who owns the lists
+ * @param {string} locationId - Location being saved
+ */
+export async function openListPicker(userId, locationId) {
+    pickerUserId = userId;
+    pickerLocationId = locationId;
+
+    const modal = getPickerModal();
+    modal.querySelector('.list-picker-options').innerHTML = '<p class="list-picker-empty">Loading lists...</p>';
+    modal.classList.add('active');
+
+    try {
+        await renderPickerOptions();
+    } catch (error) {
+        console.error('Error loading lists:', error);
+        closeListPicker();
+        showError('Failed to load your lists. Please try again.');
+    }
+}
+
+/**
+ * Close the save-to-list dialog if it is open
+ */
+export function closeListPicker() {
+    if (!pickerModal) return;
+    pickerModal.classList.remove('active');
+}
@@ -0,0 +1,374 @@
+/**
+ * Location Import & Export
+ * Converts locations to and from GeoJSON, KML and GPX files
+ */
+
+import { getTimestampMillis, escapeHtml } from './utils.js';
+import { getLocationImages } from './images.js';
+import { normalizeTags } from './tags.js';
+import { getVoteCounts } from './votes.js';
+
+export const FILE_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' }
+};
+
+// Largest file the import preview will show at once
+export const MAX_IMPORT_POINTS = 500;
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+// Namespace for the fields GPX has no element for (address, score, tags)
+const GPX_EXTENSION_NAMESPACE = 'urn:xposure:gpx';
+
+/**
+ * Error thrown for files that cannot be read as locations
+ */
+export class LocationFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LocationFileError';
+    }
+}
+
+// ===== EXPORT =====
+
+/**
+ * Flatten a location into the fields written to export files
+ * @param {string} locationId - Location document ID
+ * @param {object} data - Location document data (or a marker object with the same fields)
+ * @param {string} userName - Display name of the location's creator
+ * @returns {object} Record with id, title, notes, address, coordinates, score and image URLs
+ */
+export function buildExportRecord(locationId, data, userName = '') {
+    const { upvoteCount, downvoteCount, score } = getVoteCounts(data);
+    const createdAt = getTimestampMillis(data.createdAt);
+    const detailsUrl = new URL('./location.html', window.location.href);
+    detailsUrl.search = new URLSearchParams({ id: locationId }).toString();
+
+    return {
+        id: locationId,
+        title: data.title || 'Untitled Location',
+        notes: data.notes || '',
+        address: data.address || '',
+        latitude: parseFloat(data.latitude),
+        longitude: parseFloat(data.longitude),
+        score,
+        upvotes: upvoteCount,
+        downvotes: downvoteCount,
+        imageUrls: getLocationImages(data).map(image => image.url),
+        tags: normalizeTags(data.tags),
+        userId: data.userId || '',
+        user: userName,
+        createdAt: createdAt ? new Date(createdAt).toISOString() : null,
+        url: detailsUrl.href
+    };
+}
+
+/**
+ * Serialize export records in one of FILE_FORMATS
+ * @param {Array<object>} records - Records from buildExportRecord
+ * @param {string} format - 'geojson', 'kml' or 'gpx'
+ * @param {string} name - Collection name written into KML and GPX metadata
+ * @returns {string} File contents
+ */
+export function serializeLocations(records, format, name = 'Xposure locations') {
+    const valid = records.filter(record => !isNaN(record.latitude) && !isNaN(record.longitude));
+    switch (format) {
+        case 'geojson':
+            return toGeoJSON(valid);
+        case 'kml':
+            return toKML(valid, name);
+        case 'gpx':
+            return toGPX(valid, name);
+        default:
+            throw new LocationFileError(`Unknown export format "${format}".`);
+    }
+}
+
+function toGeoJSON(records) {
+    const features = records.map(({ latitude, longitude, ...properties }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+    }));
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function kmlData(name, value) {
+    return `<Data name="${name}"><value>${escapeHtml(value)}</value></Data>`;
+}
+
+function toKML(records, name) {
+    const placemarks = records.map(record => `
+    <Placemark>
+      <name>${escapeHtml(record.title)}</name>
+      <description>${escapeHtml(record.notes)}</description>
+      <address>${escapeHtml(record.address)}</address>
+      <ExtendedData>
+        ${kmlData('id', record.id)}
+        ${kmlData('score', record.score)}
+        ${kmlData('upvotes', record.upvotes)}
+        ${kmlData('downvotes', record.downvotes)}
+        ${kmlData('tags', record.tags.join(','))}
+        ${kmlData('images', record.imageUrls.join(' '))}
+        ${kmlData('user', record.user)}
+        ${kmlData('createdAt', record.createdAt || '')}
+        ${kmlData('url', record.url)}
+      </ExtendedData>
+      <Point><coordinates>${record.longitude},${record.latitude}</coordinates></Point>
+    </Placemark>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NAMESPACE}">
+  <Document>
+    <name>${escapeHtml(name)}</name>${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function toGPX(records, name) {
+    // Element order follows the GPX 1.1 schema for wpt
+    const waypoints = records.map(record => `
+  <wpt lat="${record.latitude}" lon="${record.longitude}">
+    ${record.createdAt ? `<time>${record.createdAt}</time>` : ''}
+    <name>${escapeHtml(record.title)}</name>
+    <desc>${escapeHtml(record.notes)}</desc>
+    <link href="${escapeHtml(record.url)}"><text>Details</text></link>
+    ${record.imageUrls.map((url, index) => `<link href="${escapeHtml(url)}"><text>Photo ${index + 1}</text><type>image</type></link>`).join('\n    ')}
+    <extensions>
+      <xposure:address>${escapeHtml(record.address)}</xposure:address>
+      <xposure:score>${record.score}</xposure:score>
+      <xposure:tags>${escapeHtml(record.tags.join(','))}</xposure:tags>
+      <xposure:user>${escapeHtml(record.user)}</xposure:user>
+    </extensions>
+  </wpt>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Xposure" xmlns="${GPX_NAMESPACE}" xmlns:xposure="${GPX_EXTENSION_NAMESPACE}">
+  <metadata>
+    <name>${escapeHtml(name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints}
+</gpx>
+`;
+}
+
+/**
+ * Serialize an ordered itinerary as a GPX route
+ * @param {Array<{title: string, latitude: number, longitude: number}>} stops - Ordered stops
+ * @param {string} name - Route name
+ * @returns {string} GPX file contents with one rte and a rtept per stop
+ */
+export function serializeRoute(stops, name = 'Xposure itinerary') {
+    const routePoints = stops.map(stop => `
+    <rtept lat="${stop.latitude}" lon="${stop.longitude}">
+      <name>${escapeHtml(stop.title)}</name>
+    </rtept>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Xposure" xmlns="${GPX_NAMESPACE}">
+  <metadata>
+    <name>${escapeHtml(name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+  <rte>
+    <name>${escapeHtml(name)}</name>${routePoints}
+  </rte>
+</gpx>
+`;
+}
+
+/**
+ * Save text as a file through the browser's download prompt
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the contents
+ */
+export function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ===== IMPORT =====
+
+/**
+ * Read the points in a GeoJSON, KML or GPX file
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {{points: Array<object>, skipped: number}} Points as { title, notes, address,
+ *          latitude, longitude, tags } and the number of features that were not usable points
+ * @throws {LocationFileError} If the file is not in a supported format or has no points
+ */
+export function parseLocationFile(text, fileName = '') {
+    const format = detectFormat(text, fileName);
+    const result = format === 'geojson' ? parseGeoJSON(text) : parseXml(text, format);
+
+    if (result.points.length === 0) {
+        throw new LocationFileError('No points found in this file.');
+    }
+    if (result.points.length > MAX_IMPORT_POINTS) {
+        throw new LocationFileError(`This file has ${result.points.length} points. Import at most ${MAX_IMPORT_POINTS} at a time.`);
+    }
+    return result;
+}
+
+function detectFormat(text, fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'geojson' || extension === 'json') return 'geojson';
+    if (extension === 'kml' || extension === 'gpx') return extension;
+
+    const start = text.trimStart();
+    if (start.startsWith('{')) return 'geojson';
+    if (/<kml[\s>]/.test(start)) return 'kml';
+    if (/<gpx[\s>]/.test(start)) return 'gpx';
+    throw new LocationFileError('Unsupported file. Choose a GeoJSON, KML or GPX file.');
+}
+
+// Build a point from loosely typed file values, or null if the coordinates are unusable
+function makePoint(latitude, longitude, fields) {
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return null;
+    }
+
+    const tags = typeof fields.tags === 'string' ? fields.tags.split(',').map(tag => tag.trim()) : fields.tags;
+    return {
+        title: String(fields.title || '').trim() || 'Imported location',
+        notes: String(fields.notes || '').trim(),
+        address: String(fields.address || '').trim(),
+        latitude: lat,
+        longitude: lon,
+        tags: normalizeTags(tags)
+    };
+}
+
+function parseGeoJSON(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new LocationFileError('This GeoJSON file could not be read.');
+    }
+
+    let features = [];
+    if (json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+        features = json.features;
+    } else if (json.type === 'Feature') {
+        features = [json];
+    } else if (json.type === 'Point') {
+        features = [{ geometry: json, properties: {} }];
+    } else {
+        throw new LocationFileError('GeoJSON must be a FeatureCollection, Feature or Point.');
+    }
+
+    const points = [];
+    let skipped = 0;
+    features.forEach(feature => {
+        const geometry = feature && feature.geometry;
+        const properties = (feature && feature.properties) || {};
+        const point = geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)
+            ? makePoint(geometry.coordinates[1], geometry.coordinates[0], {
+                title: properties.title || properties.name,
+                notes: properties.notes || properties.description,
+                address: properties.address,
+                tags: properties.tags
+            })
+            : null;
+
+        if (point) {
+            points.push(point);
+        } else {
+            skipped++;
+        }
+    });
+    return { points, skipped };
+}
+
+// Text of the first descendant with a local name, ignoring namespaces
+function childText(element, localName) {
+    const child = element.getElementsByTagNameNS('*', localName)[0];
+    return child ? child.textContent.trim() : '';
+}
+
+// KML descriptions are often HTML; keep only their text
+function htmlToText(html) {
+    if (!/[<&]/.test(html)) return html;
+    const body = new DOMParser().parseFromString(html.replace(/<br\s*\/?>/gi, '\n'), 'text/html').body;
+    return body.textContent.trim();
+}
+
+function parseXml(text, format) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+        throw new LocationFileError(`This ${FILE_FORMATS[format].label} file could not be read.`);
+    }
+    return format === 'kml' ? parseKmlDocument(xml) : parseGpxDocument(xml);
+}
+
+function parseKmlDocument(xml) {
+    const points = [];
+    let skipped = 0;
+
+    Array.from(xml.getElementsByTagNameNS('*', 'Placemark')).forEach(placemark => {
+        const extended = {};
+        Array.from(placemark.getElementsByTagNameNS('*', 'Data')).forEach(data => {
+            extended[data.getAttribute('name')] = childText(data, 'value');
+        });
+
+        // Only Point placemarks become locations; "lon,lat[,alt]"
+        const pointElement = placemark.getElementsByTagNameNS('*', 'Point')[0];
+        const [lon, lat] = pointElement ? childText(pointElement, 'coordinates').split(',') : [];
+        const point = pointElement
+            ? makePoint(lat, lon, {
+                title: childText(placemark, 'name'),
+                notes: htmlToText(childText(placemark, 'description')),
+                address: childText(placemark, 'address'),
+                tags: extended.tags
+            })
+            : null;
+
+        if (point) {
+            points.push(point);
+        } else {
+            skipped++;
+        }
+    });
+    return { points, skipped };
+}
+
+function parseGpxDocument(xml) {
+    const points = [];
+    let skipped = 0;
+
+    // Waypoints, plus route points from files that store places as a route
+    const waypoints = [
+        ...xml.getElementsByTagNameNS('*', 'wpt'),
+        ...xml.getElementsByTagNameNS('*', 'rtept')
+    ];
+    waypoints.forEach(waypoint => {
+        const point = makePoint(waypoint.getAttribute('lat'), waypoint.getAttribute('lon'), {
+            title: childText(waypoint, 'name'),
+            notes: childText(waypoint, 'desc') || childText(waypoint, 'cmt'),
+            address: childText(waypoint, 'address'),
+            tags: childText(waypoint, 'tags')
+        });
+
+        if (point) {
+            points.push(point);
+        } else {
+            skipped++;
+        }
+    });
+    return { points, skipped };
+}
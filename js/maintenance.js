@@ -0,0 +1,111 @@
+/**
+ * Maintenance
+ * One-off sweeps over the whole locations collection, run by a moderator from
+ * moderation.html after a data change rather than by every client. Each sweep is
+ * safe to run again: it only touches documents that still need it.
+ */
+
+import { db, collection, doc, getDoc, getDocs, setDoc, query, orderBy, startAfter, limit, writeBatch,
+         serverTimestamp } from './firebase-config.js';
+import { encodeGeohash } from './geo.js';
+import { needsVoteMigration, migrateLegacyVotes } from './votes.js';
+
+// Firestore allows at most 500 writes per batch
+const BACKFILL_PAGE_SIZE = 400;
+// Each location is migrated in its own batches, so pages only bound the reads
+const MIGRATION_PAGE_SIZE = 200;
+
+// ===== GEOHASH BACKFILL =====
+
+// Written once the backfill has run, so clients stop scanning for locations without a geohash
+const GEOHASH_BACKFILL_DOC = ['maintenance', 'geohashes'];
+
+/**
+ * Check whether a moderator has finished the geohash backfill
+ * Until then the map also reads the locations that tile queries cannot find (js/index.js).
+ * @returns {Promise<boolean>} True once backfillGeohashes has completed
+ */
+export async function isGeohashBackfillComplete() {
+    const statusDoc = await getDoc(doc(db, ...GEOHASH_BACKFILL_DOC));
+    return statusDoc.exists();
+}
+
+/**
+ * Add a geohash to every location created before tile loading existed
+ * Tile queries cannot find those locations, so the map falls back to reading the whole
+ * collection until this has run once.
+ * @param {function} onProgress - Called with the number of locations updated so far
+ * @returns {Promise<number>} Number of locations updated
+ */
+export async function backfillGeohashes(onProgress = () => {}) {
+    const locationsRef = collection(db, 'locations');
+    let lastDoc = null;
+    let updatedCount = 0;
+
+    while (true) {
+        const pageQuery = lastDoc
+            ? query(locationsRef, orderBy('createdAt'), startAfter(lastDoc), limit(BACKFILL_PAGE_SIZE))
+            : query(locationsRef, orderBy('createdAt'), limit(BACKFILL_PAGE_SIZE));
+        const snapshot = await getDocs(pageQuery);
+        if (snapshot.empty) break;
+
+        const batch = writeBatch(db);
+        let batchCount = 0;
+        snapshot.docs.forEach(docSnap => {
+            const data = docSnap.data();
+            const lat = parseFloat(data.latitude);
+            const lon = parseFloat(data.longitude);
+            if (!data.geohash && !isNaN(lat) && !isNaN(lon)) {
+                batch.update(docSnap.ref, { geohash: encodeGeohash(lat, lon) });
+                batchCount++;
+            }
+        });
+
+        if (batchCount > 0) {
+            await batch.commit();
+            updatedCount += batchCount;
+            onProgress(updatedCount);
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.size < BACKFILL_PAGE_SIZE) break;
+    }
+
+    await setDoc(doc(db, ...GEOHASH_BACKFILL_DOC), { completedAt: serverTimestamp() });
+    return updatedCount;
+}
+
+// ===== VOTE MIGRATION =====
+
+/**
+ * Move the voter arrays of every location into vote documents with counters (js/votes.js)
+ * Unmigrated locations are otherwise only migrated when someone next votes on them.
+ * @param {function} onProgress - Called with the number of locations migrated so far
+ * @returns {Promise<number>} Number of locations migrated
+ */
+export async function migrateAllLegacyVotes(onProgress = () => {}) {
+    const locationsRef = collection(db, 'locations');
+    let lastDoc = null;
+    let migratedCount = 0;
+
+    while (true) {
+        const pageQuery = lastDoc
+            ? query(locationsRef, orderBy('createdAt'), startAfter(lastDoc), limit(MIGRATION_PAGE_SIZE))
+            : query(locationsRef, orderBy('createdAt'), limit(MIGRATION_PAGE_SIZE));
+        const snapshot = await getDocs(pageQuery);
+        if (snapshot.empty) break;
+
+        for (const locationDoc of snapshot.docs) {
+            if (needsVoteMigration(locationDoc.data())) {
+                await migrateLegacyVotes(locationDoc.id, locationDoc.data());
+                migratedCount++;
+                onProgress(migratedCount);
+            }
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.size < MIGRATION_PAGE_SIZE) break;
+    }
+
+    return migratedCount;
+}
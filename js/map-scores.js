@@ -0,0 +1,95 @@
+/**
+ * Vote Scores on the Map
+ * Score bands shared by popups, pins and cluster bubbles, so a cluster of well-rated
+ * spots can be told apart from a cluster of poor ones at a glance
+ */
+
+// Same colours as the score shown in popups and on the location page
+export const SCORE_BANDS = {
+    positive: { id: 'positive', label: 'Positive', color: '#28a745' },
+    neutral: { id: 'neutral', label: 'No score', color: '#666' },
+    negative: { id: 'negative', label: 'Negative', color: '#dc3545' }
+};
+
+// What the number on a cluster bubble summarizes
+export const CLUSTER_SCORE_MODES = [
+    { id: 'average', label: 'Average score' },
+    { id: 'top', label: 'Top score' }
+];
+
+const CLUSTER_SCORE_MODE_KEY = 'clusterScoreMode';
+
+/**
+ * Band for a score: green above zero, red below, grey at zero
+ * @param {number} score - Vote score (may be a fractional average)
+ * @returns {{id: string, label: string, color: string}} Entry from SCORE_BANDS
+ */
+export function getScoreBand(score) {
+    if (score > 0) return SCORE_BANDS.positive;
+    if (score < 0) return SCORE_BANDS.negative;
+    return SCORE_BANDS.neutral;
+}
+
+/**
+ * Format a score with its sign, e.g. "+3", "-1", "0" or "+2.5" for averages
+ * @param {number} score - Vote score
+ * @returns {string} Display text
+ */
+export function formatScore(score) {
+    const rounded = Math.round(score * 10) / 10;
+    return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+/**
+ * Get the cluster summary chosen on this device
+ * @returns {string} Mode id from CLUSTER_SCORE_MODES
+ */
+export function getClusterScoreMode() {
+    const stored = localStorage.getItem(CLUSTER_SCORE_MODE_KEY);
+    return CLUSTER_SCORE_MODES.some(mode => mode.id === stored) ? stored : CLUSTER_SCORE_MODES[0].id;
+}
+
+/**
+ * Remember the cluster summary chosen on this device
+ * @param {string} modeId - Mode id from CLUSTER_SCORE_MODES
+ */
+export function setClusterScoreMode(modeId) {
+    localStorage.setItem(CLUSTER_SCORE_MODE_KEY, modeId);
+}
+
+/**
+ * Summarize the scores of the pins in a cluster
+ * @param {Array<number>} scores - Scores of the clustered pins
+ * @param {string} modeId - 'average' or 'top'
+ * @returns {number} Average or highest score (0 for no pins)
+ */
+export function summarizeScores(scores, modeId) {
+    if (scores.length === 0) return 0;
+    if (modeId === 'top') return Math.max(...scores);
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Build a cluster bubble showing the pin count and the cluster's score, coloured by band
+ * Each child marker carries its score in options.voteScore.
+ * @param {L.MarkerCluster} cluster - Cluster from L.markerClusterGroup
+ * @param {string} modeId - 'average' or 'top'
+ * @returns {L.DivIcon} Icon for iconCreateFunction
+ */
+export function createScoreClusterIcon(cluster, modeId) {
+    const count = cluster.getChildCount();
+    const score = summarizeScores(cluster.getAllChildMarkers().map(marker => marker.options.voteScore || 0), modeId);
+    const band = getScoreBand(score);
+    // Same count steps as the default markercluster bubbles, growing a little with each
+    const size = count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
+    const diameter = { small: 40, medium: 46, large: 52 }[size];
+    const mode = CLUSTER_SCORE_MODES.find(candidate => candidate.id === modeId) || CLUSTER_SCORE_MODES[0];
+
+    return L.divIcon({
+        className: `marker-cluster score-cluster score-cluster-${size}`,
+        html: `<div style="--score-color: ${band.color};" title="${count} locations · ${mode.label.toLowerCase()} ${formatScore(score)}">`
+            + `<span class="score-cluster-count">${count}</span>`
+            + `<span class="score-cluster-score">${formatScore(score)}</span></div>`,
+        iconSize: [diameter, diameter]
+    });
+}
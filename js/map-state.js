@@ -0,0 +1,85 @@
+/**
+ * Map State in the URL
+ * Reads and writes the map view, search, filter chips and open pin as the URL hash,
+ * e.g. #map=15/48.85840/2.29450&q=tag:beach&tags=water,sunset&following=1&pin=abc123,
+ * so a view can be bookmarked or shared and opens exactly as it was
+ */
+
+import { getTag } from './tags.js';
+import { isValidCoordinate } from './coordinates.js';
+
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 19;
+// Zoom used when a link points at a single pin
+export const PIN_ZOOM = 17;
+
+// Enough decimals to keep the center steady at the given zoom (about one pixel)
+function coordinateDecimals(zoom) {
+    return Math.max(0, Math.ceil(Math.log2(Math.max(zoom, 1))));
+}
+
+/**
+ * Read map state from a URL hash
+ * Unknown tags and malformed views are dropped; missing parts are empty.
+ * @param {string} hash - location.hash, with or without the leading #
+ * @returns {{view: {lat: number, lon: number, zoom: number}|null, search: string, tags: Array<string>,
+ *          following: boolean, pin: string|null}} State
+ */
+export function parseMapHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+
+    let view = null;
+    const parts = (params.get('map') || '').split('/').map(Number);
+    if (parts.length === 3 && parts.every(Number.isFinite) && isValidCoordinate(parts[1], parts[2])) {
+        const zoom = Math.min(Math.max(Math.round(parts[0]), MIN_ZOOM), MAX_ZOOM);
+        view = { lat: parts[1], lon: parts[2], zoom };
+    }
+
+    const tags = (params.get('tags') || '').split(',').filter(id => getTag(id));
+
+    return {
+        view,
+        search: params.get('q') || '',
+        tags: Array.from(new Set(tags)),
+        following: params.get('following') === '1',
+        pin: params.get('pin') || null
+    };
+}
+
+/**
+ * Write map state as a URL hash
+ * @param {object} state - Same shape as parseMapHash returns; empty parts are left out
+ * @returns {string} Hash including the leading #
+ */
+export function buildMapHash({ view = null, search = '', tags = [], following = false, pin = null }) {
+    // Built by hand so the view keeps its slashes and stays readable
+    const parts = [];
+    if (view) {
+        const decimals = coordinateDecimals(view.zoom);
+        parts.push(`map=${view.zoom}/${view.lat.toFixed(decimals)}/${view.lon.toFixed(decimals)}`);
+    }
+    if (search) {
+        parts.push(`q=${encodeURIComponent(search)}`);
+    }
+    if (tags.length > 0) {
+        parts.push(`tags=${tags.map(encodeURIComponent).join(',')}`);
+    }
+    if (following) {
+        parts.push('following=1');
+    }
+    if (pin) {
+        parts.push(`pin=${encodeURIComponent(pin)}`);
+    }
+    return `#${parts.join('&')}`;
+}
+
+/**
+ * Link to the map focused on one location with its popup open
+ * @param {string} locationId - Location document ID
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Relative URL of the map page
+ */
+export function buildPinLink(locationId, lat, lon) {
+    return `./index.html${buildMapHash({ view: { lat, lon, zoom: PIN_ZOOM }, pin: locationId })}`;
+}
@@ -0,0 +1,286 @@
+/**
+ * Reports & Moderation
+ * User reports on locations (reports/{locationId}_{reporterId}), automatic hiding
+ * once enough users report a location, and the moderator actions used by
+ * moderation.html. Moderators are the users with a document in moderators/{uid}.
+ * Resolved reports move to reportHistory, so only open reports stay in reports.
+ */
+
+import { db, collection, doc, getDoc, getDocs, query, where, writeBatch,
+         serverTimestamp } from './firebase-config.js';
+import { showError, showSuccess, escapeHtml } from './utils.js';
+import { getLocationImages, deleteLocationImage } from './images.js';
+
+// Keep in sync with the Firestore rules
+export const REPORT_HIDE_THRESHOLD = 3;
+export const MAX_REPORT_DETAILS_LENGTH = 500;
+export const REPORT_REASONS = [
+    { id: 'trespassing', label: 'Trespassing or private property' },
+    { id: 'unsafe', label: 'Dangerous or unsafe access' },
+    { id: 'spam', label: 'Spam or advertising' },
+    { id: 'offensive', label: 'Offensive or abusive content' },
+    { id: 'inaccurate', label: 'Wrong location or misleading information' },
+    { id: 'other', label: 'Something else' }
+];
+
+let reportModal = null;
+let reportTarget = null; // { userId, locationId, onReported }
+
+function reportRef(locationId, userId) {
+    // One report per user per location
+    return doc(db, 'reports', `${locationId}_${userId}`);
+}
+
+/**
+ * Get the label for a report reason code
+ * @param {string} id - Reason code
+ * @returns {string} Human-readable reason
+ */
+export function getReportReasonLabel(id) {
+    const reason = REPORT_REASONS.find(candidate => candidate.id === id);
+    return reason ? reason.label : id;
+}
+
+/**
+ * Check whether a location has been hidden pending review
+ * @param {object} data - Location document data
+ * @returns {boolean} True if only the owner and moderators should see it
+ */
+export function isLocationHidden(data) {
+    return data.hidden === true;
+}
+
+// ===== REPORTING =====
+
+/**
+ * Check whether a user already has an open report on a location
+ * @param {string} locationId - Location document ID
+ * @param {string} userId - Reporting user
+ * @returns {Promise<boolean>} True if an open report exists
+ */
+export async function hasReportedLocation(locationId, userId) {
+    const report = await getDoc(reportRef(locationId, userId));
+    return report.exists();
+}
+
+/**
+ * File a report and count it on the location, hiding the location at the threshold
+ * @param {string} locationId - Location being reported
+ * @param {string} userId - Reporting user
+ * @param {string} reason - Reason code from REPORT_REASONS
+ * @param {string} details - Optional free-text explanation
+ * @returns {Promise<boolean>} True if this report hid the location
+ */
+export async function reportLocation(locationId, userId, reason, details = '') {
+    const trimmed = details.trim();
+    if (!REPORT_REASONS.some(candidate => candidate.id === reason)) {
+        throw new Error('Please choose a reason for the report.');
+    }
+    if (trimmed.length > MAX_REPORT_DETAILS_LENGTH) {
+        throw new Error(`Report details can be at most ${MAX_REPORT_DETAILS_LENGTH} characters.`);
+    }
+
+    const locationRef = doc(db, 'locations', locationId);
+    const locationDoc = await getDoc(locationRef);
+    if (!locationDoc.exists()) {
+        throw new Error('This location no longer exists.');
+    }
+
+    // The rules accept the count only as the stored value plus one, alongside a new report
+    const reportCount = (locationDoc.data().reportCount || 0) + 1;
+    const hide = reportCount >= REPORT_HIDE_THRESHOLD && !isLocationHidden(locationDoc.data());
+
+    const batch = writeBatch(db);
+    batch.set(reportRef(locationId, userId), {
+        locationId,
+        reporterId: userId,
+        reason,
+        details: trimmed,
+        status: 'open',
+        createdAt: serverTimestamp()
+    });
+    batch.update(locationRef, hide ? { reportCount, hidden: true } : { reportCount });
+    await batch.commit();
+    return hide;
+}
+
+// ===== REPORT DIALOG =====
+
+// Build the shared report modal the first time it is needed
+function getReportModal() {
+    if (reportModal) {
+        return reportModal;
+    }
+
+    reportModal = document.createElement('div');
+    reportModal.className = 'modal report-modal';
+    reportModal.innerHTML = `
+        <div class="modal-content">
+            <h3>Report Location</h3>
+            <p class="report-intro">Why should moderators look at this location?</p>
+            <div class="report-reasons">
+                ${REPORT_REASONS.map(reason => `
+                    <label class="checkbox-label"><input type="radio" name="report-reason" value="${reason.id}"> ${escapeHtml(reason.label)}</label>
+                `).join('')}
+            </div>
+            <textarea class="report-details" maxlength="${MAX_REPORT_DETAILS_LENGTH}" placeholder="Details (optional)"></textarea>
+            <button type="button" class="btn btn-danger report-submit">Submit Report</button>
+            <button type="button" class="btn btn-secondary report-cancel">Cancel</button>
+        </div>
+    `;
+    document.body.appendChild(reportModal);
+
+    reportModal.querySelector('.report-cancel').addEventListener('click', closeReportDialog);
+    reportModal.addEventListener('click', event => {
+        if (event.target === reportModal) {
+            closeReportDialog();
+        }
+    });
+
+    reportModal.querySelector('.report-submit').addEventListener('click', async event => {
+        const selected = reportModal.querySelector('input[name="report-reason"]:checked');
+        const details = reportModal.querySelector('.report-details').value;
+        const { userId, locationId, onReported } = reportTarget;
+
+        event.target.disabled = true;
+        try {
+            const hidden = await reportLocation(locationId, userId, selected ? selected.value : '', details);
+            closeReportDialog();
+            showSuccess(hidden
+                ? 'Thanks for the report. The location is hidden until a moderator reviews it.'
+                : 'Thanks for the report. A moderator will review it.');
+            onReported(hidden);
+        } catch (error) {
+            console.error('Error reporting location:', error);
+            showError(error.code ? 'Failed to send the report. Please try again.' : error.message);
+        } finally {
+            event.target.disabled = false;
+        }
+    });
+
+    return reportModal;
+}
+
+/**
+ * Open the report dialog for a location
+ * @param {string} userId - Signed-in user filing the report
+ * @param {string} locationId - Location being reported
+ * @param {function} onReported - Called with whether the location was hidden after a successful report
+ */
+export async function openReportDialog(userId, locationId, onReported = () => {}) {
+    try {
+        if (await hasReportedLocation(locationId, userId)) {
+            showError('You have already reported this location.');
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking existing report:', error);
+    }
+
+    reportTarget = { userId, locationId, onReported };
+    const modal = getReportModal();
+    modal.querySelectorAll('input[name="report-reason"]').forEach(input => {
+        input.checked = false;
+    });
+    modal.querySelector('.report-details').value = '';
+    modal.classList.add('active');
+}
+
+/**
+ * Close the report dialog if it is open
+ */
+export function closeReportDialog() {
+    if (!reportModal) return;
+    reportModal.classList.remove('active');
+}
+
+// ===== MODERATOR ACTIONS =====
+
+/**
+ * Check whether a user has the moderator role
+ * @param {string} userId - User to check
+ * @returns {Promise<boolean>} True if moderators/{userId} exists
+ */
+export async function isModerator(userId) {
+    try {
+        const moderatorDoc = await getDoc(doc(db, 'moderators', userId));
+        return moderatorDoc.exists();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Load open reports grouped by location, most reported first
+ * @returns {Promise<Array<{locationId: string, location: object|null, reports: Array<object>}>>}
+ *          Groups; location is null if it was already deleted
+ */
+export async function getOpenReportGroups() {
+    const snapshot = await getDocs(query(collection(db, 'reports'), where('status', '==', 'open')));
+    const groups = new Map();
+    snapshot.docs.forEach(reportDoc => {
+        const report = { id: reportDoc.id, ...reportDoc.data() };
+        if (!groups.has(report.locationId)) {
+            groups.set(report.locationId, []);
+        }
+        groups.get(report.locationId).push(report);
+    });
+
+    const results = await Promise.all(Array.from(groups.entries()).map(async ([locationId, reports]) => {
+        const locationDoc = await getDoc(doc(db, 'locations', locationId));
+        return { locationId, location: locationDoc.exists() ? locationDoc.data() : null, reports };
+    }));
+    return results.sort((a, b) => b.reports.length - a.reports.length);
+}
+
+// Move a group of reports to the history in the same batch as the location change,
+// which frees each reporter to report the location again later
+function resolveReports(batch, reports, status, moderatorId) {
+    reports.forEach(({ id, ...report }) => {
+        batch.set(doc(collection(db, 'reportHistory')), {
+            ...report,
+            reportId: id,
+            status,
+            resolvedBy: moderatorId,
+            resolvedAt: serverTimestamp()
+        });
+        batch.delete(doc(db, 'reports', id));
+    });
+}
+
+/**
+ * Dismiss a location's reports and make it visible again
+ * @param {string} locationId - Reported location
+ * @param {Array<object>} reports - Its open reports
+ * @param {string} moderatorId - Moderator taking the action
+ */
+export async function dismissReports(locationId, reports, moderatorId) {
+    const batch = writeBatch(db);
+    resolveReports(batch, reports, 'dismissed', moderatorId);
+
+    const locationRef = doc(db, 'locations', locationId);
+    if ((await getDoc(locationRef)).exists()) {
+        batch.update(locationRef, { hidden: false, reportCount: 0 });
+    }
+    await batch.commit();
+}
+
+/**
+ * Remove a reported location with its photos and close its reports
+ * @param {string} locationId - Reported location
+ * @param {Array<object>} reports - Its open reports
+ * @param {string} moderatorId - Moderator taking the action
+ */
+export async function removeReportedLocation(locationId, reports, moderatorId) {
+    const locationDoc = await getDoc(doc(db, 'locations', locationId));
+    if (locationDoc.exists()) {
+        await Promise.all(getLocationImages(locationDoc.data()).map(deleteLocationImage));
+    }
+
+    const batch = writeBatch(db);
+    resolveReports(batch, reports, 'removed', moderatorId);
+    if (locationDoc.exists()) {
+        batch.delete(doc(db, 'locations', locationId));
+    }
+    await batch.commit();
+}
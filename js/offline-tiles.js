@@ -0,0 +1,262 @@
+/**
+ * Offline Tiles
+ * Downloads the base-layer tiles covering an area into a cache that the service
+ * worker serves map tiles from (sw.js), and keeps the list of downloaded areas on
+ * this device so they can be reviewed and removed
+ */
+
+import { getBaseLayer, getTileUrl } from './base-layers.js';
+
+// sw.js keeps this cache across app updates and answers tile requests from it
+export const TILE_CACHE_NAME = 'map-tiles';
+
+// The tile servers are free community services; keep single downloads modest
+export const MAX_DOWNLOAD_TILES = 3000;
+export const MAX_OFFLINE_AREAS = 10;
+export const MAX_OFFLINE_AREA_NAME_LENGTH = 60;
+
+const DOWNLOAD_CONCURRENCY = 4;
+const AREAS_KEY = 'offlineTileAreas';
+// Leave room in the browser's quota for the app shell, photos and the offline outbox
+const QUOTA_SHARE = 0.8;
+
+// ===== TILE MATH =====
+
+function tileX(lon, zoom) {
+    return Math.floor((lon + 180) / 360 * 2 ** zoom);
+}
+
+function tileY(lat, zoom) {
+    const radians = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * 2 ** zoom);
+}
+
+/**
+ * Get the tile columns and rows covering bounds at one zoom level
+ * @param {{south: number, west: number, north: number, east: number}} bounds - Area
+ * @param {number} zoom - Zoom level
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}} Inclusive tile range
+ */
+export function getTileRange(bounds, zoom) {
+    const last = 2 ** zoom - 1;
+    const clamp = value => Math.min(Math.max(value, 0), last);
+    // Web Mercator stops short of the poles
+    const north = Math.min(bounds.north, 85.0511);
+    const south = Math.max(bounds.south, -85.0511);
+    return {
+        minX: clamp(tileX(Math.max(bounds.west, -180), zoom)),
+        maxX: clamp(tileX(Math.min(bounds.east, 180), zoom)),
+        minY: clamp(tileY(north, zoom)),
+        maxY: clamp(tileY(south, zoom))
+    };
+}
+
+/**
+ * Count the tiles covering bounds over a zoom range
+ * @param {object} bounds - Area
+ * @param {number} minZoom - Lowest zoom
+ * @param {number} maxZoom - Highest zoom
+ * @returns {number} Tile count
+ */
+export function countAreaTiles(bounds, minZoom, maxZoom) {
+    let count = 0;
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const range = getTileRange(bounds, zoom);
+        count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+    }
+    return count;
+}
+
+// Every tile URL an area needs, lowest zoom first
+function listAreaTileUrls(area) {
+    const layer = getBaseLayer(area.layerId);
+    const urls = [];
+    for (let zoom = area.minZoom; zoom <= area.maxZoom; zoom++) {
+        const range = getTileRange(area.bounds, zoom);
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                urls.push(getTileUrl(layer, zoom, x, y));
+            }
+        }
+    }
+    return urls;
+}
+
+// ===== ESTIMATES =====
+
+/**
+ * Estimate what downloading an area will take
+ * @param {string} layerId - Base layer id
+ * @param {object} bounds - Area
+ * @param {number} minZoom - Lowest zoom
+ * @param {number} maxZoom - Highest zoom
+ * @returns {{tiles: number, bytes: number}} Tile count and approximate size
+ */
+export function estimateDownload(layerId, bounds, minZoom, maxZoom) {
+    const tiles = countAreaTiles(bounds, minZoom, maxZoom);
+    return { tiles, bytes: tiles * getBaseLayer(layerId).averageTileBytes };
+}
+
+/**
+ * Check whether the browser will let the app store roughly this much more
+ * @param {number} bytes - Size about to be stored
+ * @returns {Promise<{ok: boolean, available: number|null}>} available is null when the browser cannot tell
+ */
+export async function checkStorageQuota(bytes) {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return { ok: true, available: null };
+    }
+    const { quota = 0, usage = 0 } = await navigator.storage.estimate();
+    const available = Math.max(0, quota * QUOTA_SHARE - usage);
+    return { ok: bytes <= available, available };
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size
+ * @returns {string} e.g. "12.4 MB"
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// ===== DOWNLOADED AREAS =====
+
+/**
+ * List the areas downloaded on this device, newest first
+ * @returns {Array<{id: string, name: string, layerId: string, bounds: object, minZoom: number,
+ *          maxZoom: number, tiles: number, bytes: number, createdAt: number}>} Areas
+ */
+export function getOfflineAreas() {
+    try {
+        const areas = JSON.parse(localStorage.getItem(AREAS_KEY) || '[]');
+        return Array.isArray(areas) ? areas.sort((a, b) => b.createdAt - a.createdAt) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveOfflineAreas(areas) {
+    localStorage.setItem(AREAS_KEY, JSON.stringify(areas));
+}
+
+// Delete cached tiles that no remaining area needs (overlapping areas share tiles)
+async function removeUnusedTiles(urls, remainingAreas) {
+    const stillNeeded = new Set(remainingAreas.flatMap(listAreaTileUrls));
+    const cache = await caches.open(TILE_CACHE_NAME);
+    await Promise.all(urls.filter(url => !stillNeeded.has(url)).map(url => cache.delete(url)));
+}
+
+/**
+ * Download the tiles for an area into the tile cache
+ * @param {object} request - What to download
+ * @param {string} request.name - Area name
+ * @param {string} request.layerId - Base layer id
+ * @param {{south: number, west: number, north: number, east: number}} request.bounds - Area
+ * @param {number} request.minZoom - Lowest zoom
+ * @param {number} request.maxZoom - Highest zoom (capped to the layer's own tiles)
+ * @param {object} options - { onProgress({done, total, failed}), signal } to follow or cancel
+ * @returns {Promise<object>} The saved area, with the tiles and bytes actually stored
+ * @throws {Error} With a message for the user if the layer may not be downloaded, the area is too big,
+ *         storage is full or it was cancelled
+ */
+export async function downloadArea({ name, layerId, bounds, minZoom, maxZoom }, { onProgress = () => {}, signal } = {}) {
+    if (!('caches' in window)) {
+        throw new Error('This browser cannot store maps for offline use.');
+    }
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        throw new Error('Give the area a name before downloading it.');
+    }
+    if (trimmed.length > MAX_OFFLINE_AREA_NAME_LENGTH) {
+        throw new Error(`Area names can be at most ${MAX_OFFLINE_AREA_NAME_LENGTH} characters.`);
+    }
+    const areas = getOfflineAreas();
+    if (areas.length >= MAX_OFFLINE_AREAS) {
+        throw new Error(`You can keep at most ${MAX_OFFLINE_AREAS} offline areas. Delete one first.`);
+    }
+
+    const layer = getBaseLayer(layerId);
+    if (!layer.allowOfflineDownload) {
+        throw new Error(`The ${layer.label} map's tile provider does not allow downloading it for offline use.`);
+    }
+    const area = {
+        id: Date.now().toString(36),
+        name: trimmed,
+        layerId: layer.id,
+        bounds: { south: bounds.south, west: bounds.west, north: bounds.north, east: bounds.east },
+        minZoom,
+        maxZoom: Math.min(maxZoom, layer.maxZoom),
+        tiles: 0,
+        bytes: 0,
+        createdAt: Date.now()
+    };
+
+    const urls = listAreaTileUrls(area);
+    if (urls.length > MAX_DOWNLOAD_TILES) {
+        throw new Error(`That is ${urls.length} tiles; the limit is ${MAX_DOWNLOAD_TILES}. Zoom in or choose less detail.`);
+    }
+    const quota = await checkStorageQuota(urls.length * layer.averageTileBytes);
+    if (!quota.ok) {
+        throw new Error(`Not enough storage: about ${formatBytes(quota.available)} is free on this device.`);
+    }
+
+    const cache = await caches.open(TILE_CACHE_NAME);
+    const progress = { done: 0, total: urls.length, failed: 0 };
+    let next = 0;
+
+    async function worker() {
+        while (next < urls.length && !(signal && signal.aborted)) {
+            const url = urls[next++];
+            try {
+                const cached = await cache.match(url);
+                if (cached) {
+                    area.bytes += (await cached.blob()).size;
+                } else {
+                    const response = await fetch(url, { mode: 'cors', signal });
+                    if (!response.ok) throw new Error(`Tile request failed (${response.status})`);
+                    await cache.put(url, response.clone());
+                    area.bytes += (await response.blob()).size;
+                }
+                area.tiles++;
+            } catch (error) {
+                if (error.name === 'QuotaExceededError') throw error;
+                if (error.name !== 'AbortError') progress.failed++;
+            }
+            progress.done++;
+            onProgress({ ...progress });
+        }
+    }
+
+    try {
+        await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+    } catch (error) {
+        await removeUnusedTiles(urls, areas);
+        throw new Error('The device ran out of storage. Try a smaller area or less detail.');
+    }
+
+    if (signal && signal.aborted) {
+        await removeUnusedTiles(urls, areas);
+        throw new Error('Download cancelled.');
+    }
+
+    saveOfflineAreas([...areas, area]);
+    return area;
+}
+
+/**
+ * Delete a downloaded area and the tiles only it was using
+ * @param {string} areaId - Area id
+ */
+export async function deleteOfflineArea(areaId) {
+    const areas = getOfflineAreas();
+    const area = areas.find(candidate => candidate.id === areaId);
+    if (!area) return;
+
+    const remaining = areas.filter(candidate => candidate !== area);
+    saveOfflineAreas(remaining);
+    await removeUnusedTiles(listAreaTileUrls(area), remaining);
+}
@@ -0,0 +1,334 @@
+/**
+ * Offline Outbox for Location Writes
+ * Queues new locations, edits, votes and their pending photo blobs in IndexedDB
+ * while the device is offline, then replays them in order once it reconnects.
+ */
+
+import { auth, db, doc, getDoc, setDoc, updateDoc, serverTimestamp } from './firebase-config.js';
+import { showSuccess, showError, getTimestampMillis } from './utils.js';
+import { uploadPhotoItems, buildImageFields, deleteLocationImage } from './images.js';
+import { INITIAL_VOTE_COUNTS, setVote } from './votes.js';
+
+const DB_NAME = 'xposure-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Fired on window whenever the queue changes so pages can redraw pending items
+export const OUTBOX_CHANGE_EVENT = 'outbox-change';
+
+let dbPromise = null;
+let replayInProgress = null;
+
+// ===== INDEXEDDB HELPERS =====
+
+/**
+ * Open (and lazily create) the outbox database
+ * @returns {Promise<IDBDatabase>} The opened database
+ */
+function openOutboxDb() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if (!database.objectStoreNames.contains(STORE_NAME)) {
+                // Auto-incrementing keys preserve the order entries were queued in
+                database.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function withStore(mode, operation) {
+    const database = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function notifyChange() {
+    window.dispatchEvent(new CustomEvent(OUTBOX_CHANGE_EVENT));
+}
+
+// ===== QUEUE API =====
+
+/**
+ * Check whether the browser currently reports being offline
+ * @returns {boolean} True if writes should be queued instead of sent
+ */
+export function isOffline() {
+    return navigator.onLine === false;
+}
+
+/**
+ * Check whether a Firebase error was caused by a missing connection
+ * @param {object} error - Error thrown by a Firestore or Storage call
+ * @returns {boolean} True if the write can be retried later from the outbox
+ */
+export function isNetworkError(error) {
+    const code = (error && error.code) || '';
+    return isOffline()
+        || code === 'unavailable'
+        || code === 'storage/retry-limit-exceeded'
+        || code === 'auth/network-request-failed';
+}
+
+// Errors from a signed-out or changed account; the entry may still apply once its author signs in
+function isAuthError(error) {
+    const code = (error && error.code) || '';
+    return code === 'permission-denied' || code === 'unauthenticated' || code === 'storage/unauthorized'
+        || code === 'storage/unauthenticated';
+}
+
+// Entries queued by the signed-in user; other accounts' entries wait for them to sign in
+async function getReplayableEntries() {
+    const entries = await getOutboxEntries();
+    const uid = auth.currentUser ? auth.currentUser.uid : null;
+    return uid ? entries.filter(entry => entry.userId === uid) : [];
+}
+
+/**
+ * Add a write to the end of the outbox
+ * Creates carry the `locationId` reserved for them with doc(collection(db, 'locations')),
+ * so replaying one twice cannot add the location twice.
+ * @param {object} entry - Entry with a `type` of 'create', 'update' or 'vote'
+ * @returns {Promise<number>} The id assigned to the queued entry
+ */
+export async function enqueueOutboxEntry(entry) {
+    const id = await withStore('readwrite', store => store.add({
+        ...entry,
+        queuedAt: Date.now()
+    }));
+    notifyChange();
+    return id;
+}
+
+/**
+ * Get all queued entries in the order they were added
+ * @returns {Promise<Array<object>>} Queued entries
+ */
+export async function getOutboxEntries() {
+    const entries = await withStore('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.id - b.id);
+}
+
+// Save changes to an entry that is still queued
+async function updateOutboxEntry(entry) {
+    await withStore('readwrite', store => store.put(entry));
+}
+
+/**
+ * Remove an entry from the outbox
+ * @param {number} id - The entry id
+ */
+export async function removeOutboxEntry(id) {
+    await withStore('readwrite', store => store.delete(id));
+    notifyChange();
+}
+
+// ===== REPLAY =====
+
+async function replayCreate(entry) {
+    // A replay cut off after the location was written only has the photos left to do
+    const locationRef = doc(db, 'locations', entry.locationId);
+    const snapshot = await getDoc(locationRef);
+    if (!snapshot.exists()) {
+        await setDoc(locationRef, {
+            ...INITIAL_VOTE_COUNTS,
+            ...entry.data,
+            userId: entry.userId,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+    }
+
+    const { photos } = entry;
+    if (photos && photos.length > 0) {
+        const images = await uploadPhotoItems(photos, entry.userId, entry.locationId, {
+            stripMetadata: entry.stripMetadata !== false
+        });
+        await updateDoc(locationRef, buildImageFields(images));
+    }
+}
+
+// Later edits to the same location were made on top of this one; base them on the updatedAt
+// it just wrote so they are not mistaken for a save from another device
+async function rebaseQueuedUpdates(laterEntries, locationId, updatedAt) {
+    for (const later of laterEntries) {
+        if (later.type === 'update' && later.locationId === locationId && later.baseUpdatedAt) {
+            later.baseUpdatedAt = updatedAt;
+            await updateOutboxEntry(later);
+        }
+    }
+}
+
+async function replayUpdate(entry, onConflict, laterEntries) {
+    const locationRef = doc(db, 'locations', entry.locationId);
+    const snapshot = await getDoc(locationRef);
+
+    if (!snapshot.exists()) {
+        await onConflict(entry, 'deleted');
+        return false;
+    }
+
+    // Someone (possibly the owner on another device) saved after this edit was queued
+    const currentUpdatedAt = getTimestampMillis(snapshot.data().updatedAt);
+    if (entry.baseUpdatedAt && currentUpdatedAt && currentUpdatedAt !== entry.baseUpdatedAt) {
+        const overwrite = await onConflict(entry, 'modified');
+        if (!overwrite) {
+            return false;
+        }
+    }
+
+    const updateData = {
+        ...entry.data,
+        updatedAt: serverTimestamp()
+    };
+
+    // Edits from the edit modal carry the full photo list; pin moves carry none
+    const { photos } = entry;
+    if (photos) {
+        const images = await uploadPhotoItems(photos, entry.userId, entry.locationId, {
+            stripMetadata: entry.stripMetadata !== false
+        });
+        Object.assign(updateData, buildImageFields(images));
+        if (entry.photosAdded) {
+            updateData.photosAddedAt = serverTimestamp();
+        }
+    }
+
+    await updateDoc(locationRef, updateData);
+    await Promise.all((entry.removedImages || []).map(deleteLocationImage));
+
+    const saved = await getDoc(locationRef);
+    await rebaseQueuedUpdates(laterEntries, entry.locationId, getTimestampMillis(saved.data().updatedAt));
+    return true;
+}
+
+async function replayVote(entry) {
+    // Votes are stored as the intended final state, so replaying is idempotent
+    const counts = await setVote(entry.locationId, entry.userId, entry.vote);
+    return counts !== null;
+}
+
+// Default conflict handler: ask the user whether their offline edit should win
+function confirmConflict(entry, reason) {
+    const title = entry.data?.title || entry.title || 'a location';
+    if (reason === 'deleted') {
+        showError(`Your offline edit to "${title}" was discarded because the location was deleted.`, 8000);
+        return Promise.resolve(false);
+    }
+    return Promise.resolve(confirm(
+        `"${title}" was changed on another device while you were offline.\n\n` +
+        'Press OK to overwrite it with your offline edit, or Cancel to discard your edit.'
+    ));
+}
+
+/**
+ * Replay the signed-in user's queued writes in order
+ * Stops at the first network or sign-in failure so later entries keep their ordering.
+ * Entries queued by another account stay queued until that account signs in.
+ * @param {object} options - Replay options
+ * @param {function} options.onConflict - (entry, reason) => Promise<boolean>, resolve true to overwrite
+ * @returns {Promise<{applied: number, conflicts: number, remaining: number}>} Replay summary
+ */
+export function replayOutbox({ onConflict = confirmConflict } = {}) {
+    if (replayInProgress) {
+        return replayInProgress;
+    }
+
+    replayInProgress = (async () => {
+        const summary = { applied: 0, conflicts: 0, remaining: 0 };
+        const entries = await getReplayableEntries();
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            try {
+                let applied = true;
+                if (entry.type === 'create') {
+                    await replayCreate(entry);
+                } else if (entry.type === 'update') {
+                    applied = await replayUpdate(entry, onConflict, entries.slice(i + 1));
+                } else if (entry.type === 'vote') {
+                    applied = await replayVote(entry);
+                }
+
+                if (applied) {
+                    summary.applied++;
+                } else {
+                    summary.conflicts++;
+                }
+                await removeOutboxEntry(entry.id);
+            } catch (error) {
+                if (isNetworkError(error) || isAuthError(error)) {
+                    // Connection dropped again or the user signed out; keep this and everything after it queued
+                    summary.remaining = entries.length - i;
+                    break;
+                }
+                console.error('[Outbox] Dropping entry that failed to replay:', entry, error);
+                summary.conflicts++;
+                await removeOutboxEntry(entry.id);
+            }
+        }
+
+        return summary;
+    })().finally(() => {
+        replayInProgress = null;
+    });
+
+    return replayInProgress;
+}
+
+/**
+ * Replay the outbox and report the outcome to the user
+ * @returns {Promise<object|null>} Replay summary, or null if nothing was queued
+ */
+export async function flushOutbox() {
+    if (isOffline()) {
+        return null;
+    }
+
+    let entries;
+    try {
+        entries = await getReplayableEntries();
+    } catch (error) {
+        console.error('[Outbox] Could not read queued changes:', error);
+        return null;
+    }
+    if (entries.length === 0) {
+        return null;
+    }
+
+    const summary = await replayOutbox();
+
+    if (summary.remaining > 0) {
+        showError(`Could not finish syncing. ${summary.remaining} offline change(s) still queued.`);
+    } else if (summary.conflicts > 0) {
+        showError(`Synced ${summary.applied} offline change(s). ${summary.conflicts} could not be applied.`, 8000);
+    } else if (summary.applied > 0) {
+        showSuccess(`Synced ${summary.applied} offline change(s).`);
+    }
+
+    return summary;
+}
@@ -0,0 +1,190 @@
+/**
+ * Ranking
+ * Orders locations by how confident we can be that people like them (the lower bound
+ * of the Wilson score interval), optionally letting older spots fade, and builds the
+ * "Top locations" and contributor leaderboards for the map view, a city or everywhere
+ */
+
+import { db, collection, getDocs, query, orderBy, startAt, endAt, limit } from './firebase-config.js';
+import { getTimestampMillis } from './utils.js';
+import { distanceMeters, geohashesForBounds, chooseGeohashPrecision } from './geo.js';
+import { getVoteCounts } from './votes.js';
+
+// 95% confidence
+const WILSON_Z = 1.96;
+// With time decay, a location's rank halves every this many days
+export const DECAY_HALF_LIFE_DAYS = 180;
+const DAY_MS = 24 * 3600000;
+
+export const RANKING_SORTS = [
+    { id: 'confidence', label: 'Best rated' },
+    { id: 'recent', label: 'Best rated, newer first' },
+    { id: 'score', label: 'Net score' }
+];
+
+// "Everywhere" ranks the best-scoring locations rather than reading the whole collection
+export const GLOBAL_LOCATION_LIMIT = 500;
+
+export const RANKING_SCOPES = [
+    { id: 'view', label: 'This map view' },
+    { id: 'city', label: 'Around the map center (25 km)' },
+    { id: 'global', label: `Everywhere (top ${GLOBAL_LOCATION_LIMIT} by net score)` }
+];
+
+export const TOP_LOCATIONS_LIMIT = 20;
+export const TOP_CONTRIBUTORS_LIMIT = 10;
+export const CITY_RADIUS_METERS = 25000;
+
+const METERS_PER_DEGREE_LAT = 111320;
+const CITY_MAX_TILES = 9;
+const CITY_TILE_LIMIT = 300;
+
+// ===== SCORING =====
+
+/**
+ * Lower bound of the Wilson score interval for the share of upvotes
+ * A 1-0 location scores about 0.21 and a 101-100 location about 0.43, while 50-2 scores 0.87.
+ * @param {number} upvotes - Upvote count
+ * @param {number} downvotes - Downvote count
+ * @returns {number} Confidence-adjusted rating from 0 to 1 (0 without votes)
+ */
+export function wilsonLowerBound(upvotes, downvotes) {
+    const total = upvotes + downvotes;
+    if (total === 0) return 0;
+
+    const share = upvotes / total;
+    const zSquared = WILSON_Z * WILSON_Z;
+    return (share + zSquared / (2 * total)
+        - WILSON_Z * Math.sqrt((share * (1 - share) + zSquared / (4 * total)) / total))
+        / (1 + zSquared / total);
+}
+
+/**
+ * Weight that halves every DECAY_HALF_LIFE_DAYS since a location was added
+ * @param {number|null} createdAt - Creation time in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Weight from 0 to 1 (1 when the age is unknown)
+ */
+export function timeDecay(createdAt, now = Date.now()) {
+    if (!createdAt) return 1;
+    const ageDays = Math.max(0, now - createdAt) / DAY_MS;
+    return Math.pow(0.5, ageDays / DECAY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Value a location is ordered by for a sort
+ * @param {{upvoteCount: number, downvoteCount: number, createdAt: number|null}} location - Vote totals and creation time
+ * @param {string} sortId - Sort id from RANKING_SORTS
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Higher ranks first
+ */
+export function getRankValue(location, sortId, now = Date.now()) {
+    const { upvoteCount, downvoteCount, score } = getVoteCounts(location);
+    if (sortId === 'score') return score;
+    const rating = wilsonLowerBound(upvoteCount, downvoteCount);
+    return sortId === 'recent' ? rating * timeDecay(location.createdAt, now) : rating;
+}
+
+/**
+ * Sort locations best first
+ * Ties (e.g. no votes yet) fall back to net score, then to the newest.
+ * @param {Array<object>} locations - Locations with vote totals and createdAt (milliseconds)
+ * @param {string} sortId - Sort id from RANKING_SORTS
+ * @returns {Array<object>} New array, best first
+ */
+export function rankLocations(locations, sortId) {
+    const now = Date.now();
+    return locations
+        .map(location => ({ location, value: getRankValue(location, sortId, now) }))
+        .sort((a, b) => b.value - a.value
+            || getVoteCounts(b.location).score - getVoteCounts(a.location).score
+            || (b.location.createdAt || 0) - (a.location.createdAt || 0))
+        .map(entry => entry.location);
+}
+
+/**
+ * Rank the people who added locations by the total score their locations received
+ * @param {Array<{userId: string, upvoteCount: number, downvoteCount: number}>} locations - Locations to count
+ * @returns {Array<{userId: string, totalScore: number, locationCount: number, upvoteCount: number}>}
+ *          Contributors, highest total first
+ */
+export function rankContributors(locations) {
+    const contributors = new Map();
+    locations.forEach(location => {
+        if (!location.userId) return;
+        const counts = getVoteCounts(location);
+        const entry = contributors.get(location.userId)
+            || { userId: location.userId, totalScore: 0, locationCount: 0, upvoteCount: 0 };
+        entry.totalScore += counts.score;
+        entry.upvoteCount += counts.upvoteCount;
+        entry.locationCount++;
+        contributors.set(location.userId, entry);
+    });
+    return Array.from(contributors.values())
+        .sort((a, b) => b.totalScore - a.totalScore || b.upvoteCount - a.upvoteCount || a.locationCount - b.locationCount);
+}
+
+// ===== LOADING =====
+
+function toRankedLocation(locationDoc) {
+    const data = locationDoc.data();
+    if (data.hidden === true || data.mergedInto) return null;
+    const lat = parseFloat(data.latitude);
+    const lon = parseFloat(data.longitude);
+    if (isNaN(lat) || isNaN(lon)) return null;
+    return {
+        id: locationDoc.id,
+        title: data.title || 'Untitled Location',
+        lat,
+        lon,
+        userId: data.userId || '',
+        ...getVoteCounts(data),
+        createdAt: getTimestampMillis(data.createdAt)
+    };
+}
+
+/**
+ * Load the locations within CITY_RADIUS_METERS of a point
+ * @param {number} lat - Center latitude
+ * @param {number} lon - Center longitude
+ * @returns {Promise<Array<object>>} Locations with id, title, lat, lon, userId, vote totals and createdAt
+ */
+export async function fetchLocationsAround(lat, lon) {
+    const latDelta = CITY_RADIUS_METERS / METERS_PER_DEGREE_LAT;
+    const lonDelta = CITY_RADIUS_METERS / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    const bounds = { south: lat - latDelta, west: lon - lonDelta, north: lat + latDelta, east: lon + lonDelta };
+    const tiles = geohashesForBounds(bounds, chooseGeohashPrecision(bounds, CITY_MAX_TILES));
+
+    const snapshots = await Promise.all(tiles.map(tile => getDocs(query(
+        collection(db, 'locations'),
+        orderBy('geohash'),
+        startAt(tile),
+        endAt(tile + '\uf8ff'),
+        limit(CITY_TILE_LIMIT)
+    ))));
+
+    const locations = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(locationDoc => {
+        const location = toRankedLocation(locationDoc);
+        if (location && distanceMeters(lat, lon, location.lat, location.lon) <= CITY_RADIUS_METERS) {
+            locations.set(location.id, location);
+        }
+    }));
+    return Array.from(locations.values());
+}
+
+/**
+ * Load the best-scoring locations everywhere
+ * Only the top GLOBAL_LOCATION_LIMIT by net score are read, so "Everywhere" rankings and
+ * contributor totals cover those locations rather than the whole collection. Locations
+ * without a score field (votes not migrated yet, see js/maintenance.js) are left out.
+ * @returns {Promise<Array<object>>} Locations with id, title, lat, lon, userId, vote totals and createdAt
+ */
+export async function fetchTopScoredLocations() {
+    const snapshot = await getDocs(query(
+        collection(db, 'locations'),
+        orderBy('score', 'desc'),
+        limit(GLOBAL_LOCATION_LIMIT)
+    ));
+    return snapshot.docs.map(toRankedLocation).filter(Boolean);
+}
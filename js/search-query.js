@@ -0,0 +1,377 @@
+/**
+ * Map Search Query Language
+ * Tokenizes and parses the search box into an expression tree, then compiles it
+ * into a predicate over marker objects. Pure functions only, no DOM access.
+ *
+ * Grammar (AND binds tighter than OR; juxtaposed terms are ANDed):
+ *   query   := or
+ *   or      := and ( "OR" and )*
+ *   and     := unary ( ["AND"] unary )*
+ *   unary   := ("-" | "NOT") unary | primary
+ *   primary := "(" or ")" | field ":" value | comparison | phrase | word
+ *
+ * Examples: user:alice  tag:rooftop  has:image  created:>2025-01-01  near:5km
+ *           "golden gate" -parking  (bridge OR pier) rating>=10
+ */
+
+import { distanceMeters } from './geo.js';
+
+/**
+ * Error raised for malformed queries
+ * `position` is the character offset of the problem in the original input.
+ */
+export class SearchQueryError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'SearchQueryError';
+        this.position = position;
+    }
+}
+
+// Fields that accept a free-text value
+const TEXT_FIELDS = ['title', 'notes', 'address', 'user', 'tag'];
+const HAS_VALUES = ['image', 'notes', 'address', 'tags'];
+const NUMERIC_FIELDS = ['rating', 'score'];
+// Anything else before a colon ("6:30", "Pier 39:", a pasted URL) is plain text
+const KNOWN_FIELDS = [...TEXT_FIELDS, 'has', ...NUMERIC_FIELDS, 'created', 'near'];
+const COMPARISON_PATTERN = /^(>=|<=|==|>|<|=)?(.*)$/;
+const DISTANCE_PATTERN = /^(\d+(?:\.\d+)?)\s*(m|km|mi)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+
+// ===== TOKENIZER =====
+
+/**
+ * Split a query into tokens
+ * Token types: 'lparen', 'rparen', 'minus', 'or', 'and', 'not', 'term'.
+ * Terms carry {field, value, quoted} where field is null for bare words and phrases,
+ * including words whose prefix before a colon is not a known field.
+ * @param {string} input - The raw search text
+ * @returns {Array<object>} Tokens with their start position
+ */
+export function tokenizeSearchQuery(input) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const start = i;
+        i++; // opening quote
+        let value = '';
+        while (i < input.length && input[i] !== '"') {
+            value += input[i++];
+        }
+        if (i >= input.length) {
+            throw new SearchQueryError('Missing closing quote', start);
+        }
+        i++; // closing quote
+        return value;
+    };
+
+    const readBare = () => {
+        let value = '';
+        while (i < input.length && !/[\s()"]/.test(input[i])) {
+            value += input[i++];
+        }
+        return value;
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+        const start = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(') {
+            tokens.push({ type: 'lparen', position: start });
+            i++;
+        } else if (char === ')') {
+            tokens.push({ type: 'rparen', position: start });
+            i++;
+        } else if (char === '-' && i + 1 < input.length && !/[\s\d]/.test(input[i + 1])) {
+            // Negation prefix; "-5" stays a word so "rating>-5" style values still parse
+            tokens.push({ type: 'minus', position: start });
+            i++;
+        } else if (char === '"') {
+            tokens.push({ type: 'term', field: null, value: readQuoted(), quoted: true, position: start });
+        } else {
+            const word = readBare();
+            const colon = word.indexOf(':');
+
+            if (word === 'OR' || word === 'AND' || word === 'NOT') {
+                tokens.push({ type: word.toLowerCase(), position: start });
+            } else if (colon > 0 && KNOWN_FIELDS.includes(word.slice(0, colon).toLowerCase())) {
+                const field = word.slice(0, colon).toLowerCase();
+                let value = word.slice(colon + 1);
+                let quoted = false;
+                if (value === '' && input[i] === '"') {
+                    value = readQuoted();
+                    quoted = true;
+                }
+                tokens.push({ type: 'term', field, value, quoted, position: start });
+            } else {
+                tokens.push({ type: 'term', field: null, value: word, quoted: false, position: start });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+// ===== PARSER =====
+
+/**
+ * Parse a query into an expression tree
+ * Nodes: {type: 'and'|'or', children}, {type: 'not', child}, or a term node
+ * from parseTerm(). An empty query parses to null.
+ * @param {string} input - The raw search text
+ * @returns {object|null} The expression tree
+ */
+export function parseSearchQuery(input) {
+    // Accept the legacy spaced form "rating > 100"; padding keeps later positions stable
+    const normalized = input.replace(/\b(rating|score)(\s*)(>=|<=|==|>|<|=)(\s*)(-?\d+)/gi,
+        (match, field, space1, operator, space2, number) => field + operator + number + space1 + space2);
+    const tokens = tokenizeSearchQuery(normalized);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const endPosition = input.length;
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            const orToken = tokens[index++];
+            if (!peek() || peek().type === 'rparen' || peek().type === 'or') {
+                throw new SearchQueryError('Expected a search term after OR', orToken.position);
+            }
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [parseUnary()];
+        while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+            if (peek().type === 'and') {
+                const andToken = tokens[index++];
+                if (!peek() || peek().type === 'rparen' || peek().type === 'or') {
+                    throw new SearchQueryError('Expected a search term after AND', andToken.position);
+                }
+            }
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token && (token.type === 'minus' || token.type === 'not')) {
+            index++;
+            if (!peek()) {
+                throw new SearchQueryError('Expected a search term after negation', token.position);
+            }
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) {
+            throw new SearchQueryError('Unexpected end of query', endPosition);
+        }
+
+        if (token.type === 'lparen') {
+            index++;
+            if (peek() && peek().type === 'rparen') {
+                throw new SearchQueryError('Empty parentheses', token.position);
+            }
+            const expression = parseOr();
+            if (!peek() || peek().type !== 'rparen') {
+                throw new SearchQueryError('Missing closing parenthesis', token.position);
+            }
+            index++;
+            return expression;
+        }
+
+        if (token.type === 'term') {
+            index++;
+            return parseTerm(token);
+        }
+
+        const label = token.type === 'rparen' ? '")"' : token.type.toUpperCase();
+        throw new SearchQueryError(`Unexpected ${label}`, token.position);
+    }
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new SearchQueryError('Unexpected ")"', tokens[index].position);
+    }
+    return tree;
+}
+
+// Split an optional comparison operator off a value
+function parseComparison(value, position, label) {
+    const [, operator = '=', operand] = value.match(COMPARISON_PATTERN);
+    if (operand === '') {
+        throw new SearchQueryError(`Missing value for ${label}`, position);
+    }
+    return { operator: operator === '==' ? '=' : operator, operand };
+}
+
+// Turn a term token into a typed term node
+function parseTerm(token) {
+    const { field, value, quoted, position } = token;
+
+    if (field === null) {
+        // Legacy bare comparisons such as ">1000" or "rating>100"
+        const legacy = !quoted && value.match(/^(rating|score)?(>=|<=|==|>|<|=)(-?\d+)$/i);
+        if (legacy) {
+            return { type: 'score', operator: legacy[2] === '==' ? '=' : legacy[2], value: parseInt(legacy[3], 10) };
+        }
+        return { type: 'text', value: value.toLowerCase() };
+    }
+
+    if (value === '') {
+        throw new SearchQueryError(`Missing value for ${field}:`, position);
+    }
+
+    if (TEXT_FIELDS.includes(field)) {
+        return { type: 'field', field, value: value.toLowerCase() };
+    }
+
+    if (field === 'has') {
+        const what = value.toLowerCase();
+        if (!HAS_VALUES.includes(what)) {
+            throw new SearchQueryError(`Unknown has: value "${value}" (try ${HAS_VALUES.join(', ')})`, position);
+        }
+        return { type: 'has', value: what };
+    }
+
+    if (NUMERIC_FIELDS.includes(field)) {
+        const { operator, operand } = parseComparison(value, position, `${field}:`);
+        if (!/^-?\d+$/.test(operand)) {
+            throw new SearchQueryError(`${field}: expects a whole number`, position);
+        }
+        return { type: 'score', operator, value: parseInt(operand, 10) };
+    }
+
+    if (field === 'created') {
+        const { operator, operand } = parseComparison(value, position, 'created:');
+        if (!DATE_PATTERN.test(operand) || isNaN(Date.parse(operand))) {
+            throw new SearchQueryError('created: expects a date like 2025-01-01', position);
+        }
+        return { type: 'created', operator, value: operand };
+    }
+
+    if (field === 'near') {
+        const match = value.toLowerCase().match(DISTANCE_PATTERN);
+        if (!match) {
+            throw new SearchQueryError('near: expects a distance like 500m, 5km or 3mi', position);
+        }
+        const multipliers = { m: 1, km: 1000, mi: 1609.344 };
+        return { type: 'near', meters: parseFloat(match[1]) * multipliers[match[2] || 'km'] };
+    }
+
+    throw new SearchQueryError(`Unknown field "${field}:"`, position);
+}
+
+// ===== EVALUATION =====
+
+function compare(actual, operator, expected) {
+    switch (operator) {
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+// Compare a creation time against a day (or month) boundary
+function compareDate(createdAtMillis, operator, dateText) {
+    const start = new Date(`${dateText.length === 7 ? dateText + '-01' : dateText}T00:00:00`);
+    const end = new Date(start);
+    if (dateText.length === 7) {
+        end.setMonth(end.getMonth() + 1);
+    } else {
+        end.setDate(end.getDate() + 1);
+    }
+
+    switch (operator) {
+        case '>': return createdAtMillis >= end.getTime();
+        case '>=': return createdAtMillis >= start.getTime();
+        case '<': return createdAtMillis < start.getTime();
+        case '<=': return createdAtMillis < end.getTime();
+        default: return createdAtMillis >= start.getTime() && createdAtMillis < end.getTime();
+    }
+}
+
+function fieldText(location, field) {
+    if (field === 'user') return (location.user || '').toLowerCase();
+    return (location[field] || '').toLowerCase();
+}
+
+function evaluate(node, location, context) {
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => evaluate(child, location, context));
+        case 'or':
+            return node.children.some(child => evaluate(child, location, context));
+        case 'not':
+            return !evaluate(node.child, location, context);
+        case 'text':
+            return ['title', 'notes', 'address', 'user'].some(field => fieldText(location, field).includes(node.value));
+        case 'field':
+            if (node.field === 'tag') {
+                return (location.tags || []).some(tag => tag.toLowerCase().includes(node.value));
+            }
+            return fieldText(location, node.field).includes(node.value);
+        case 'has':
+            if (node.value === 'image') return (location.images || []).length > 0 || Boolean(location.imageUrl);
+            if (node.value === 'tags') return (location.tags || []).length > 0;
+            return Boolean(location[node.value]);
+        case 'score':
+            return compare(location.score || 0, node.operator, node.value);
+        case 'created':
+            return location.createdAt != null && compareDate(location.createdAt, node.operator, node.value);
+        case 'near':
+            if (!context.origin) return true;
+            return distanceMeters(context.origin.lat, context.origin.lon, location.lat, location.lon) <= node.meters;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Check whether an expression tree uses a term type anywhere
+ * @param {object|null} tree - Parsed query
+ * @param {string} type - Term node type, e.g. 'near'
+ * @returns {boolean} True if the type appears in the tree
+ */
+export function queryUsesTerm(tree, type) {
+    if (!tree) return false;
+    if (tree.type === type) return true;
+    if (tree.children) return tree.children.some(child => queryUsesTerm(child, type));
+    if (tree.child) return queryUsesTerm(tree.child, type);
+    return false;
+}
+
+/**
+ * Compile a query into a predicate over marker objects
+ * Marker objects need title, notes, address, user, tags, images, score,
+ * createdAt (milliseconds), lat and lon.
+ * @param {string} input - The raw search text
+ * @returns {{tree: object|null, matches: function(object, object=): boolean}} Compiled query;
+ *          `matches(location, {origin: {lat, lon}})` takes the reference point for near:
+ * @throws {SearchQueryError} If the query is malformed
+ */
+export function compileSearchQuery(input) {
+    const tree = parseSearchQuery(input);
+    return {
+        tree,
+        matches: (location, context = {}) => tree === null || evaluate(tree, location, context)
+    };
+}
@@ -0,0 +1,233 @@
+/**
+ * Sun and Moon Calculations
+ * Sunrise, sunset, golden and blue hour, sun position and moon phase computed
+ * locally from standard astronomical approximations (accurate to about a minute)
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397; // Earth's axial tilt
+const J0 = 0.0009;
+
+// Sun elevations (degrees) that bound each light period
+export const SUN_ANGLES = {
+    SUNRISE: -0.833,   // Upper limb on the horizon, corrected for refraction
+    GOLDEN_HOUR: 6,
+    BLUE_HOUR_START: -4,
+    CIVIL_TWILIGHT: -6
+};
+
+// ===== DATE CONVERSION =====
+
+function toJulian(date) {
+    return date.valueOf() / DAY_MS - 0.5 + J1970;
+}
+
+function fromJulian(julian) {
+    return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+function toDays(date) {
+    return toJulian(date) - J2000;
+}
+
+/**
+ * Get the instant of local solar noon at a longitude on a calendar date
+ * Using the location's own noon keeps results on the right day regardless of
+ * the viewer's time zone.
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @param {number} lon - Longitude in degrees
+ * @returns {Date} Approximate local noon at that longitude
+ */
+export function localNoon(isoDate, lon) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, 12) - (lon / 15) * 3600000);
+}
+
+// ===== POSITION HELPERS =====
+
+function rightAscension(longitude, latitude) {
+    return Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY), Math.cos(longitude));
+}
+
+function declination(longitude, latitude) {
+    return Math.asin(Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude));
+}
+
+// Azimuth measured from south, turning west
+function azimuthFromSouth(hourAngle, phi, dec) {
+    return Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi));
+}
+
+function altitude(hourAngle, phi, dec) {
+    return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+}
+
+function siderealTime(days, lw) {
+    return RAD * (280.16 + 360.9856235 * days) - lw;
+}
+
+function solarMeanAnomaly(days) {
+    return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(meanAnomaly) {
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const perihelion = RAD * 102.9372;
+    return meanAnomaly + center + perihelion + Math.PI;
+}
+
+function sunCoords(days) {
+    const longitude = eclipticLongitude(solarMeanAnomaly(days));
+    return {
+        dec: declination(longitude, 0),
+        ra: rightAscension(longitude, 0)
+    };
+}
+
+// ===== SUN =====
+
+/**
+ * Get the sun's position in the sky
+ * @param {Date} date - The moment to calculate for
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {{azimuth: number, elevation: number}} Compass bearing (0 = north, clockwise)
+ *          and height above the horizon, both in degrees
+ */
+export function getSunPosition(date, lat, lon) {
+    const lw = RAD * -lon;
+    const phi = RAD * lat;
+    const days = toDays(date);
+    const coords = sunCoords(days);
+    const hourAngle = siderealTime(days, lw) - coords.ra;
+
+    const azimuth = (azimuthFromSouth(hourAngle, phi, coords.dec) / RAD + 180) % 360;
+    return {
+        azimuth: (azimuth + 360) % 360,
+        elevation: altitude(hourAngle, phi, coords.dec) / RAD
+    };
+}
+
+function approxTransit(hourAngle, lw, cycle) {
+    return J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+}
+
+function solarTransitJ(ds, meanAnomaly, longitude) {
+    return J2000 + ds + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude);
+}
+
+function hourAngleFor(angle, phi, dec) {
+    return Math.acos((Math.sin(angle) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec)));
+}
+
+/**
+ * Get the times the sun crosses each light-period boundary on a day
+ * Times are null when the sun never reaches that elevation (polar day or night).
+ * @param {Date} date - Any moment on the day, ideally local noon (see localNoon)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {object} Dates for solarNoon, sunrise, sunset, and the start/end of
+ *          morning and evening golden hour and blue hour
+ */
+export function getSunTimes(date, lat, lon) {
+    const lw = RAD * -lon;
+    const phi = RAD * lat;
+    const days = toDays(date);
+    const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+    const ds = approxTransit(0, lw, cycle);
+    const meanAnomaly = solarMeanAnomaly(ds);
+    const longitude = eclipticLongitude(meanAnomaly);
+    const dec = declination(longitude, 0);
+    const noon = solarTransitJ(ds, meanAnomaly, longitude);
+
+    // Rising and setting times for a sun elevation, or nulls if it is never crossed
+    const crossing = angle => {
+        const hourAngle = hourAngleFor(angle * RAD, phi, dec);
+        if (isNaN(hourAngle)) {
+            return { rise: null, set: null };
+        }
+        const set = solarTransitJ(approxTransit(hourAngle, lw, cycle), meanAnomaly, longitude);
+        return { rise: fromJulian(noon - (set - noon)), set: fromJulian(set) };
+    };
+
+    const horizon = crossing(SUN_ANGLES.SUNRISE);
+    const golden = crossing(SUN_ANGLES.GOLDEN_HOUR);
+    const blue = crossing(SUN_ANGLES.BLUE_HOUR_START);
+    const civil = crossing(SUN_ANGLES.CIVIL_TWILIGHT);
+
+    return {
+        solarNoon: fromJulian(noon),
+        sunrise: horizon.rise,
+        sunset: horizon.set,
+        // Morning: blue hour (-6° to -4°), then golden hour (-4° to 6°)
+        morningBlueHourStart: civil.rise,
+        morningBlueHourEnd: blue.rise,
+        morningGoldenHourStart: blue.rise,
+        morningGoldenHourEnd: golden.rise,
+        // Evening mirrors the morning
+        eveningGoldenHourStart: golden.set,
+        eveningGoldenHourEnd: blue.set,
+        eveningBlueHourStart: blue.set,
+        eveningBlueHourEnd: civil.set
+    };
+}
+
+// ===== MOON =====
+
+function moonCoords(days) {
+    const longitude = RAD * (218.316 + 13.176396 * days);
+    const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+    const meanDistance = RAD * (93.272 + 13.229350 * days);
+
+    const eclipticLon = longitude + RAD * 6.289 * Math.sin(meanAnomaly);
+    const eclipticLat = RAD * 5.128 * Math.sin(meanDistance);
+    return {
+        ra: rightAscension(eclipticLon, eclipticLat),
+        dec: declination(eclipticLon, eclipticLat),
+        dist: 385001 - 20905 * Math.cos(meanAnomaly) // km
+    };
+}
+
+const MOON_PHASES = [
+    { limit: 0.0339, name: 'New Moon', icon: '🌑' },
+    { limit: 0.2161, name: 'Waxing Crescent', icon: '🌒' },
+    { limit: 0.2839, name: 'First Quarter', icon: '🌓' },
+    { limit: 0.4661, name: 'Waxing Gibbous', icon: '🌔' },
+    { limit: 0.5339, name: 'Full Moon', icon: '🌕' },
+    { limit: 0.7161, name: 'Waning Gibbous', icon: '🌖' },
+    { limit: 0.7839, name: 'Last Quarter', icon: '🌗' },
+    { limit: 0.9661, name: 'Waning Crescent', icon: '🌘' },
+    { limit: 1, name: 'New Moon', icon: '🌑' }
+];
+
+/**
+ * Get the moon's phase and how much of it is lit
+ * @param {Date} date - The moment to calculate for
+ * @returns {{phase: number, fraction: number, name: string, icon: string}} Phase from
+ *          0 (new) through 0.5 (full) back to 1, the illuminated fraction (0-1) and its name
+ */
+export function getMoonPhase(date) {
+    const days = toDays(date);
+    const sun = sunCoords(days);
+    const moon = moonCoords(days);
+    const sunDistance = 149598000; // km
+
+    const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec)
+        + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+    const inclination = Math.atan2(sunDistance * Math.sin(elongation), moon.dist - sunDistance * Math.cos(elongation));
+    const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+        Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+    const phase = 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI;
+    const { name, icon } = MOON_PHASES.find(candidate => phase <= candidate.limit);
+
+    return {
+        phase,
+        fraction: (1 + Math.cos(inclination)) / 2,
+        name,
+        icon
+    };
+}
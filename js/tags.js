@@ -0,0 +1,157 @@
+/**
+ * Location Tags
+ * The fixed tag taxonomy (categories and attributes), tag validation and the
+ * chip picker used in the creation and edit modals
+ */
+
+import { showError } from './utils.js';
+
+export const MAX_TAGS_PER_LOCATION = 6;
+
+// Categories describe what kind of place it is and pick the marker icon.
+// Attributes describe practical details. Keep ids in sync with the Firestore rules.
+export const LOCATION_TAGS = [
+    { id: 'urban', label: 'Urban', icon: '🏙️', color: '#5c6bc0', kind: 'category' },
+    { id: 'nature', label: 'Nature', icon: '🌲', color: '#2e7d32', kind: 'category' },
+    { id: 'water', label: 'Waterfront', icon: '🌊', color: '#0277bd', kind: 'category' },
+    { id: 'beach', label: 'Beach', icon: '🏖️', color: '#f9a825', kind: 'category' },
+    { id: 'architecture', label: 'Architecture', icon: '🏛️', color: '#6d4c41', kind: 'category' },
+    { id: 'rooftop', label: 'Rooftop', icon: '🏢', color: '#455a64', kind: 'category' },
+    { id: 'indoor', label: 'Indoor', icon: '🏠', color: '#8e24aa', kind: 'category' },
+    { id: 'studio', label: 'Studio', icon: '📸', color: '#d81b60', kind: 'category' },
+    { id: 'permit-required', label: 'Permit required', icon: '📝', color: '#c62828', kind: 'attribute' },
+    { id: 'entry-fee', label: 'Entry fee', icon: '🎟️', color: '#ef6c00', kind: 'attribute' },
+    { id: 'parking', label: 'Parking', icon: '🅿️', color: '#1565c0', kind: 'attribute' },
+    { id: 'accessible', label: 'Accessible', icon: '♿', color: '#00897b', kind: 'attribute' }
+];
+
+const TAGS_BY_ID = new Map(LOCATION_TAGS.map(tag => [tag.id, tag]));
+
+/**
+ * Look up a tag definition
+ * @param {string} id - Tag id
+ * @returns {object|null} The tag, or null for unknown ids
+ */
+export function getTag(id) {
+    return TAGS_BY_ID.get(id) || null;
+}
+
+/**
+ * Clean a tag list for storage: known ids only, no duplicates, taxonomy order
+ * @param {Array<string>} tags - Tag ids, possibly from an older document
+ * @returns {Array<string>} Valid tag ids, at most MAX_TAGS_PER_LOCATION
+ */
+export function normalizeTags(tags) {
+    const selected = new Set(Array.isArray(tags) ? tags : []);
+    return LOCATION_TAGS
+        .filter(tag => selected.has(tag.id))
+        .map(tag => tag.id)
+        .slice(0, MAX_TAGS_PER_LOCATION);
+}
+
+/**
+ * Get the category that decides a location's marker icon
+ * @param {Array<string>} tags - The location's tag ids
+ * @returns {object|null} The first category tag in taxonomy order, or null
+ */
+export function getPrimaryCategory(tags) {
+    const selected = new Set(tags || []);
+    return LOCATION_TAGS.find(tag => tag.kind === 'category' && selected.has(tag.id)) || null;
+}
+
+/**
+ * Check a location's tags against a set of filter chips
+ * Selected categories widen the match (any of them); selected attributes narrow it (all of them).
+ * @param {Array<string>} tags - The location's tag ids
+ * @param {Set<string>} selectedIds - Active filter chip ids
+ * @returns {boolean} True if the location passes the chip filter
+ */
+export function tagsMatchFilter(tags, selectedIds) {
+    if (!selectedIds || selectedIds.size === 0) {
+        return true;
+    }
+    const locationTags = new Set(tags || []);
+    const selected = Array.from(selectedIds).map(getTag).filter(Boolean);
+    const categories = selected.filter(tag => tag.kind === 'category');
+    const attributes = selected.filter(tag => tag.kind === 'attribute');
+
+    return (categories.length === 0 || categories.some(tag => locationTags.has(tag.id)))
+        && attributes.every(tag => locationTags.has(tag.id));
+}
+
+/**
+ * Render tags as read-only chips
+ * @param {Array<string>} tags - Tag ids
+ * @returns {string} HTML for the chips (empty for no tags)
+ */
+export function renderTagChips(tags) {
+    return normalizeTags(tags).map(id => {
+        const tag = getTag(id);
+        return `<span class="tag-chip" style="--tag-color: ${tag.color};">${tag.icon} ${tag.label}</span>`;
+    }).join('');
+}
+
+// ===== TAG PICKER =====
+
+/**
+ * Create a toggleable chip list for choosing a location's tags
+ * @param {HTMLElement} container - Element the chips are rendered into
+ * @returns {object} Picker with setTags, getTags and reset
+ */
+export function createTagPicker(container) {
+    let selected = new Set();
+
+    function render() {
+        const groups = [
+            ['Category', LOCATION_TAGS.filter(tag => tag.kind === 'category')],
+            ['Details', LOCATION_TAGS.filter(tag => tag.kind === 'attribute')]
+        ];
+        container.innerHTML = groups.map(([heading, tags]) => `
+            <div class="tag-picker-group">
+                <span class="tag-picker-heading">${heading}</span>
+                ${tags.map(tag => `
+                    <button type="button" class="tag-chip tag-toggle ${selected.has(tag.id) ? 'selected' : ''}"
+                            data-tag="${tag.id}" aria-pressed="${selected.has(tag.id)}" style="--tag-color: ${tag.color};">
+                        ${tag.icon} ${tag.label}
+                    </button>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    container.addEventListener('click', event => {
+        const button = event.target.closest('button[data-tag]');
+        if (!button) return;
+
+        const id = button.dataset.tag;
+        if (selected.has(id)) {
+            selected.delete(id);
+        } else if (selected.size >= MAX_TAGS_PER_LOCATION) {
+            showError(`A location can have at most ${MAX_TAGS_PER_LOCATION} tags.`);
+            return;
+        } else {
+            selected.add(id);
+        }
+        render();
+    });
+
+    render();
+
+    return {
+        /** Select exactly these tags (unknown ids are dropped) */
+        setTags(tags) {
+            selected = new Set(normalizeTags(tags));
+            render();
+        },
+
+        /** Selected tag ids in taxonomy order */
+        getTags() {
+            return normalizeTags(Array.from(selected));
+        },
+
+        reset() {
+            selected = new Set();
+            render();
+        }
+    };
+}
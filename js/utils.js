@@ -13,9 +13,36 @@ export function showLoading(show = true) {
     const overlay = document.getElementById('loading-overlay');
     if (overlay) {
         overlay.classList.toggle('active', show);
+        if (!show) {
+            const progress = overlay.querySelector('.upload-progress');
+            if (progress) progress.remove();
+        }
     }
 }
 
+/**
+ * Show upload progress under the loading spinner
+ * The bar is removed again when the loading overlay is hidden.
+ * @param {number} fraction - Portion complete, from 0 to 1
+ * @param {string} label - Text shown above the bar
+ */
+export function showUploadProgress(fraction, label = 'Uploading') {
+    const overlay = document.getElementById('loading-overlay');
+    if (!overlay) return;
+
+    let progress = overlay.querySelector('.upload-progress');
+    if (!progress) {
+        progress = document.createElement('div');
+        progress.className = 'upload-progress';
+        progress.innerHTML = '<div class="upload-progress-label"></div><div class="upload-progress-track"><div class="upload-progress-bar"></div></div>';
+        overlay.appendChild(progress);
+    }
+
+    const percent = Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+    progress.querySelector('.upload-progress-label').textContent = `${label}… ${percent}%`;
+    progress.querySelector('.upload-progress-bar').style.width = `${percent}%`;
+}
+
 /**
  * Show a message to the user
  * @param {string} text - The message text to display
@@ -136,6 +163,40 @@ export function formatFirestoreDate(timestamp, includeTime = true) {
     }
 }
 
+/**
+ * Convert a Firestore Timestamp, Date or millisecond value to milliseconds
+ * @param {object|Date|number} timestamp - The value to convert
+ * @returns {number|null} Milliseconds since the epoch, or null if unavailable
+ */
+export function getTimestampMillis(timestamp) {
+    if (!timestamp) {
+        return null;
+    }
+    if (typeof timestamp.toMillis === 'function') {
+        return timestamp.toMillis();
+    }
+    if (timestamp instanceof Date) {
+        return timestamp.getTime();
+    }
+    return typeof timestamp === 'number' ? timestamp : null;
+}
+
+// ===== TEXT UTILITIES =====
+
+/**
+ * Escape user-entered text for safe insertion into HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text, safe in element content and quoted attributes
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // ===== ERROR HANDLING =====
 
 /**
@@ -0,0 +1,191 @@
+/**
+ * Votes
+ * Each vote is a private document at locations/{locationId}/votes/{userId}; the location
+ * carries the public totals (upvoteCount, downvoteCount, score), updated in the same
+ * transaction as the vote. Locations from before this stored voter IDs in upvotes/downvotes
+ * arrays; those are moved to vote documents by migrateLegacyVotes, either on the first vote
+ * or by the moderator maintenance sweep (js/maintenance.js).
+ */
+
+import { db, doc, getDoc, writeBatch, runTransaction, deleteField, serverTimestamp } from './firebase-config.js';
+
+export const VOTE_TYPES = ['upvote', 'downvote'];
+
+// Counters a new location starts with
+export const INITIAL_VOTE_COUNTS = { upvoteCount: 0, downvoteCount: 0, score: 0 };
+
+// A migration batch holds up to this many vote writes plus the location update
+const MAX_MIGRATED_VOTES = 499;
+
+function voteRef(locationId, userId) {
+    return doc(db, 'locations', locationId, 'votes', userId);
+}
+
+// Each legacy voter once; someone listed in both arrays keeps the upvote
+function getLegacyVotes(data) {
+    const votes = new Map();
+    (data.downvotes || []).forEach(userId => votes.set(userId, 'downvote'));
+    (data.upvotes || []).forEach(userId => votes.set(userId, 'upvote'));
+    return votes;
+}
+
+function countVotes(votes) {
+    let upvoteCount = 0;
+    let downvoteCount = 0;
+    votes.forEach(vote => {
+        if (vote === 'upvote') upvoteCount++;
+        else downvoteCount++;
+    });
+    return { upvoteCount, downvoteCount, score: upvoteCount - downvoteCount };
+}
+
+/**
+ * Read a location's vote totals
+ * Falls back to the legacy arrays for locations that have not been migrated yet.
+ * @param {object} data - Location document data (or a marker object with the same fields)
+ * @returns {{upvoteCount: number, downvoteCount: number, score: number}} Totals
+ */
+export function getVoteCounts(data) {
+    if (Number.isFinite(data.upvoteCount) && Number.isFinite(data.downvoteCount)) {
+        return { upvoteCount: data.upvoteCount, downvoteCount: data.downvoteCount, score: data.upvoteCount - data.downvoteCount };
+    }
+    return countVotes(getLegacyVotes(data));
+}
+
+/**
+ * Check whether a location still stores voter IDs in arrays
+ * @param {object} data - Location document data
+ * @returns {boolean} True if it needs migrateLegacyVotes
+ */
+export function hasLegacyVotes(data) {
+    return Array.isArray(data.upvotes) || Array.isArray(data.downvotes);
+}
+
+/**
+ * Check whether a location still needs migrateLegacyVotes before its totals can change
+ * @param {object} data - Location document data
+ * @returns {boolean} True if it has voter arrays or no counters yet
+ */
+export function needsVoteMigration(data) {
+    return hasLegacyVotes(data) || !Number.isFinite(data.upvoteCount);
+}
+
+/**
+ * Get the signed-in user's own vote on a location
+ * @param {string} locationId - Location document ID
+ * @param {string} userId - Voter's user ID
+ * @returns {Promise<string|null>} 'upvote', 'downvote' or null
+ */
+export async function getUserVote(locationId, userId) {
+    const voteDoc = await getDoc(voteRef(locationId, userId));
+    return voteDoc.exists() ? voteDoc.data().vote : null;
+}
+
+/**
+ * Set (or clear) a user's vote and move the location's totals to match
+ * Setting the vote the user already has changes nothing, so replaying is idempotent.
+ * @param {string} locationId - Location document ID
+ * @param {string} userId - Voter's user ID (the signed-in user)
+ * @param {string|null} vote - 'upvote', 'downvote' or null to remove the vote
+ * @returns {Promise<{upvoteCount: number, downvoteCount: number, score: number}|null>}
+ *          New totals, or null if the location no longer exists or was merged into another
+ */
+export async function setVote(locationId, userId, vote) {
+    if (vote !== null && !VOTE_TYPES.includes(vote)) {
+        throw new Error(`Unknown vote: ${vote}`);
+    }
+
+    const locationRef = doc(db, 'locations', locationId);
+    const snapshot = await getDoc(locationRef);
+    if (!snapshot.exists() || snapshot.data().mergedInto) {
+        return null;
+    }
+    // Counters only exist once the arrays are gone, so migrate first
+    if (needsVoteMigration(snapshot.data())) {
+        await ensureVoteCounters(locationId, snapshot.data());
+    }
+
+    return runTransaction(db, async (transaction) => {
+        const locationDoc = await transaction.get(locationRef);
+        if (!locationDoc.exists() || locationDoc.data().mergedInto) {
+            return null;
+        }
+        const userVoteRef = voteRef(locationId, userId);
+        const voteDoc = await transaction.get(userVoteRef);
+        const previous = voteDoc.exists() ? voteDoc.data().vote : null;
+        const counts = getVoteCounts(locationDoc.data());
+        if (previous === vote) {
+            return counts;
+        }
+
+        if (previous === 'upvote') counts.upvoteCount--;
+        if (previous === 'downvote') counts.downvoteCount--;
+        if (vote === 'upvote') counts.upvoteCount++;
+        if (vote === 'downvote') counts.downvoteCount++;
+        counts.score = counts.upvoteCount - counts.downvoteCount;
+
+        if (vote) {
+            transaction.set(userVoteRef, { vote, updatedAt: serverTimestamp() });
+        } else {
+            transaction.delete(userVoteRef);
+        }
+        transaction.update(locationRef, counts);
+        return counts;
+    });
+}
+
+// ===== MIGRATION =====
+
+/**
+ * Move a location's legacy vote arrays into vote documents and counters
+ * Vote documents are copied in batches of MAX_MIGRATED_VOTES; the last batch also swaps
+ * the arrays for counters, so the totals only appear once every voter has a document.
+ * An interrupted migration leaves the arrays in place and can simply be run again.
+ * Locations without arrays just gain zeroed counters. Any signed-in user may run this.
+ * @param {string} locationId - Location document ID
+ * @param {object} data - Current location document data
+ */
+export async function migrateLegacyVotes(locationId, data) {
+    // The totals count each voter once, matching the vote documents
+    const votes = getLegacyVotes(data);
+
+    const copyVotes = entries => {
+        const batch = writeBatch(db);
+        entries.forEach(([userId, vote]) => {
+            batch.set(voteRef(locationId, userId), { vote, updatedAt: serverTimestamp() });
+        });
+        return batch;
+    };
+
+    const entries = Array.from(votes);
+    while (entries.length > MAX_MIGRATED_VOTES) {
+        await copyVotes(entries.splice(0, MAX_MIGRATED_VOTES)).commit();
+    }
+
+    const batch = copyVotes(entries);
+    batch.update(doc(db, 'locations', locationId), {
+        upvotes: deleteField(),
+        downvotes: deleteField(),
+        ...countVotes(votes)
+    });
+    await batch.commit();
+}
+
+/**
+ * Migrate a location before changing its totals, tolerating someone else doing it first
+ * Two users voting on the same unmigrated location both try to migrate it; the rules
+ * reject the second batch, which is fine once the first one's counters are in place.
+ * @param {string} locationId - Location document ID
+ * @param {object} data - Location document data as last read
+ * @throws {Error} If the migration failed and the location still has no counters
+ */
+export async function ensureVoteCounters(locationId, data) {
+    try {
+        await migrateLegacyVotes(locationId, data);
+    } catch (error) {
+        const current = await getDoc(doc(db, 'locations', locationId));
+        if (!current.exists() || needsVoteMigration(current.data())) {
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Last Visit & Watch Areas
+ * Remembers when the map was last opened on this device so newer pins can be
+ * highlighted, and keeps the user's saved watch areas (users/{uid}/watchAreas/{areaId})
+ * with alerts for new pins inside them
+ */
+
+import { db, collection, doc, getDocs, addDoc, deleteDoc, query, where, orderBy, limit,
+         serverTimestamp } from './firebase-config.js';
+import { getTimestampMillis } from './utils.js';
+
+export const MAX_WATCH_AREAS = 10;
+export const MAX_WATCH_AREA_NAME_LENGTH = 60;
+
+const LAST_SEEN_KEY = 'mapLastSeenAt';
+
+// Pins created since the last visit are read once for all areas, newest first
+const NEW_PINS_LIMIT = 500;
+
+// ===== LAST VISIT =====
+
+/**
+ * Start a map visit: return when the map was last opened here and record now
+ * @returns {number|null} Previous visit time in milliseconds, or null on a first visit
+ */
+export function beginMapVisit() {
+    const previous = Number(localStorage.getItem(LAST_SEEN_KEY)) || null;
+    localStorage.setItem(LAST_SEEN_KEY, String(Date.now()));
+    return previous;
+}
+
+/**
+ * Check whether a location was created or edited after a point in time
+ * @param {{createdAt: number|null, updatedAt: object|null}} location - Marker object or similar
+ * @param {number|null} since - Time in milliseconds; null never counts as new
+ * @returns {boolean} True if the location changed after since
+ */
+export function isNewSince(location, since) {
+    if (!since) return false;
+    const changedAt = Math.max(getTimestampMillis(location.createdAt) || 0, getTimestampMillis(location.updatedAt) || 0);
+    return changedAt > since;
+}
+
+// ===== WATCH AREAS =====
+
+/**
+ * Check whether a point falls inside a watch area
+ * @param {{south: number, west: number, north: number, east: number}} area - Area bounds
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if the point is inside
+ */
+export function areaContains(area, lat, lon) {
+    return lat >= area.south && lat <= area.north && lon >= area.west && lon <= area.east;
+}
+
+/**
+ * Load the user's watch areas, oldest first
+ * @param {string} userId - Owner of the areas
+ * @returns {Promise<Array<{id: string, name: string, south: number, west: number, north: number, east: number}>>} Areas
+ */
+export async function getWatchAreas(userId) {
+    const snapshot = await getDocs(collection(db, 'users', userId, 'watchAreas'));
+    return snapshot.docs
+        .map(areaDoc => ({ id: areaDoc.id, ...areaDoc.data() }))
+        .sort((a, b) => (getTimestampMillis(a.createdAt) || 0) - (getTimestampMillis(b.createdAt) || 0))
+        .map(({ id, name, south, west, north, east }) => ({ id, name: name || 'Watch area', south, west, north, east }));
+}
+
+/**
+ * Save a new watch area
+ * @param {string} userId - Owner of the area
+ * @param {string} name - Area name
+ * @param {{south: number, west: number, north: number, east: number}} bounds - Area bounds
+ * @returns {Promise<object>} The saved area with its id
+ */
+export async function saveWatchArea(userId, name, bounds) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        throw new Error('Give the area a name before drawing it.');
+    }
+    if (trimmed.length > MAX_WATCH_AREA_NAME_LENGTH) {
+        throw new Error(`Area names can be at most ${MAX_WATCH_AREA_NAME_LENGTH} characters.`);
+    }
+    if (!(bounds.north > bounds.south && bounds.east > bounds.west)) {
+        throw new Error('Drag out an area rather than a single point.');
+    }
+
+    const area = {
+        name: trimmed,
+        south: bounds.south,
+        west: bounds.west,
+        north: bounds.north,
+        east: bounds.east
+    };
+    const areaRef = await addDoc(collection(db, 'users', userId, 'watchAreas'), {
+        ...area,
+        createdAt: serverTimestamp()
+    });
+    return { id: areaRef.id, ...area };
+}
+
+/**
+ * Delete a watch area
+ * @param {string} userId - Owner of the area
+ * @param {string} areaId - Area document ID
+ */
+export async function deleteWatchArea(userId, areaId) {
+    await deleteDoc(doc(db, 'users', userId, 'watchAreas', areaId));
+}
+
+/**
+ * Find other users' locations created inside watch areas after a point in time
+ * Reads the newest NEW_PINS_LIMIT locations created since then and matches them to the
+ * areas here, so the cost follows how much is new rather than how large the areas are.
+ * @param {Array<object>} areas - Areas from getWatchAreas
+ * @param {number} since - Time in milliseconds
+ * @param {string} userId - Signed-in user, whose own pins are skipped
+ * @returns {Promise<Array<{area: object, locations: Array<{id: string, title: string, lat: number, lon: number}>}>>}
+ *          Areas that have new pins
+ */
+export async function findNewPinsInAreas(areas, since, userId) {
+    if (areas.length === 0) {
+        return [];
+    }
+
+    const snapshot = await getDocs(query(
+        collection(db, 'locations'),
+        where('createdAt', '>', new Date(since)),
+        orderBy('createdAt', 'desc'),
+        limit(NEW_PINS_LIMIT)
+    ));
+    if (snapshot.size === NEW_PINS_LIMIT) {
+        console.warn(`[findNewPinsInAreas] More than ${NEW_PINS_LIMIT} new locations; only the newest were checked.`);
+    }
+
+    const newPins = [];
+    snapshot.docs.forEach(locationDoc => {
+        const data = locationDoc.data();
+        if (data.userId === userId || data.hidden === true || data.mergedInto) return;
+        const lat = parseFloat(data.latitude);
+        const lon = parseFloat(data.longitude);
+        if (isNaN(lat) || isNaN(lon)) return;
+        newPins.push({ id: locationDoc.id, title: data.title || 'Untitled Location', lat, lon });
+    });
+
+    return areas
+        .map(area => ({ area, locations: newPins.filter(pin => areaContains(area, pin.lat, pin.lon)) }))
+        .filter(result => result.locations.length > 0);
+}
+
+// ===== ALERTS =====
+
+/**
+ * Ask for permission to show system notifications for watch areas
+ * @returns {Promise<boolean>} True if notifications may be shown
+ */
+export async function requestAlertPermission() {
+    if (!('Notification' in window)) return false;
+    if (Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    return Notification.permission === 'granted';
+}
+
+/**
+ * Describe new pins in an area in one line
+ * @param {string} areaName - Watch area name
+ * @param {Array<{title: string}>} locations - New locations in it
+ * @returns {string} e.g. "2 new locations in Old Town: Bridge, Tower"
+ */
+export function describeAreaAlert(areaName, locations) {
+    const titles = locations.slice(0, 3).map(location => location.title).join(', ');
+    const more = locations.length > 3 ? ` and ${locations.length - 3} more` : '';
+    return `${locations.length} new location${locations.length === 1 ? '' : 's'} in ${areaName}: ${titles}${more}`;
+}
+
+/**
+ * Show a system notification through the service worker
+ * Only used while the page is in the background; callers fall back to an in-app message.
+ * @param {string} body - Notification text
+ * @param {string} url - Page to open when the notification is clicked
+ * @returns {Promise<boolean>} True if a notification was shown
+ */
+export async function showAreaNotification(body, url) {
+    if (!('Notification' in window) || Notification.permission !== 'granted' || !('serviceWorker' in navigator)) {
+        return false;
+    }
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        await registration.showNotification('New locations in your watch areas', {
+            body,
+            icon: './icons/icon-192.png',
+            tag: 'watch-areas',
+            data: { url }
+        });
+        return true;
+    } catch (error) {
+        console.error('Error showing notification:', error);
+        return false;
+    }
+}
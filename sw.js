@@ -1,10 +1,11 @@
-const CACHE_NAME = 'map-app-v7';  // Bump version for cache busting
+const CACHE_NAME = 'map-app-v34';  // Bump version for cache busting
 const urlsToCache = [
   '/',
   '/index.html',
   '/login.html',
   '/settings.html',
   '/location.html',
+  '/moderation.html',
   '/manifest.json',
   // CSS files
   '/css/common.css',
@@ -16,6 +17,33 @@ const urlsToCache = [
   '/js/leaflet.markercluster.js',
   '/js/firebase-config.js',
   '/js/utils.js',
+  '/js/outbox.js',
+  '/js/geo.js',
+  '/js/search-query.js',
+  '/js/images.js',
+  '/js/gallery.js',
+  '/js/exif.js',
+  '/js/sun.js',
+  '/js/tags.js',
+  '/js/lists.js',
+  '/js/location-files.js',
+  '/js/itinerary.js',
+  '/js/comments.js',
+  '/js/moderation.js',
+  '/js/follows.js',
+  '/js/watch-areas.js',
+  '/js/geocoder.js',
+  '/js/duplicates.js',
+  '/js/coordinates.js',
+  '/js/map-state.js',
+  '/js/base-layers.js',
+  '/js/offline-tiles.js',
+  '/js/map-scores.js',
+  '/js/heatmap.js',
+  '/js/votes.js',
+  '/js/ranking.js',
+  '/js/list-view.js',
+  '/js/maintenance.js',
   // Leaflet marker images
   '/images/marker-icon.png',
   '/images/marker-icon-2x.png',
@@ -25,6 +53,11 @@ const urlsToCache = [
   '/icons/icon-512.png'
 ];
 
+// Map tiles downloaded for offline use (must match TILE_CACHE_NAME in js/offline-tiles.js).
+// Kept across app updates; entries are added and removed by the page.
+const TILE_CACHE_NAME = 'map-tiles';
+const TILE_PATH_PATTERN = /\/\d+\/\d+\/\d+(?:\.\w+)?$/;
+
 // Install event: Cache core files
 self.addEventListener('install', event => {
   event.waitUntil(
@@ -40,7 +73,7 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== TILE_CACHE_NAME) {
             return caches.delete(cacheName);
           }
         })
@@ -52,6 +85,13 @@ self.addEventListener('activate', event => {
 // Fetch event: Optimized caching strategies
 self.addEventListener('fetch', event => {
   const url = new URL(event.request.url);
+
+  // Map tiles from the tile servers: use a downloaded copy when there is one
+  if (event.request.method === 'GET' && url.origin !== self.location.origin &&
+      event.request.destination === 'image' && TILE_PATH_PATTERN.test(url.pathname)) {
+    event.respondWith(offlineTileFirst(event.request));
+    return;
+  }
   
   // Ignore non-GET requests and external domains
   if (event.request.method !== 'GET' || !url.origin.includes(self.location.origin.split('.')[0])) {
@@ -80,6 +120,13 @@ self.addEventListener('fetch', event => {
   event.respondWith(cacheFirst(event.request));
 });
 
+// Offline tiles: answer from the tile cache, otherwise let the request through untouched
+async function offlineTileFirst(request) {
+  const cache = await caches.open(TILE_CACHE_NAME);
+  const cachedResponse = await cache.match(request.url, { ignoreVary: true });
+  return cachedResponse || fetch(request);
+}
+
 // Cache-first strategy: Try cache, then network
 async function cacheFirst(request) {
   try {
@@ -125,6 +172,14 @@ async function networkFirst(request) {
 }
    
 
-
-
-
+// Notification click: focus an open map tab or open the alert's page
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/index.html';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const client = clients.find(candidate => candidate.url === url);
+      return client ? client.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCoordinates, isValidCoordinate, formatCoordinates, CoordinateParseError } from '../js/coordinates.js';
+
+const PARIS = { lat: 48.85, lon: 2.29 };
+
+// Compare a parsed position to the expected one within a tolerance (degrees)
+function assertPosition(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual.lat - expected.lat) <= tolerance, `lat ${actual.lat} is not ${expected.lat}`);
+    assert.ok(Math.abs(actual.lon - expected.lon) <= tolerance, `lon ${actual.lon} is not ${expected.lon}`);
+}
+
+function assertParseError(text, pattern, options) {
+    assert.throws(() => parseCoordinates(text, options),
+        error => error instanceof CoordinateParseError && pattern.test(error.message));
+}
+
+// ===== DECIMAL AND DMS =====
+
+test('decimal degrees with a comma, spaces or signs', () => {
+    assert.deepEqual(parseCoordinates('48.8584, 2.2945'), { lat: 48.8584, lon: 2.2945 });
+    assert.deepEqual(parseCoordinates('  48.8584 , 2.2945  '), { lat: 48.8584, lon: 2.2945 });
+    assert.deepEqual(parseCoordinates('-33.8568 151.2153'), { lat: -33.8568, lon: 151.2153 });
+    assert.deepEqual(parseCoordinates('40.7128; -74.006'), { lat: 40.7128, lon: -74.006 });
+});
+
+test('hemisphere letters set the sign and may come before or after the number', () => {
+    assert.deepEqual(parseCoordinates('48.8584N 2.2945E'), { lat: 48.8584, lon: 2.2945 });
+    assert.deepEqual(parseCoordinates('33.8568S, 151.2153E'), { lat: -33.8568, lon: 151.2153 });
+    assertPosition(parseCoordinates("N 48° 51.5' E 2° 17.7'"), { lat: 48 + 51.5 / 60, lon: 2 + 17.7 / 60 });
+});
+
+test('hemisphere letters may give the longitude first', () => {
+    assert.deepEqual(parseCoordinates('2.2945E 48.8584N'), { lat: 48.8584, lon: 2.2945 });
+    assert.deepEqual(parseCoordinates('74.006W, 40.7128N'), { lat: 40.7128, lon: -74.006 });
+});
+
+test('degrees, minutes and seconds', () => {
+    const expected = { lat: 48 + 51 / 60 + 30 / 3600, lon: 2 + 17 / 60 + 40 / 3600 };
+    assertPosition(parseCoordinates('48°51\'30"N 2°17\'40"E'), expected);
+    // Typographic symbols from copied text
+    assertPosition(parseCoordinates('48º51′30″N, 2º17′40″E'), expected);
+    // Bare numbers split evenly between latitude and longitude
+    assertPosition(parseCoordinates('48 51 30 2 17 40'), expected);
+    assertPosition(parseCoordinates('-48 51 -2 17'), { lat: -(48 + 51 / 60), lon: -(2 + 17 / 60) });
+});
+
+test('unreadable or ambiguous pairs are rejected with a reason', () => {
+    assertParseError('', /Enter coordinates/);
+    assertParseError('   ', /Enter coordinates/);
+    assertParseError('hello', /Could not read/);
+    assertParseError('48,1, 2,3', /Use a dot for decimals/);
+    assertParseError('48.85 2.29 1', /Could not tell the latitude from the longitude/);
+    assertParseError('48.85N 2.29N', /one latitude \(N\/S\) and one longitude/);
+    assertParseError('-48.85S 2.29E', /either a minus sign or S\/W/);
+    assertParseError('48NS, 2E', /Could not read/);
+});
+
+test('minutes and seconds must be below 60', () => {
+    assertParseError('48°60\'N 2°E', /Minutes must be between 0 and 59/);
+    assertParseError('48°51\'60"N 2°E', /Seconds must be between 0 and 59/);
+    assertParseError('48.5°30\'N 2°E', /Minutes must be between 0 and 59/);
+});
+
+test('positions out of range are rejected', () => {
+    assertParseError('91, 0', /Latitude must be between -90 and 90/);
+    assertParseError('0, 181', /longitude between -180 and 180/);
+    assertParseError('90.5S 0E', /Latitude must be between -90 and 90/);
+});
+
+// ===== GOOGLE MAPS LINKS =====
+
+test('Google Maps place links use the pin rather than the view center', () => {
+    const url = 'https://www.google.com/maps/place/Eiffel+Tower/@48.8583701,2.2922926,17z/data=!3m1!4b1!4m6!3m5'
+        + '!1s0x47e66e2964e34e2d:0x8ddca9ee380ef7e0!8m2!3d48.8583701!4d2.2944813';
+    assert.deepEqual(parseCoordinates(url), { lat: 48.8583701, lon: 2.2944813 });
+});
+
+test('Google Maps view links and query parameters', () => {
+    assert.deepEqual(parseCoordinates('https://www.google.com/maps/@48.8583701,2.2922926,17z'),
+        { lat: 48.8583701, lon: 2.2922926 });
+    assert.deepEqual(parseCoordinates('https://maps.google.com/?q=48.85,2.29'), { lat: 48.85, lon: 2.29 });
+    assert.deepEqual(parseCoordinates('https://www.google.com/maps/search/?api=1&query=-33.85%2C151.21'),
+        { lat: -33.85, lon: 151.21 });
+    assert.deepEqual(parseCoordinates('https://maps.google.com/maps?ll=40.7128,-74.006&z=12'),
+        { lat: 40.7128, lon: -74.006 });
+});
+
+test('links without coordinates explain what to share instead', () => {
+    assertParseError('https://goo.gl/maps/abc123', /Short links cannot be read/);
+    assertParseError('https://maps.app.goo.gl/abc123', /Short links cannot be read/);
+    assertParseError('https://example.com/somewhere', /does not contain coordinates/);
+    assertParseError('https://www.google.com/maps/search/%E4', /does not contain coordinates/);
+    assertParseError('https://www.google.com/maps/@95,2,17z', /Latitude must be between -90 and 90/);
+});
+
+// ===== PLUS CODES =====
+
+test('full Plus Codes decode to the center of their area', () => {
+    // Reference values from the Open Location Code test data
+    assertPosition(parseCoordinates('9C3W9QCJ+2VX'), { lat: 51.3701125, lon: -1.217765625 });
+    assertPosition(parseCoordinates('8FW4V75V+8Q'), { lat: 48.8583125, lon: 2.2944375 });
+    assertPosition(parseCoordinates('8fw4v75v+8q'), { lat: 48.8583125, lon: 2.2944375 });
+    // Padded codes cover a larger area
+    assertPosition(parseCoordinates('8FW40000+'), { lat: 48.5, lon: 2.5 });
+});
+
+test('short Plus Codes borrow their leading digits from the nearby point', () => {
+    assertPosition(parseCoordinates('V75V+8Q Paris', { near: PARIS }), { lat: 48.8583125, lon: 2.2944375 });
+    assertPosition(parseCoordinates('9QCJ+2VX', { near: { lat: 51.3708675, lon: -1.217765625 } }),
+        { lat: 51.3701125, lon: -1.217765625 });
+    assertPosition(parseCoordinates('CJ+2VX', { near: { lat: 51.3701125, lon: -1.217765625 } }),
+        { lat: 51.3701125, lon: -1.217765625 });
+});
+
+test('short Plus Codes resolve to the neighbouring area when it is closer', () => {
+    // The reference point is in the 49°N area, but the code's spot is closer in the one to the south
+    assertPosition(parseCoordinates('V75V+8Q', { near: { lat: 49.3, lon: 2.4 } }), { lat: 48.8583125, lon: 2.2944375 });
+    // Likewise to the east
+    assertPosition(parseCoordinates('V75V+8Q', { near: { lat: 48.9, lon: 2.9 } }), { lat: 48.8583125, lon: 3.2944375 });
+});
+
+test('short Plus Codes wrap around the antimeridian', () => {
+    const west = parseCoordinates('62G22222+2226');
+    assert.ok(west.lon < -179.99);
+    assertPosition(parseCoordinates('2222+2226', { near: { lat: 0, lon: 179.9999 } }), west);
+
+    const east = parseCoordinates('6VGXXXXX+XX');
+    assert.ok(east.lon > 179.99);
+    assertPosition(parseCoordinates('XXXX+XX', { near: { lat: 0.9, lon: -179.9999 } }), east);
+});
+
+test('invalid and unresolvable Plus Codes are rejected', () => {
+    assertParseError('V75V+8Q', /Short Plus Codes need a nearby point/);
+    assertParseError('8FW4V75+8Q', /not a valid Plus Code/);
+    assertParseError('8F00V7+', /not a valid Plus Code/);
+    assertParseError('8FW4V75V+8', /not a valid Plus Code/);
+    assertParseError('X2222222+', /Latitude must be between -90 and 90/);
+});
+
+// ===== FORMATTING =====
+
+test('isValidCoordinate checks numbers and ranges', () => {
+    assert.equal(isValidCoordinate(0, 0), true);
+    assert.equal(isValidCoordinate(-90, 180), true);
+    assert.equal(isValidCoordinate(90.1, 0), false);
+    assert.equal(isValidCoordinate(0, -180.1), false);
+    assert.equal(isValidCoordinate(NaN, 0), false);
+    assert.equal(isValidCoordinate('48', 2), false);
+});
+
+test('formatCoordinates shows six decimals', () => {
+    assert.equal(formatCoordinates(48.8584, 2.2945), '48.858400, 2.294500');
+    assert.equal(formatCoordinates(-33.85678912, 151.2), '-33.856789, 151.200000');
+});
@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNominatimGeocoder, createPhotonGeocoder, createStubGeocoder, setGeocoder, getGeocoder,
+         reverseGeocode } from '../js/geocoder.js';
+
+// fetch stand-in that records each request and answers with a reverse lookup result
+function createFetchStub({ status = 200 } = {}) {
+    const calls = [];
+    const fetchImpl = async (url) => {
+        calls.push({ url: new URL(url), at: Date.now() });
+        return {
+            ok: status === 200,
+            status,
+            json: async () => ({ display_name: `Address ${calls.length}` })
+        };
+    };
+    return { calls, fetchImpl };
+}
+
+// ===== NOMINATIM ADAPTER =====
+
+test('Nominatim geocoder only offers reverse lookups', () => {
+    const geocoder = createNominatimGeocoder({ fetchImpl: createFetchStub().fetchImpl });
+    assert.equal(typeof geocoder.reverse, 'function');
+    assert.equal(geocoder.search, undefined);
+});
+
+test('reverse lookups request the point and cache the address', async () => {
+    const { calls, fetchImpl } = createFetchStub();
+    const geocoder = createNominatimGeocoder({ minInterval: 0, language: 'de', fetchImpl });
+
+    assert.equal(await geocoder.reverse(51.5, -0.12), 'Address 1');
+    // Same point to five decimals comes from the cache
+    assert.equal(await geocoder.reverse(51.500001, -0.120001), 'Address 1');
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url.pathname, '/reverse');
+    assert.equal(calls[0].url.searchParams.get('lat'), '51.5');
+    assert.equal(calls[0].url.searchParams.get('accept-language'), 'de');
+
+    assert.equal(await geocoder.reverse(48.85, 2.35), 'Address 2');
+    assert.equal(calls.length, 2);
+});
+
+test('the cache evicts the least recently used address', async () => {
+    const { calls, fetchImpl } = createFetchStub();
+    const geocoder = createNominatimGeocoder({ minInterval: 0, fetchImpl });
+
+    await geocoder.reverse(0, 0);
+    for (let index = 1; index <= 200; index++) {
+        await geocoder.reverse(index / 100, 0);
+        // Keep the first point in use so it is never the oldest
+        await geocoder.reverse(0, 0);
+    }
+    assert.equal(calls.length, 201);
+
+    await geocoder.reverse(0.01, 0);
+    assert.equal(calls.length, 202, 'the oldest unused entry was evicted');
+    await geocoder.reverse(0, 0);
+    assert.equal(calls.length, 202, 'the recently used entry was kept');
+});
+
+test('requests are spaced out by the minimum interval', async () => {
+    const { calls, fetchImpl } = createFetchStub();
+    const geocoder = createNominatimGeocoder({ minInterval: 60, fetchImpl });
+
+    await Promise.all([geocoder.reverse(1, 1), geocoder.reverse(2, 2), geocoder.reverse(3, 3)]);
+    assert.equal(calls.length, 3);
+    // Allow a few milliseconds for timer granularity
+    assert.ok(calls[1].at - calls[0].at >= 55, `second request came ${calls[1].at - calls[0].at} ms after the first`);
+    assert.ok(calls[2].at - calls[1].at >= 55, `third request came ${calls[2].at - calls[1].at} ms after the second`);
+});
+
+test('failed requests are not cached', async () => {
+    const failing = createFetchStub({ status: 503 });
+    const geocoder = createNominatimGeocoder({ minInterval: 0, fetchImpl: failing.fetchImpl });
+    await assert.rejects(() => geocoder.reverse(1, 1), /503/);
+    await assert.rejects(() => geocoder.reverse(1, 1), /503/);
+    assert.equal(failing.calls.length, 2);
+});
+
+// ===== PHOTON ADAPTER =====
+
+const PHOTON_RESULT = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            geometry: { type: 'Point', coordinates: [-0.0754, 51.5055] },
+            properties: { name: 'Tower Bridge', street: 'Tower Bridge Road', city: 'London', country: 'United Kingdom' }
+        },
+        {
+            geometry: { type: 'Point', coordinates: [-0.1276, 51.5072] },
+            properties: { name: 'London', city: 'London', country: 'United Kingdom' }
+        }
+    ]
+};
+
+function createPhotonFetchStub() {
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+        calls.push({ url: new URL(url), options });
+        return { ok: true, status: 200, json: async () => PHOTON_RESULT };
+    };
+    return { calls, fetchImpl };
+}
+
+test('Photon geocoder turns features into suggestions', async () => {
+    const { calls, fetchImpl } = createPhotonFetchStub();
+    const geocoder = createPhotonGeocoder({ minInterval: 0, language: 'fr-CA', fetchImpl });
+    assert.equal(geocoder.reverse, undefined);
+
+    const places = await geocoder.search(' tower ', { near: { lat: 51.50123, lon: -0.07891 } });
+    assert.deepEqual(places, [
+        { label: 'Tower Bridge, Tower Bridge Road, London, United Kingdom', lat: 51.5055, lon: -0.0754 },
+        { label: 'London, United Kingdom', lat: 51.5072, lon: -0.1276 }
+    ]);
+
+    const params = calls[0].url.searchParams;
+    assert.equal(calls[0].url.pathname, '/api/');
+    assert.equal(params.get('q'), 'tower');
+    assert.equal(params.get('limit'), '5');
+    assert.equal(params.get('lang'), 'fr');
+    assert.equal(params.get('lat'), '51.50');
+    assert.equal(params.get('lon'), '-0.08');
+});
+
+test('Photon searches are cached and pass the abort signal', async () => {
+    const { calls, fetchImpl } = createPhotonFetchStub();
+    const geocoder = createPhotonGeocoder({ minInterval: 0, language: 'ja', fetchImpl });
+    const { signal } = new AbortController();
+
+    const first = await geocoder.search('tower', { signal });
+    assert.equal(calls[0].options.signal, signal);
+    assert.equal(calls[0].url.searchParams.has('lang'), false, 'unsupported languages use the default labels');
+
+    // Callers get their own copies, so changing one does not change the cache
+    first[0].label = 'changed';
+    const second = await geocoder.search('tower');
+    assert.equal(calls.length, 1);
+    assert.equal(second[0].label, 'Tower Bridge, Tower Bridge Road, London, United Kingdom');
+});
+
+// ===== STUB GEOCODER =====
+
+const PLACES = [
+    { label: 'Harbour Bridge, Sydney', lat: -33.8523, lon: 151.2108 },
+    { label: 'Opera House, Sydney', lat: -33.8568, lon: 151.2153 },
+    { label: 'Tower Bridge, London', lat: 51.5055, lon: -0.0754 }
+];
+
+test('stub geocoder searches its places, closest to the pin first', async () => {
+    const geocoder = createStubGeocoder(PLACES);
+    assert.deepEqual((await geocoder.search('bridge')).map(place => place.label),
+        ['Harbour Bridge, Sydney', 'Tower Bridge, London']);
+    assert.deepEqual((await geocoder.search('BRIDGE', { near: { lat: 51.5, lon: -0.1 } })).map(place => place.label),
+        ['Tower Bridge, London', 'Harbour Bridge, Sydney']);
+    assert.deepEqual(await geocoder.search('nowhere'), []);
+});
+
+test('stub geocoder reverse-geocodes points near its places', async () => {
+    const geocoder = createStubGeocoder(PLACES);
+    assert.equal(await geocoder.reverse(-33.8569, 151.2152), 'Opera House, Sydney');
+    assert.equal(await geocoder.reverse(0, 0), null);
+});
+
+// ===== ACTIVE GEOCODER =====
+
+test('the default geocoder offers reverse lookups and type-ahead search', () => {
+    const geocoder = getGeocoder();
+    assert.equal(typeof geocoder.reverse, 'function');
+    assert.equal(typeof geocoder.search, 'function');
+});
+
+test('reverseGeocode uses the installed geocoder and swallows its errors', async () => {
+    const original = getGeocoder();
+    try {
+        setGeocoder(createStubGeocoder(PLACES));
+        assert.equal(await reverseGeocode(51.5055, -0.0754), 'Tower Bridge, London');
+
+        setGeocoder({ reverse: async () => { throw new Error('offline'); } });
+        const log = console.log;
+        console.log = () => {};
+        try {
+            assert.equal(await reverseGeocode(1, 1), null);
+        } finally {
+            console.log = log;
+        }
+    } finally {
+        setGeocoder(original);
+    }
+});
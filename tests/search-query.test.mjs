@@ -0,0 +1,217 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeSearchQuery, parseSearchQuery, compileSearchQuery, queryUsesTerm,
+         SearchQueryError } from '../js/search-query.js';
+
+const LOCATIONS = [
+    {
+        id: 'bridge',
+        title: 'Golden Gate overlook',
+        notes: 'Best at sunrise 6:30, see https://example.com/gate',
+        address: 'Pier 39: San Francisco',
+        user: 'Alice',
+        tags: ['urban', 'rooftop'],
+        images: [{ url: 'a.jpg' }],
+        score: 12,
+        createdAt: new Date('2025-03-01T12:00:00').getTime(),
+        lat: 0.01,
+        lon: 0
+    },
+    {
+        id: 'lake',
+        title: 'Quiet lake',
+        notes: '',
+        address: '',
+        user: 'Bob',
+        tags: ['nature'],
+        images: [],
+        score: -2,
+        createdAt: new Date('2024-06-01T12:00:00').getTime(),
+        lat: 1,
+        lon: 0
+    },
+    {
+        id: 'parking',
+        title: 'Golden hour car park',
+        notes: 'parking garage roof',
+        address: 'Main Street',
+        user: 'Alice',
+        tags: [],
+        images: [],
+        score: 3,
+        createdAt: null,
+        lat: 0,
+        lon: 0.02
+    }
+];
+
+const ORIGIN = { lat: 0, lon: 0 };
+
+// Ids of the sample locations a query matches
+function search(input) {
+    const { matches } = compileSearchQuery(input);
+    return LOCATIONS.filter(location => matches(location, { origin: ORIGIN })).map(location => location.id);
+}
+
+function assertQueryError(input, message, position) {
+    assert.throws(() => compileSearchQuery(input), (error) => {
+        assert.ok(error instanceof SearchQueryError);
+        assert.match(error.message, message);
+        assert.equal(error.position, position);
+        return true;
+    });
+}
+
+// ===== TOKENIZER =====
+
+test('tokenizer splits operators, fields, phrases and words', () => {
+    const tokens = tokenizeSearchQuery('user:alice "golden gate" -parking (a OR b) AND NOT c');
+    assert.deepEqual(tokens.map(token => token.type),
+        ['term', 'term', 'minus', 'term', 'lparen', 'term', 'or', 'term', 'rparen', 'and', 'not', 'term']);
+    assert.deepEqual(tokens[0], { type: 'term', field: 'user', value: 'alice', quoted: false, position: 0 });
+    assert.deepEqual(tokens[1], { type: 'term', field: null, value: 'golden gate', quoted: true, position: 11 });
+    assert.equal(tokens[2].position, 25);
+});
+
+test('tokenizer reads quoted field values', () => {
+    const [token] = tokenizeSearchQuery('user:"Jane Doe"');
+    assert.deepEqual(token, { type: 'term', field: 'user', value: 'Jane Doe', quoted: true, position: 0 });
+});
+
+test('tokenizer keeps words with unknown prefixes as plain text', () => {
+    const tokens = tokenizeSearchQuery('6:30 39: https://example.com');
+    assert.deepEqual(tokens.map(token => [token.field, token.value]),
+        [[null, '6:30'], [null, '39:'], [null, 'https://example.com']]);
+});
+
+test('tokenizer keeps a leading minus on numbers', () => {
+    const [token] = tokenizeSearchQuery('-5');
+    assert.equal(token.type, 'term');
+    assert.equal(token.value, '-5');
+});
+
+test('tokenizer rejects an unclosed quote', () => {
+    assert.throws(() => tokenizeSearchQuery('user:"alice'), { name: 'SearchQueryError', position: 5 });
+});
+
+// ===== PARSER =====
+
+test('parser returns null for an empty query', () => {
+    assert.equal(parseSearchQuery('   '), null);
+});
+
+test('parser ANDs juxtaposed terms and binds AND tighter than OR', () => {
+    const tree = parseSearchQuery('a OR b c');
+    assert.equal(tree.type, 'or');
+    assert.deepEqual(tree.children[0], { type: 'text', value: 'a' });
+    assert.equal(tree.children[1].type, 'and');
+    assert.equal(tree.children[1].children.length, 2);
+});
+
+test('parser groups with parentheses and negates with - and NOT', () => {
+    const tree = parseSearchQuery('(a OR b) -c NOT d');
+    assert.equal(tree.type, 'and');
+    assert.equal(tree.children[0].type, 'or');
+    assert.deepEqual(tree.children[1], { type: 'not', child: { type: 'text', value: 'c' } });
+    assert.deepEqual(tree.children[2], { type: 'not', child: { type: 'text', value: 'd' } });
+});
+
+test('parser builds typed field terms', () => {
+    assert.deepEqual(parseSearchQuery('user:Alice'), { type: 'field', field: 'user', value: 'alice' });
+    assert.deepEqual(parseSearchQuery('tag:Rooftop'), { type: 'field', field: 'tag', value: 'rooftop' });
+    assert.deepEqual(parseSearchQuery('has:IMAGE'), { type: 'has', value: 'image' });
+    assert.deepEqual(parseSearchQuery('created:>2025-01-01'), { type: 'created', operator: '>', value: '2025-01-01' });
+    assert.deepEqual(parseSearchQuery('near:500m'), { type: 'near', meters: 500 });
+    assert.deepEqual(parseSearchQuery('near:3mi'), { type: 'near', meters: 3 * 1609.344 });
+    assert.deepEqual(parseSearchQuery('rating:>=10'), { type: 'score', operator: '>=', value: 10 });
+});
+
+test('parser accepts the legacy rating comparisons', () => {
+    assert.deepEqual(parseSearchQuery('rating > 100'), { type: 'score', operator: '>', value: 100 });
+    assert.deepEqual(parseSearchQuery('>5'), { type: 'score', operator: '>', value: 5 });
+});
+
+test('queryUsesTerm finds nested terms', () => {
+    assert.equal(queryUsesTerm(parseSearchQuery('a OR (b -near:5km)'), 'near'), true);
+    assert.equal(queryUsesTerm(parseSearchQuery('a OR b'), 'near'), false);
+});
+
+// ===== COMPILED QUERIES =====
+
+test('an empty query matches everything', () => {
+    assert.deepEqual(search(''), ['bridge', 'lake', 'parking']);
+});
+
+test('bare words and phrases search title, notes, address and author', () => {
+    assert.deepEqual(search('golden'), ['bridge', 'parking']);
+    assert.deepEqual(search('"golden gate"'), ['bridge']);
+    assert.deepEqual(search('bob'), ['lake']);
+    assert.deepEqual(search('main'), ['parking']);
+});
+
+test('user:, tag: and has: filter on their fields', () => {
+    assert.deepEqual(search('user:alice'), ['bridge', 'parking']);
+    assert.deepEqual(search('user:"ali"'), ['bridge', 'parking']);
+    assert.deepEqual(search('tag:nature'), ['lake']);
+    assert.deepEqual(search('has:image'), ['bridge']);
+    assert.deepEqual(search('has:notes'), ['bridge', 'parking']);
+    assert.deepEqual(search('has:tags'), ['bridge', 'lake']);
+});
+
+test('created: compares against a day or month', () => {
+    assert.deepEqual(search('created:>2025-01-01'), ['bridge']);
+    assert.deepEqual(search('created:<2025-01-01'), ['lake']);
+    assert.deepEqual(search('created:2024-06'), ['lake']);
+    assert.deepEqual(search('created:2025-03-01'), ['bridge']);
+});
+
+test('near: measures from the origin and is ignored without one', () => {
+    assert.deepEqual(search('near:5km'), ['bridge', 'parking']);
+    assert.deepEqual(search('near:1km'), []);
+    const { matches } = compileSearchQuery('near:1km');
+    assert.equal(matches(LOCATIONS[1]), true);
+});
+
+test('rating comparisons use the vote score', () => {
+    assert.deepEqual(search('rating>=10'), ['bridge']);
+    assert.deepEqual(search('score:<0'), ['lake']);
+    assert.deepEqual(search('rating > 2'), ['bridge', 'parking']);
+});
+
+test('negation, AND, OR and parentheses combine', () => {
+    assert.deepEqual(search('golden -parking'), ['bridge']);
+    assert.deepEqual(search('golden NOT user:alice'), []);
+    assert.deepEqual(search('golden AND tag:urban'), ['bridge']);
+    assert.deepEqual(search('tag:nature OR has:image'), ['bridge', 'lake']);
+    assert.deepEqual(search('(tag:nature OR has:image) rating>0'), ['bridge']);
+    assert.deepEqual(search('-(user:alice OR quiet)'), []);
+});
+
+test('text with a colon that is not a field is searched as text', () => {
+    assert.deepEqual(search('6:30'), ['bridge']);
+    assert.deepEqual(search('Pier 39:'), ['bridge']);
+    assert.deepEqual(search('https://example.com/gate'), ['bridge']);
+});
+
+// ===== ERRORS =====
+
+test('malformed queries report the position of the problem', () => {
+    assertQueryError('golden "gate', /Missing closing quote/, 7);
+    assertQueryError('a (b OR c', /Missing closing parenthesis/, 2);
+    assertQueryError('a b)', /Unexpected "\)"/, 3);
+    assertQueryError('a ()', /Empty parentheses/, 2);
+    assertQueryError('a OR', /after OR/, 2);
+    assertQueryError('a OR OR b', /after OR/, 2);
+    assertQueryError('a AND', /after AND/, 2);
+    assertQueryError('a NOT', /after negation/, 2);
+    assertQueryError('OR a', /Unexpected OR/, 0);
+});
+
+test('invalid field values report the position of the field', () => {
+    assertQueryError('golden user:', /Missing value for user:/, 7);
+    assertQueryError('has:parking', /Unknown has: value/, 0);
+    assertQueryError('a near:far', /near: expects a distance/, 2);
+    assertQueryError('created:>yesterday', /created: expects a date/, 0);
+    assertQueryError('rating:>abc', /rating: expects a whole number/, 0);
+    assertQueryError('score:>', /Missing value for score:/, 0);
+});